@@ -0,0 +1,55 @@
+// backend/config/aiConfig.js
+/**
+ * Central configuration for the AI service layer (provider, models and per-feature settings)
+ */
+
+module.exports = {
+  // Which provider implementation to use: 'openai' or 'mock' (offline fixtures, see services/ai/providers)
+  provider: process.env.AI_PROVIDER || 'openai',
+
+  // Model used when a feature doesn't specify its own
+  defaultModel: process.env.AI_DEFAULT_MODEL || 'gpt-3.5-turbo',
+
+  // Maximum attempts passed to withRetry for every AI call
+  maxRetries: 3,
+
+  // Price per 1M tokens in USD, matched by model-name prefix (longest match wins).
+  // Unknown models (including the mock provider) are costed at 0.
+  pricing: {
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4-turbo': { input: 10, output: 30 }
+  },
+
+  // Conversion used when reporting spend in INR
+  usdToInrRate: parseFloat(process.env.USD_TO_INR_RATE) || 83,
+
+  // Per-feature generation settings
+  features: {
+    contentIdeation: {
+      temperature: 0.75,
+      jsonMode: true
+    },
+    trendIdeation: {
+      temperature: 0.75,
+      jsonMode: true
+    },
+    refinement: {
+      temperature: 0.7,
+      jsonMode: true
+    },
+    scriptGeneration: {
+      temperature: 0.7,
+      jsonMode: false // Scripts are long; we extract the JSON from the reply instead
+    },
+    scriptTransformation: {
+      temperature: 0.7,
+      jsonMode: false
+    },
+    seoAnalysis: {
+      temperature: 0.5, // Lower temperature for more focused SEO suggestions
+      jsonMode: true
+    }
+  }
+};
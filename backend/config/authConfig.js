@@ -0,0 +1,59 @@
+// backend/config/authConfig.js
+
+// Account and sign-in settings
+module.exports = {
+  // Access tokens (JWTs) are short-lived; clients renew them with the refresh token (see utils/sessionUtil.js)
+  accessTokenTtl: process.env.JWT_ACCESS_EXPIRE || '15m',
+
+  // How long a session can go without refreshing before the user has to log in again
+  refreshTokenTtlMs: (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000,
+
+  // Rotated-out refresh tokens remembered per session for reuse detection
+  usedRefreshTokensKept: 20,
+
+  // Block AI endpoints until the user has verified their email address.
+  // Accounts created before verification existed are unverified, so backfill isVerified before turning this on.
+  requireVerifiedEmail: process.env.REQUIRE_VERIFIED_EMAIL === 'true',
+
+  // Failed login throttling, per email address and per client IP (see utils/loginThrottleUtil.js).
+  // After freeAttempts failures each further attempt must wait baseDelayMs, doubling up to maxDelayMs;
+  // lockoutAfter failures lock the key for lockoutMs. Counts restart failureWindowMs after the first failure.
+  loginThrottle: {
+    email: { freeAttempts: 3, lockoutAfter: 10 },
+    ip: { freeAttempts: 10, lockoutAfter: 50 }, // Higher: many users can share an office or carrier IP
+    baseDelayMs: 1000,
+    maxDelayMs: 30 * 1000,
+    lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000,
+    failureWindowMs: 15 * 60 * 1000
+  },
+
+  // TOTP two-factor authentication
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'CreatorGenius', // Shown in authenticator apps
+    challengeTtl: '10m', // Time to enter the code after the password was accepted
+    allowedDriftSteps: 1, // Codes from one 30s step either side are accepted
+    backupCodeCount: 10
+  },
+
+  // Personal API keys (see utils/apiKeyUtil.js). A key only works on routes that opt in with
+  // allowApiKey(scope), and only if it was given that scope.
+  apiKeys: {
+    prefix: 'cg_', // Lets protect tell a key from a JWT, and users spot leaked keys
+    scopes: {
+      'content:ideation': 'Generate content ideas (POST /api/content/ideation)',
+      'scripts:generate': 'Generate scripts from saved ideas (POST /api/scripts/generate/:ideaId)'
+    },
+    maxPerUser: 10,
+    lastUsedUpdateIntervalMs: 60 * 1000 // lastUsedAt is written at most this often per key
+  },
+
+  // How long an email verification link stays valid
+  verificationTokenTtlMs: 24 * 60 * 60 * 1000,
+
+  // Minimum gap between verification emails to the same user
+  verificationResendCooldownMs: 60 * 1000,
+
+  // How long a password reset link stays valid, and the minimum gap between reset emails
+  passwordResetTokenTtlMs: 60 * 60 * 1000,
+  passwordResetCooldownMs: 60 * 1000
+};
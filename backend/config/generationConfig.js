@@ -0,0 +1,40 @@
+// backend/config/generationConfig.js
+/**
+ * Per-tier AI generation profiles (model quality and output size).
+ * Works alongside limitConfig.js, which controls how often a feature can be used.
+ */
+
+module.exports = {
+    // Free tier profile
+    free: {
+      model: 'gpt-3.5-turbo',
+      maxTokens: 2000, // Completion token cap per AI call
+      maxIdeasPerRequest: 5, // Content ideation
+      maxTrendIdeasPerRequest: 3, // Trend ideation
+      maxScriptDuration: 'medium', // Longest targetDuration allowed for script generation
+      maxTransformPlatforms: 1, // Platforms per transformation request
+      maxIdeationBatchSize: 2 // Ideation requests per background batch
+    },
+
+    // Creator Pro tier profile
+    creator_pro: {
+      model: 'gpt-4o-mini',
+      maxTokens: 3500,
+      maxIdeasPerRequest: 10,
+      maxTrendIdeasPerRequest: 5,
+      maxScriptDuration: 'long',
+      maxTransformPlatforms: 4,
+      maxIdeationBatchSize: 5
+    },
+
+    // Agency Growth tier profile
+    agency_growth: {
+      model: 'gpt-4o',
+      maxTokens: 4000,
+      maxIdeasPerRequest: 10,
+      maxTrendIdeasPerRequest: 5,
+      maxScriptDuration: 'long',
+      maxTransformPlatforms: 6, // Every supported platform
+      maxIdeationBatchSize: 10
+    }
+  };
@@ -0,0 +1,68 @@
+// backend/config/gstConfig.js
+/**
+ * GST settings for invoices (seller registration, rate and state codes)
+ */
+
+module.exports = {
+  // Registered seller details printed on every invoice
+  seller: {
+    name: process.env.INVOICE_SELLER_NAME || 'CreatorGenius',
+    gstin: process.env.INVOICE_SELLER_GSTIN || '',
+    address: process.env.INVOICE_SELLER_ADDRESS || '',
+    stateCode: process.env.INVOICE_SELLER_STATE_CODE || '29', // Set to the state the GSTIN is registered in
+    email: process.env.INVOICE_SELLER_EMAIL || ''
+  },
+
+  // Invoice numbers look like CG/2026-27/000042 (a fresh sequence every financial year)
+  invoicePrefix: process.env.INVOICE_PREFIX || 'CG',
+
+  // GST rate (%) for the subscription service; split 50/50 into CGST and SGST within the seller's state
+  rate: 18,
+
+  // Plan prices are shown to users including GST
+  pricesIncludeGst: true,
+
+  // Services Accounting Code printed on the invoice line
+  sacCode: '998314',
+
+  // GST state codes (first two digits of a GSTIN)
+  states: {
+    '01': 'Jammu and Kashmir',
+    '02': 'Himachal Pradesh',
+    '03': 'Punjab',
+    '04': 'Chandigarh',
+    '05': 'Uttarakhand',
+    '06': 'Haryana',
+    '07': 'Delhi',
+    '08': 'Rajasthan',
+    '09': 'Uttar Pradesh',
+    '10': 'Bihar',
+    '11': 'Sikkim',
+    '12': 'Arunachal Pradesh',
+    '13': 'Nagaland',
+    '14': 'Manipur',
+    '15': 'Mizoram',
+    '16': 'Tripura',
+    '17': 'Meghalaya',
+    '18': 'Assam',
+    '19': 'West Bengal',
+    '20': 'Jharkhand',
+    '21': 'Odisha',
+    '22': 'Chhattisgarh',
+    '23': 'Madhya Pradesh',
+    '24': 'Gujarat',
+    '26': 'Dadra and Nagar Haveli and Daman and Diu',
+    '27': 'Maharashtra',
+    '29': 'Karnataka',
+    '30': 'Goa',
+    '31': 'Lakshadweep',
+    '32': 'Kerala',
+    '33': 'Tamil Nadu',
+    '34': 'Puducherry',
+    '35': 'Andaman and Nicobar Islands',
+    '36': 'Telangana',
+    '37': 'Andhra Pradesh',
+    '38': 'Ladakh',
+    '97': 'Other Territory'
+  }
+};
@@ -0,0 +1,19 @@
+// backend/config/jobConfig.js
+
+// Background job worker settings (see services/jobs)
+module.exports = {
+  // Set JOB_WORKER_ENABLED=false on web instances that should only enqueue
+  workerEnabled: process.env.JOB_WORKER_ENABLED !== 'false',
+
+  // How often an idle worker checks for queued jobs
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000,
+
+  // Jobs processed in parallel by one process
+  concurrency: parseInt(process.env.JOB_WORKER_CONCURRENCY, 10) || 2,
+
+  // A running job whose lock is older than this is assumed orphaned (crashed worker) and requeued
+  staleLockMs: parseInt(process.env.JOB_STALE_LOCK_MS, 10) || 10 * 60 * 1000,
+
+  // Orphaned jobs are requeued at most this many times before being marked failed
+  maxAttempts: 3
+};
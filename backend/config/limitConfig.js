@@ -1,6 +1,8 @@
 // backend/config/limitConfig.js
 /**
- * Central configuration file for all subscription tier usage limits
+ * Default usage limits per subscription tier.
+ * Limits are enforced from PricePlan documents (see utils/planUtil.js); these values
+ * are what scripts/setupPlans.js seeds, and the fallback when a tier has no active plan.
  */
 
 module.exports = {
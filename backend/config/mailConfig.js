@@ -0,0 +1,18 @@
+// backend/config/mailConfig.js
+
+// Outgoing email settings (see services/mail)
+module.exports = {
+  // Which transport delivers mail: 'console' (log it) or 'file' (write it to fileDir)
+  transport: process.env.MAIL_TRANSPORT || 'console',
+
+  from: process.env.MAIL_FROM || 'CreatorGenius <no-reply@creatorgenius.app>',
+
+  // Where the file transport writes messages, one JSON file each
+  fileDir: process.env.MAIL_FILE_DIR || 'tmp/mail',
+
+  // Base URL links in emails point at (the API serves the verification link itself)
+  publicUrl: (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 8080}`).replace(/\/$/, ''),
+
+  // Frontend base URL for pages the user completes in the app (password reset form at /reset-password/:token)
+  appUrl: (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '')
+};
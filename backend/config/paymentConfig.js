@@ -0,0 +1,63 @@
+// backend/config/paymentConfig.js
+/**
+ * Central configuration for payments (gateway selection and billing settings)
+ */
+
+module.exports = {
+  // Which gateway implementation to use: 'razorpay' or 'fake' (offline stand-in, see services/payments/gateways)
+  gateway: process.env.PAYMENT_GATEWAY || 'razorpay',
+
+  // Currency plans are priced in (gateway amounts are in the smallest unit, i.e. paise)
+  currency: 'INR',
+
+  // Number of billing cycles a Razorpay subscription is created for
+  subscriptionTotalCount: {
+    monthly: 120,
+    yearly: 10
+  },
+
+  // Days a past_due subscription keeps its tier after a failed or missed renewal
+  gracePeriodDays: parseInt(process.env.BILLING_GRACE_PERIOD_DAYS, 10) || 3,
+
+  // Razorpay charges a renewal at the period end and the subscription.charged webhook can take
+  // hours to arrive, so gateway-renewed subscriptions only count as unrenewed this long after
+  renewalWebhookBufferHours: parseInt(process.env.BILLING_RENEWAL_BUFFER_HOURS, 10) || 24,
+
+  // Expiry reminders are sent this many days before the period ends
+  reminderDaysBeforeEnd: [7, 1],
+
+  // Billing scheduler (expiry, grace periods, reminders). Set BILLING_SCHEDULER_ENABLED=false
+  // on instances that shouldn't run it.
+  schedulerEnabled: process.env.BILLING_SCHEDULER_ENABLED !== 'false',
+  schedulerIntervalMs: parseInt(process.env.BILLING_SCHEDULER_INTERVAL_MS, 10) || 15 * 60 * 1000,
+
+  // Free trial of a paid tier. Usage limits during the trial are the tier's own.
+  trial: {
+    enabled: process.env.TRIAL_ENABLED !== 'false',
+    tier: 'creator_pro',
+    days: parseInt(process.env.TRIAL_DAYS, 10) || 14,
+    // Start the trial automatically for new accounts (otherwise users start it with POST /api/payments/trial)
+    onRegistration: process.env.TRIAL_ON_REGISTRATION === 'true',
+    // A purchase this many days after the trial ended still counts as a conversion
+    conversionWindowDays: 7
+  },
+
+  // A coupon use is held for a checkout this long; unpaid holds are then released by the billing scheduler
+  couponReservationHours: parseInt(process.env.COUPON_RESERVATION_HOURS, 10) || 2,
+
+  // Usage features that credit packs can top up (label used in messages), see utils/creditUtil.js
+  creditFeatures: {
+    contentIdeations: { label: 'content ideations' },
+    scriptGeneration: { label: 'scripts' }
+  },
+
+  // A webhook delivery still marked 'processing' after this long is assumed to have died with its
+  // process, and the gateway's next retry takes it over
+  webhookProcessingTimeoutMs: parseInt(process.env.WEBHOOK_PROCESSING_TIMEOUT_MS, 10) || 5 * 60 * 1000,
+
+  // Secret the Razorpay dashboard signs webhooks with (separate from the API key secret)
+  webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+
+  // Secret used by the fake gateway to sign checkouts and webhooks
+  fakeKeySecret: process.env.PAYMENT_FAKE_KEY_SECRET || 'fake_key_secret'
+};
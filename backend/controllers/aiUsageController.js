@@ -0,0 +1,156 @@
+// backend/controllers/aiUsageController.js
+const AIUsage = require('../models/AIUsage');
+const aiConfig = require('../config/aiConfig');
+const { buildDateMatch, invalidRangeResponse } = require('../utils/dateRangeUtil');
+
+// --- Helper Functions ---
+
+// Common accumulator fields for every spend report
+const spendAccumulators = {
+    calls: { $sum: 1 },
+    failedCalls: { $sum: { $cond: [{ $eq: ['$status', 'success'] }, 0, 1] } },
+    promptTokens: { $sum: '$promptTokens' },
+    completionTokens: { $sum: '$completionTokens' },
+    totalTokens: { $sum: '$totalTokens' },
+    retries: { $sum: '$retryCount' },
+    avgLatencyMs: { $avg: '$latencyMs' },
+    estimatedCostUsd: { $sum: '$estimatedCost' }
+};
+
+// Add the INR conversion and round figures for display
+const formatSpendRow = (row) => ({
+    ...row,
+    avgLatencyMs: Math.round(row.avgLatencyMs || 0),
+    estimatedCostUsd: Number(row.estimatedCostUsd.toFixed(4)),
+    estimatedCostInr: Number((row.estimatedCostUsd * aiConfig.usdToInrRate).toFixed(2))
+});
+
+// ===============================================
+// --- ADMIN ONLY Functions ---
+// ===============================================
+
+// @desc    Overall AI spend for a date range
+// @route   GET /api/admin/ai-usage/summary
+// @access  Private/Admin
+exports.getUsageSummary = async (req, res) => {
+    const match = buildDateMatch(req.query);
+    if (!match) return invalidRangeResponse(res);
+
+    try {
+        const [summary] = await AIUsage.aggregate([
+            { $match: match },
+            { $group: { _id: null, ...spendAccumulators } },
+            { $project: { _id: 0 } }
+        ]);
+
+        res.status(200).json({
+            success: true,
+            range: { from: match.createdAt.$gte, to: match.createdAt.$lte },
+            data: summary ? formatSpendRow(summary) : null
+        });
+    } catch (error) {
+        console.error("Admin: Error getting AI usage summary:", error);
+        res.status(500).json({ success: false, message: 'Server error fetching AI usage summary.' });
+    }
+};
+
+// @desc    AI spend grouped per user (highest spend first)
+// @route   GET /api/admin/ai-usage/by-user
+// @access  Private/Admin
+exports.getSpendByUser = async (req, res) => {
+    const match = buildDateMatch(req.query);
+    if (!match) return invalidRangeResponse(res);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+    try {
+        const rows = await AIUsage.aggregate([
+            { $match: match },
+            { $group: { _id: '$userId', ...spendAccumulators } },
+            { $sort: { estimatedCostUsd: -1 } },
+            { $limit: limit },
+            { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+            { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+            {
+                $project: {
+                    _id: 0,
+                    userId: '$_id',
+                    name: '$user.name',
+                    email: '$user.email',
+                    subscriptionTier: '$user.subscriptionTier',
+                    calls: 1, failedCalls: 1, promptTokens: 1, completionTokens: 1,
+                    totalTokens: 1, retries: 1, avgLatencyMs: 1, estimatedCostUsd: 1
+                }
+            }
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: rows.length,
+            range: { from: match.createdAt.$gte, to: match.createdAt.$lte },
+            data: rows.map(formatSpendRow)
+        });
+    } catch (error) {
+        console.error("Admin: Error getting AI spend by user:", error);
+        res.status(500).json({ success: false, message: 'Server error fetching AI spend by user.' });
+    }
+};
+
+// @desc    AI spend grouped per feature and model
+// @route   GET /api/admin/ai-usage/by-feature
+// @access  Private/Admin
+exports.getSpendByFeature = async (req, res) => {
+    const match = buildDateMatch(req.query);
+    if (!match) return invalidRangeResponse(res);
+
+    try {
+        const rows = await AIUsage.aggregate([
+            { $match: match },
+            { $group: { _id: { feature: '$feature', model: '$model' }, ...spendAccumulators } },
+            { $sort: { estimatedCostUsd: -1 } },
+            { $project: { _id: 0, feature: '$_id.feature', model: '$_id.model', calls: 1, failedCalls: 1, promptTokens: 1, completionTokens: 1, totalTokens: 1, retries: 1, avgLatencyMs: 1, estimatedCostUsd: 1 } }
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: rows.length,
+            range: { from: match.createdAt.$gte, to: match.createdAt.$lte },
+            data: rows.map(formatSpendRow)
+        });
+    } catch (error) {
+        console.error("Admin: Error getting AI spend by feature:", error);
+        res.status(500).json({ success: false, message: 'Server error fetching AI spend by feature.' });
+    }
+};
+
+// @desc    AI spend per day (IST calendar days), optionally filtered by ?feature=
+// @route   GET /api/admin/ai-usage/daily
+// @access  Private/Admin
+exports.getSpendByDay = async (req, res) => {
+    const match = buildDateMatch(req.query);
+    if (!match) return invalidRangeResponse(res);
+    if (req.query.feature) match.feature = req.query.feature;
+
+    try {
+        const rows = await AIUsage.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'Asia/Kolkata' } },
+                    ...spendAccumulators
+                }
+            },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, date: '$_id', calls: 1, failedCalls: 1, promptTokens: 1, completionTokens: 1, totalTokens: 1, retries: 1, avgLatencyMs: 1, estimatedCostUsd: 1 } }
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: rows.length,
+            range: { from: match.createdAt.$gte, to: match.createdAt.$lte },
+            data: rows.map(formatSpendRow)
+        });
+    } catch (error) {
+        console.error("Admin: Error getting daily AI spend:", error);
+        res.status(500).json({ success: false, message: 'Server error fetching daily AI spend.' });
+    }
+};
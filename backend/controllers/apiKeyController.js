@@ -0,0 +1,104 @@
+// backend/controllers/apiKeyController.js
+const mongoose = require('mongoose');
+const authConfig = require('../config/authConfig');
+const {
+  createApiKey,
+  listApiKeys,
+  updateApiKey,
+  revokeApiKey
+} = require('../utils/apiKeyUtil');
+
+const serializeApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  keyPrefix: apiKey.keyPrefix,
+  scopes: apiKey.scopes,
+  createdAt: apiKey.createdAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp
+});
+
+const invalidKeyId = (res) => res.status(400).json({ success: false, message: 'Invalid API key ID format.' });
+
+// @desc    The logged-in user's API keys, and the scopes a key can have
+// @route   GET /api/users/me/api-keys
+// @access  Private
+exports.getMyApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.user._id);
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys.map(serializeApiKey),
+      availableScopes: authConfig.apiKeys.scopes
+    });
+  } catch (error) {
+    console.error(`Error listing API keys for user ${req.user._id}:`, error);
+    res.status(500).json({ success: false, message: 'Server error fetching API keys.' });
+  }
+};
+
+// @desc    Create an API key. The key is only returned here - it can't be shown again.
+// @route   POST /api/users/me/api-keys
+// @access  Private
+exports.createMyApiKey = async (req, res) => {
+  const { name, scopes } = req.body;
+
+  try {
+    const result = await createApiKey(req.user._id, { name, scopes });
+    if (result.error) return res.status(result.status).json({ success: false, message: result.error });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now - it will not be shown again.',
+      data: { ...serializeApiKey(result.apiKey), key: result.key }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ success: false, message: messages.join(' ') });
+    }
+    console.error(`Error creating API key for user ${req.user._id}:`, error);
+    res.status(500).json({ success: false, message: 'Server error creating API key.' });
+  }
+};
+
+// @desc    Rename an API key or change its scopes
+// @route   PATCH /api/users/me/api-keys/:id
+// @access  Private
+exports.updateMyApiKey = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return invalidKeyId(res);
+  const { name, scopes } = req.body;
+
+  try {
+    const result = await updateApiKey(req.user._id, req.params.id, { name, scopes });
+    if (result.error) return res.status(result.status).json({ success: false, message: result.error });
+
+    res.status(200).json({ success: true, message: 'API key updated.', data: serializeApiKey(result.apiKey) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ success: false, message: messages.join(' ') });
+    }
+    console.error(`Error updating API key ${req.params.id} for user ${req.user._id}:`, error);
+    res.status(500).json({ success: false, message: 'Server error updating API key.' });
+  }
+};
+
+// @desc    Revoke an API key (it stops working immediately)
+// @route   DELETE /api/users/me/api-keys/:id
+// @access  Private
+exports.revokeMyApiKey = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return invalidKeyId(res);
+
+  try {
+    const revoked = await revokeApiKey(req.user._id, req.params.id);
+    if (!revoked) return res.status(404).json({ success: false, message: 'API key not found.' });
+
+    console.log(`User ${req.user._id} revoked API key ${req.params.id}`);
+    res.status(200).json({ success: true, message: 'API key revoked.' });
+  } catch (error) {
+    console.error(`Error revoking API key ${req.params.id} for user ${req.user._id}:`, error);
+    res.status(500).json({ success: false, message: 'Server error revoking API key.' });
+  }
+};
@@ -1,15 +1,21 @@
 // backend/controllers/authController.js
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const bcrypt = require('bcryptjs'); // Needed for comparison if needed, hashing is in model
-const jwt = require('jsonwebtoken');
-
-// Utility function to generate JWT token
-const generateToken = (id) => {
-    console.log('JWT Secret Value:', process.env.JWT_SECRET); 
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d', // Use expiry from .env or default
-  });
-};
+const paymentConfig = require('../config/paymentConfig');
+const { startTrial } = require('../utils/trialUtil');
+const { sendVerificationEmail, verifyEmailToken } = require('../utils/verificationUtil');
+const { sendPasswordResetEmail, resetPassword } = require('../utils/passwordResetUtil');
+const { beginLoginAttempt, recordLoginFailure, releaseLoginAttempt } = require('../utils/loginThrottleUtil');
+const { isTwoFactorRequired, signChallengeToken } = require('../utils/twoFactorUtil');
+const {
+  createSession,
+  completeLogin,
+  refreshSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  listSessions
+} = require('../utils/sessionUtil');
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
@@ -38,15 +44,35 @@ exports.registerUser = async (req, res, next) => {
       password, // Provide plain password, mongoose hook will hash it
     });
 
-    // 4. Generate JWT token
-    const token = generateToken(user._id);
+    // 4. Start the free trial for new accounts when configured (never blocks registration)
+    if (paymentConfig.trial.enabled && paymentConfig.trial.onRegistration) {
+      try {
+        await startTrial(user._id, { source: 'registration' });
+      } catch (trialError) {
+        console.error(`Non-critical: Failed to start trial for new user ${user._id}:`, trialError.message);
+      }
+    }
+
+    // 5. Send the email verification link (the user can ask for another if this fails)
+    let verificationSent = false;
+    try {
+      verificationSent = Boolean((await sendVerificationEmail(user._id)).sent);
+    } catch (mailError) {
+      console.error(`Non-critical: Failed to send verification email to new user ${user._id}:`, mailError.message);
+    }
 
-    // 5. Send success response with token
+    // 6. Start a session (short-lived access token + refresh token)
+    const tokens = await createSession(user._id, req);
+
+    // 7. Send success response with tokens
     // We typically don't send the full user object back on register
     res.status(201).json({ // 201 Created status
       success: true,
-      message: 'User registered successfully',
-      token: token,
+      message: verificationSent
+        ? 'User registered successfully. Check your email to verify your address.'
+        : 'User registered successfully',
+      ...tokens,
+      verificationSent,
       // Optionally send back some user info (excluding sensitive fields)
       // user: { id: user._id, name: user.name, email: user.email }
     });
@@ -76,29 +102,55 @@ exports.loginUser = async (req, res, next) => {
         return res.status(400).json({ success: false, message: 'Please provide email and password' });
       }
   
-      // 2. Check for user by email - IMPORTANT: Select the password field explicitly
+      // 2. Count the attempt, turning away throttled emails/IPs before doing any password work
+      const throttle = await beginLoginAttempt({ email, ip: req.ip });
+      if (!throttle.allowed) {
+        res.set('Retry-After', String(throttle.retryAfterSeconds));
+        return res.status(429).json({
+          success: false,
+          message: throttle.locked
+            ? `Too many failed login attempts. Login is locked for ${Math.ceil(throttle.retryAfterSeconds / 60)} minutes.`
+            : `Too many failed login attempts. Try again in ${throttle.retryAfterSeconds} seconds.`,
+          retryAfterSeconds: throttle.retryAfterSeconds
+        });
+      }
+  
+      // 3. Check for user by email - IMPORTANT: Select the password field explicitly
       const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
   
-      // 3. If user not found or password doesn't match
+      // 4. If user not found or password doesn't match
       // Use a generic error message for security (don't reveal if email exists)
       if (!user || !(await user.comparePassword(password))) {
+         await recordLoginFailure({ email, ip: req.ip, userId: user?._id });
          return res.status(401).json({ success: false, message: 'Invalid credentials' }); // 401 Unauthorized
       }
   
       // --- User is found and password is correct ---
   
-      // 4. (Optional) Update last login timestamp
-      user.lastLoginAt = Date.now();
-      await user.save({ validateBeforeSave: false }); // Save without running all validators again
+      // 5. Accounts with 2FA (and admins, who must set it up) get a challenge instead of a session.
+      // The password attempt is taken back, but earlier failures stand until the second step succeeds.
+      if (user.twoFactor?.enabled || isTwoFactorRequired(user)) {
+        await releaseLoginAttempt({ email, ip: req.ip });
+        const enrollmentRequired = !user.twoFactor?.enabled;
+        return res.status(200).json({
+          success: true,
+          message: enrollmentRequired
+            ? 'Admin accounts must set up two-factor authentication to continue.'
+            : 'Enter the code from your authenticator app.',
+          twoFactorRequired: true,
+          enrollmentRequired,
+          challengeToken: signChallengeToken(user._id, enrollmentRequired ? 'enroll' : 'verify')
+        });
+      }
   
-      // 5. Generate JWT token
-      const token = generateToken(user._id);
+      // 6. Clear throttling, stamp lastLoginAt and start a session (short-lived access token + refresh token)
+      const tokens = await completeLogin(user, req);
   
-      // 6. Send success response with token
+      // 7. Send success response with tokens
       res.status(200).json({
         success: true,
         message: 'Login successful',
-        token: token,
+        ...tokens,
         // Optionally send back some user info (excluding sensitive fields)
         // user: { id: user._id, name: user.name, email: user.email, role: user.role }
       });
@@ -107,4 +159,169 @@ exports.loginUser = async (req, res, next) => {
       console.error('Login Error:', error); // Log the error
       res.status(500).json({ success: false, message: 'Server Error during login' });
     }
-  };
\ No newline at end of file
+  };
+
+// @desc    Verify an email address from the emailed link
+// @route   GET /api/auth/verify/:token
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+  try {
+    const user = await verifyEmailToken(req.params.token);
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'This verification link is invalid or has expired.' });
+    }
+
+    res.status(200).json({ success: true, message: 'Your email address has been verified.' });
+  } catch (error) {
+    console.error('Email Verification Error:', error);
+    res.status(500).json({ success: false, message: 'Server Error during email verification' });
+  }
+};
+
+// @desc    Send a new verification email to the logged-in user
+// @route   POST /api/auth/verify/resend
+// @access  Private
+exports.resendVerificationEmail = async (req, res) => {
+  try {
+    const result = await sendVerificationEmail(req.user._id);
+    if (result.error) {
+      if (result.retryAfterSeconds) res.set('Retry-After', String(result.retryAfterSeconds));
+      return res.status(result.status).json({ success: false, message: result.error, retryAfterSeconds: result.retryAfterSeconds });
+    }
+
+    res.status(200).json({ success: true, message: 'Verification email sent.' });
+  } catch (error) {
+    console.error(`Error resending verification email for user ${req.user._id}:`, error);
+    res.status(500).json({ success: false, message: 'Could not send the verification email. Please try again.' });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  const { email } = req.body;
+  if (!email) {
+    return res.status(400).json({ success: false, message: 'Please provide your email address' });
+  }
+
+  try {
+    await sendPasswordResetEmail(email);
+  } catch (error) {
+    // Still answer as if it worked - an error here mustn't reveal that the account exists
+    console.error('Forgot Password Error:', error);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent.'
+  });
+};
+
+// @desc    Set a new password using the emailed reset token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  const { password } = req.body;
+  if (!password || password.length < 8) {
+    return res.status(400).json({ success: false, message: 'New password must be at least 8 characters long.' });
+  }
+
+  try {
+    const user = await resetPassword(req.params.token, password);
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'This password reset link is invalid or has expired.' });
+    }
+
+    res.status(200).json({ success: true, message: 'Your password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Password Reset Error:', error);
+    res.status(500).json({ success: false, message: 'Server Error during password reset' });
+  }
+};
+
+// @desc    Swap a refresh token for a new access token and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+exports.refreshToken = async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, message: 'Please provide a refresh token' });
+  }
+
+  try {
+    const result = await refreshSession(refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({ success: false, message: result.error, reuseDetected: result.reuseDetected });
+    }
+
+    res.status(200).json({ success: true, message: 'Token refreshed', ...result });
+  } catch (error) {
+    console.error('Token Refresh Error:', error);
+    res.status(500).json({ success: false, message: 'Server Error during token refresh' });
+  }
+};
+
+// @desc    Log out: end the session the refresh token belongs to
+// @route   POST /api/auth/logout
+// @access  Public (refresh token)
+exports.logoutUser = async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, message: 'Please provide a refresh token' });
+  }
+
+  try {
+    // Answer the same for unknown or already-ended sessions - the client is logged out either way
+    await revokeSessionByRefreshToken(refreshToken);
+    res.status(200).json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout Error:', error);
+    res.status(500).json({ success: false, message: 'Server Error during logout' });
+  }
+};
+
+// @desc    The logged-in user's active sessions (devices)
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: Boolean(req.sessionId) && session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error(`Error listing sessions for user ${req.user._id}:`, error);
+    res.status(500).json({ success: false, message: 'Server error fetching sessions.' });
+  }
+};
+
+// @desc    Sign one of the logged-in user's sessions out
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.deleteSession = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'Invalid session ID format.' });
+  }
+
+  try {
+    const revoked = await revokeSession({ _id: req.params.id, userId: req.user._id }, 'user');
+    if (!revoked) return res.status(404).json({ success: false, message: 'Session not found.' });
+
+    console.log(`User ${req.user._id} revoked session ${req.params.id}`);
+    res.status(200).json({ success: true, message: 'Session signed out.' });
+  } catch (error) {
+    console.error(`Error revoking session ${req.params.id} for user ${req.user._id}:`, error);
+    res.status(500).json({ success: false, message: 'Server error while signing the session out.' });
+  }
+};
@@ -1,138 +1,50 @@
 // backend/controllers/contentController.js
-const { OpenAI } = require("openai");
 const User = require('../models/User'); // Import User model for usage tracking
-const { z } = require("zod"); // Import Zod for validation
 const usageUtil = require('../utils/usageUtil'); // Import the usage utility
-const { withRetry } = require('../utils/aiUtils');
-
-// --- ZOD Schema Definition ---
-const ideaSchema = z.object({
-  title: z.string().min(5, { message: "Title seems too short." }),
-  angle: z.string().min(10, { message: "Angle description is too brief." }),
-  tags: z.array(z.string()).min(2, { message: "At least two tags are expected." }),
-  hook: z.string().optional().describe("A catchy opening line or visual idea (3-5 seconds)."),
-  structure_points: z.array(z.string()).optional().describe("Key segments or talking points for the content."),
-  platform_suitability: z.enum(['High', 'Medium', 'Low', null]).optional().describe("How suitable the idea is for the requested platform ('High', 'Medium', 'Low', or null)."),
-  intendedEmotion: z.string().optional().describe("The primary emotion this idea aims to evoke (e.g., Joy, Curiosity, Empathy).")
-});
-
-const ideasResponseSchema = z.object({
-  ideas: z.array(ideaSchema).min(1, { message: "Expected at least one content idea." })
-});
-// --- End Zod Schema Definition ---
-
-
-// --- Initialize OpenAI Client ---
-let openai;
-if (process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-} else {
-    console.warn("****************************************************************");
-    console.warn("WARN: OPENAI_API_KEY not found in environment variables!");
-    console.warn("WARN: AI features in contentController will not function.");
-    console.warn("****************************************************************");
-    openai = null;
-}
-// --- End OpenAI Client Initialization ---
+const aiService = require('../services/ai');
+const { getGenerationProfile, getModelOptions } = require('../utils/generationUtil');
+const { ideasResponseSchema } = require('../services/ai/schemas');
+const jobQueue = require('../services/jobs');
 
 
 // @desc    Generate Enhanced Content Ideas using AI
 // @route   POST /api/content/ideation
 // @access  Private (Requires Login)
 exports.generateContentIdeas = async (req, res, next) => {
-  if (!openai) return res.status(500).json({ success: false, message: 'AI service not configured.' });
-
   // --- Input ---
-  const {
-      topic, keywords = [], platform, language,
-      niche = "General Indian Audience", tone = "Engaging and Informative",
-      targetAudienceDetails = "Broad audience across India", numberOfIdeas = 5,
-      emotionalGoal = null, keyTakeaway = null, targetAudiencePainPoint = null
-  } = req.body;
+  const { numberOfIdeas = 5 } = req.body;
   const userId = req.user?._id;
   const userName = req.user?.name;
+  const profile = getGenerationProfile(req.user?.subscriptionTier);
 
   if (!userId || !userName) return res.status(401).json({ success: false, message: 'User information not found in request.' });
 
   // --- Validation ---
-  if (!topic && keywords.length === 0) return res.status(400).json({ success: false, message: 'Please provide topic or keywords.' });
-  if (numberOfIdeas < 1 || numberOfIdeas > 10) return res.status(400).json({ success: false, message: 'Number of ideas must be between 1 and 10.' });
-
-  // --- Enhanced Prompt Engineering ---
-  const currentDate = new Date().toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }); // Current Date: Wednesday, 9 April 2025
-  const currentLocation = "Bengaluru, Karnataka, India"; // Current Location Context
-
-  let systemPrompt = `You are 'CreatorGenius', an expert AI assistant for Indian content creators in ${currentLocation} (Date: ${currentDate}). Generate relevant, creative, actionable ideas focusing on cultural nuances, platform best practices, and emotional connection based on the creator's goals.`;
-  let userPrompt = `Creator ${userName} (User ID: ${userId}) needs ${numberOfIdeas} unique content ideas. Details:\n`;
-  userPrompt += `- Niche: ${niche}\n`;
-  if (topic) userPrompt += `- Topic: ${topic}\n`;
-  if (keywords.length > 0) userPrompt += `- Keywords: ${keywords.join(', ')}\n`;
-  if (platform) userPrompt += `- Platform: ${platform}\n`;
-  if (language) userPrompt += `- Language: ${language}\n`;
-  userPrompt += `- Audience: ${targetAudienceDetails}\n`;
-  if (targetAudiencePainPoint) userPrompt += `- Audience Pain Point: ${targetAudiencePainPoint}\n`;
-  userPrompt += `- Tone: ${tone}\n`;
-  if (emotionalGoal) userPrompt += `- Emotional Goal: ${emotionalGoal}\n`;
-  if (keyTakeaway) userPrompt += `- Key Takeaway: ${keyTakeaway}\n`;
-
-  // --- MODIFIED Output Requirements ---
-  userPrompt += `\n**Output Requirements:**
-Generate the output strictly as a JSON object containing a single key "ideas". This key must hold an array of exactly ${numberOfIdeas} distinct idea objects. Each idea object must include:
-1.  "title": A catchy, engaging headline (string).
-2.  "angle": A **detailed** description (approx. 2-3 sentences) explaining the idea's unique perspective, key message, **how it aligns with the creator's emotional goal or addresses the audience pain point**, and why it would be engaging (string).
-3.  "tags": An array of 2-5 relevant keywords/hashtags (array of strings).
-4.  "hook": (Recommended) A **descriptive** hook idea (visual or verbal, ~20-30 words) suitable for the platform and aligned with the desired emotion (string).
-5.  "structure_points": (Recommended) An array of 2-4 key talking points or segments, **each with a short phrase explaining its content**, leading to the key takeaway (array of strings).
-6.  "platform_suitability": (Optional) Rate suitability for '${platform || 'the primary platform'}' using **ONLY ONE** of these exact words: 'High', 'Medium', or 'Low'. **Do NOT output the platform name.** (enum string: 'High'|'Medium'|'Low'|null).
-7.  "intendedEmotion": (Recommended) The primary emotion this specific idea aims to evoke (e.g., Joy, Curiosity, Empathy, Urgency, Nostalgia, Humor, Inspiration) (string).
-
-Example Object within the 'ideas' array: {"title": "...", "angle": "Detailed angle description connecting to goals...", "tags": ["...", "..."], "hook": "Descriptive hook idea...", "structure_points": ["Point 1: Brief explanation...", "Point 2: Brief explanation..."], "platform_suitability": "High", "intendedEmotion": "Joy"}
+  const invalid = validateIdeationInput(req.body, profile);
+  if (invalid) return res.status(invalid.status).json({ success: false, ...invalid.body });
 
-Ensure the entire output is valid JSON, starting with { and ending with }.`;
-  // --- End MODIFIED Output Requirements ---
-
-  const modelToUse = "gpt-3.5-turbo";
+  const { systemPrompt, userPrompt } = buildIdeationPrompts(req.body, { userId, userName });
 
   // --- API Call & Processing ---
   try {
     console.log(`Generating ${numberOfIdeas} ideas for user ${userId} (${userName}). Input:`, req.body);
-    const response = await withRetry(() => openai.chat.completions.create({
-      model: modelToUse,
-      messages: [{ role: "system", content: systemPrompt }, { role: "user", content: userPrompt }],
-      temperature: 0.75,
-      response_format: { type: "json_object" },
-    }));
-    const rawContent = response.choices[0]?.message?.content;
-    if (!rawContent) throw new Error("No content received from OpenAI.");
-    console.log("Raw content string:", rawContent);
-
-    let validatedData;
-    try {
-        validatedData = ideasResponseSchema.parse(JSON.parse(rawContent));
-        console.log("Successfully parsed/validated response.");
-    } catch (error) { // Handle parsing or Zod validation error
-        console.error("Failed parsing/validating OpenAI JSON:", error);
-        if (error instanceof z.ZodError) console.error("Zod Errors:", error.errors);
-        return res.status(500).json({ success: false, message: "AI response format error.", details: error instanceof z.ZodError ? error.errors : error.message, raw_content: rawContent });
-    }
+    const { data: validatedData } = await aiService.generateJSON({
+      feature: 'contentIdeation',
+      systemPrompt,
+      userPrompt,
+      schema: ideasResponseSchema,
+      context: aiService.requestContext(req),
+      ...getModelOptions(profile)
+    });
 
-    // Increment usage counter - this is now handled by middleware, but keeping as backup
-    try {
-      await usageUtil.incrementUsageCounter(userId, 'monthly', 'contentIdeations');
-      console.log(`Successfully incremented ideation counter for user ${userId}`);
-    } catch (updateError) {
-      console.error(`Non-critical: Failed usage update for ${userId}:`, updateError);
-    }
+    usageUtil.commitUsage(req); // Keep the credit reserved by monthlyLimit
 
     // --- Success Response ---
     res.status(200).json({ success: true, message: `Generated ${validatedData.ideas.length} ideas successfully.`, data: validatedData.ideas });
 
   } catch (error) { // Handle AI call errors or other unexpected errors
-     if (error instanceof OpenAI.APIError) console.error('OpenAI API Error:', { status: error.status, error: error.error });
-     else console.error('Generic Error in generateContentIdeas:', error.message);
-     res.status(500).json({ success: false, message: 'Failed to generate ideas from AI.' });
+     const { status, body } = aiService.toHttpError(error, 'Failed to generate ideas from AI.');
+     res.status(status).json(body);
   }
 };
 
@@ -141,11 +53,10 @@ Ensure the entire output is valid JSON, starting with { and ending with }.`;
 // @route   POST /api/content/trend-ideation
 // @access  Private (Requires Login)
 exports.generateTrendIdeas = async (req, res, next) => {
-  if (!openai) return res.status(500).json({ success: false, message: 'AI service is not configured.' });
-
   // --- Input & User Context ---
   const userId = req.user?.id || req.user?._id; // Handle both id and _id formats
   const userTier = req.user?.subscriptionTier || 'free';
+  const profile = getGenerationProfile(userTier);
   const userName = req.user?.name;
   const userInterests = req.user?.interests || [];
 
@@ -159,9 +70,10 @@ exports.generateTrendIdeas = async (req, res, next) => {
 
   // --- Validation ---
   if (!trendDescription || typeof trendDescription !== 'string' || trendDescription.trim() === '') return res.status(400).json({ success: false, message: 'Please provide trend description.' });
-  if (numberOfIdeas < 1 || numberOfIdeas > 5) return res.status(400).json({ success: false, message: 'Number of ideas must be 1-5.' });
+  if (numberOfIdeas < 1) return res.status(400).json({ success: false, message: 'Number of ideas must be at least 1.' });
+  if (numberOfIdeas > profile.maxTrendIdeasPerRequest) return res.status(403).json({ success: false, message: `Your plan allows up to ${profile.maxTrendIdeasPerRequest} trend ideas per request.`, limit: profile.maxTrendIdeasPerRequest, upgradeTier: true });
 
-  // Note: Usage limits are now checked by middleware before this controller runs
+  // Note: Usage is checked and counted (atomically) by the dailyLimit middleware before this controller runs
   // The middleware will return a 429 error if limits are exceeded
 
   // --- Construct Prompt ---
@@ -196,35 +108,192 @@ Ensure the entire output is valid JSON, starting with { and ending with }.`;
   // --- API Call & Processing ---
   try {
       console.log(`Generating ${numberOfIdeas} trend ideas for user ${userId}. Trend: "${trendDescription}"`);
-      const response = await withRetry(() => openai.chat.completions.create({ model: gpt-3.5-turbo, messages: [{ role: "system", content: systemPrompt }, { role: "user", content: userPrompt }], temperature: 0.75, response_format: { type: "json_object" }, }));
-      const rawContent = response.choices[0]?.message?.content;
-      if (!rawContent) throw new Error("No content from OpenAI for trend ideation.");
-      console.log("Raw trend ideation content string:", rawContent);
-
-      let validatedData;
-      try {
-          validatedData = ideasResponseSchema.parse(JSON.parse(rawContent));
-          console.log("Successfully parsed/validated trend ideation response.");
-      } catch (error) { // Handle parsing or Zod validation error
-          console.error("Failed parsing/validating trend ideation JSON:", error);
-           if (error instanceof z.ZodError) console.error("Zod Errors:", error.errors);
-           return res.status(500).json({ success: false, message: "AI response format error.", details: error instanceof z.ZodError ? error.errors : error.message, raw_content: rawContent });
-      }
-
-      // Increment usage counter - this is now handled by middleware, but keeping as backup
-      try {
-          await usageUtil.incrementUsageCounter(userId, 'daily', 'trendIdeations');
-          console.log(`Successfully incremented trend ideation counter for user ${userId}`);
-      } catch (incrementError) {
-          console.error(`Non-critical: Failed usage update for ${userId}:`, incrementError);
-      }
+      const { data: validatedData } = await aiService.generateJSON({
+          feature: 'trendIdeation',
+          systemPrompt,
+          userPrompt,
+          schema: ideasResponseSchema,
+          context: aiService.requestContext(req),
+          ...getModelOptions(profile)
+      });
+
+      usageUtil.commitUsage(req); // Keep the credit reserved by dailyLimit
 
       // --- Success Response ---
       res.status(200).json({ success: true, message: `Generated ${validatedData.ideas.length} trend ideas successfully.`, trendDescription: trendDescription, data: validatedData.ideas });
 
   } catch (error) { // Handle AI call errors or other unexpected errors
-      if (error instanceof OpenAI.APIError) console.error('OpenAI API Trend Ideation Error:', { status: error.status, error: error.error });
-      else console.error('Generic Error in generateTrendIdeas:', error.message);
-      res.status(500).json({ success: false, message: 'Failed to generate trend ideas from AI.' });
+      const { status, body } = aiService.toHttpError(error, 'Failed to generate trend ideas from AI.');
+      res.status(status).json(body);
   }
-};
\ No newline at end of file
+};
+
+// @desc    Queue several content ideation requests as one background job
+// @route   POST /api/content/ideation/batch
+// @access  Private (Requires Login)
+exports.generateIdeationBatch = async (req, res, next) => {
+  const { requests } = req.body;
+  const userId = req.user?._id;
+  const userName = req.user?.name;
+  const profile = getGenerationProfile(req.user?.subscriptionTier);
+
+  if (!userId || !userName) return res.status(401).json({ success: false, message: 'User information not found in request.' });
+
+  // --- Validation ---
+  if (!Array.isArray(requests) || requests.length === 0) return res.status(400).json({ success: false, message: 'Please provide a non-empty "requests" array.' });
+  if (requests.length > profile.maxIdeationBatchSize) return res.status(403).json({ success: false, message: `Your plan allows up to ${profile.maxIdeationBatchSize} ideation requests per batch.`, limit: profile.maxIdeationBatchSize, upgradeTier: true });
+
+  for (let i = 0; i < requests.length; i++) {
+    const invalid = validateIdeationInput(requests[i] || {}, profile);
+    if (invalid) return res.status(invalid.status).json({ success: false, ...invalid.body, message: `Request ${i + 1}: ${invalid.body.message}`, index: i });
+  }
+
+  try {
+    // Every request in the batch counts as one ideation, so the whole batch must fit in what's left
+    // (the monthly allowance plus any purchased credits)
+    const user = await usageUtil.checkAndResetCounters(userId);
+    const limitCheck = await usageUtil.checkUsageLimit(user, 'monthly', 'contentIdeations');
+    const credits = user.credits?.contentIdeations || 0;
+    if (limitCheck.limit !== 'unlimited' && limitCheck.remaining + credits < requests.length) {
+      usageUtil.recordUsageEvent({
+        userId, feature: 'contentIdeations', limitType: 'monthly', action: 'blocked',
+        valueAfter: limitCheck.currentUsage, limit: limitCheck.limit, tier: user.subscriptionTier
+      });
+      return res.status(429).json({
+        success: false,
+        message: `This batch needs ${requests.length} ideations but only ${limitCheck.remaining + credits} remain this month.`,
+        limit: limitCheck.limit,
+        current: limitCheck.currentUsage,
+        credits,
+        resetTime: (await usageUtil.getUsageWindows(user)).monthly.end,
+        upgradeTier: true,
+        buyCredits: true
+      });
+    }
+
+    const job = await jobQueue.enqueue({
+      userId,
+      type: 'ideationBatch',
+      payload: {
+        requests,
+        userName,
+        tier: req.user.subscriptionTier,
+        context: aiService.requestContext(req)
+      },
+      total: requests.length
+    });
+
+    res.status(202).json({ success: true, message: `Queued ${requests.length} ideation requests.`, data: jobQueue.serializeJob(job) });
+  } catch (error) {
+    console.error(`Error queueing ideation batch for ${userId}:`, error);
+    res.status(500).json({ success: false, message: 'Failed to queue ideation batch.' });
+  }
+};
+
+// --- Helper Functions ---
+
+// Returns { status, body } describing the first problem with an ideation input, or null if it's valid
+function validateIdeationInput({ topic, keywords = [], numberOfIdeas = 5 }, profile) {
+  if (!topic && keywords.length === 0) return { status: 400, body: { message: 'Please provide topic or keywords.' } };
+  if (numberOfIdeas < 1) return { status: 400, body: { message: 'Number of ideas must be at least 1.' } };
+  if (numberOfIdeas > profile.maxIdeasPerRequest) return { status: 403, body: { message: `Your plan allows up to ${profile.maxIdeasPerRequest} ideas per request.`, limit: profile.maxIdeasPerRequest, upgradeTier: true } };
+  return null;
+}
+
+// Build the content ideation prompts (shared by the single endpoint and the batch job)
+function buildIdeationPrompts(input, { userId, userName }) {
+  const {
+      topic, keywords = [], platform, language,
+      niche = "General Indian Audience", tone = "Engaging and Informative",
+      targetAudienceDetails = "Broad audience across India", numberOfIdeas = 5,
+      emotionalGoal = null, keyTakeaway = null, targetAudiencePainPoint = null
+  } = input;
+
+  const currentDate = new Date().toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata', weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }); // Current Date: Wednesday, 9 April 2025
+  const currentLocation = "Bengaluru, Karnataka, India"; // Current Location Context
+
+  let systemPrompt = `You are 'CreatorGenius', an expert AI assistant for Indian content creators in ${currentLocation} (Date: ${currentDate}). Generate relevant, creative, actionable ideas focusing on cultural nuances, platform best practices, and emotional connection based on the creator's goals.`;
+  let userPrompt = `Creator ${userName} (User ID: ${userId}) needs ${numberOfIdeas} unique content ideas. Details:\n`;
+  userPrompt += `- Niche: ${niche}\n`;
+  if (topic) userPrompt += `- Topic: ${topic}\n`;
+  if (keywords.length > 0) userPrompt += `- Keywords: ${keywords.join(', ')}\n`;
+  if (platform) userPrompt += `- Platform: ${platform}\n`;
+  if (language) userPrompt += `- Language: ${language}\n`;
+  userPrompt += `- Audience: ${targetAudienceDetails}\n`;
+  if (targetAudiencePainPoint) userPrompt += `- Audience Pain Point: ${targetAudiencePainPoint}\n`;
+  userPrompt += `- Tone: ${tone}\n`;
+  if (emotionalGoal) userPrompt += `- Emotional Goal: ${emotionalGoal}\n`;
+  if (keyTakeaway) userPrompt += `- Key Takeaway: ${keyTakeaway}\n`;
+
+  // --- MODIFIED Output Requirements ---
+  userPrompt += `\n**Output Requirements:**
+Generate the output strictly as a JSON object containing a single key "ideas". This key must hold an array of exactly ${numberOfIdeas} distinct idea objects. Each idea object must include:
+1.  "title": A catchy, engaging headline (string).
+2.  "angle": A **detailed** description (approx. 2-3 sentences) explaining the idea's unique perspective, key message, **how it aligns with the creator's emotional goal or addresses the audience pain point**, and why it would be engaging (string).
+3.  "tags": An array of 2-5 relevant keywords/hashtags (array of strings).
+4.  "hook": (Recommended) A **descriptive** hook idea (visual or verbal, ~20-30 words) suitable for the platform and aligned with the desired emotion (string).
+5.  "structure_points": (Recommended) An array of 2-4 key talking points or segments, **each with a short phrase explaining its content**, leading to the key takeaway (array of strings).
+6.  "platform_suitability": (Optional) Rate suitability for '${platform || 'the primary platform'}' using **ONLY ONE** of these exact words: 'High', 'Medium', or 'Low'. **Do NOT output the platform name.** (enum string: 'High'|'Medium'|'Low'|null).
+7.  "intendedEmotion": (Recommended) The primary emotion this specific idea aims to evoke (e.g., Joy, Curiosity, Empathy, Urgency, Nostalgia, Humor, Inspiration) (string).
+
+Example Object within the 'ideas' array: {"title": "...", "angle": "Detailed angle description connecting to goals...", "tags": ["...", "..."], "hook": "Descriptive hook idea...", "structure_points": ["Point 1: Brief explanation...", "Point 2: Brief explanation..."], "platform_suitability": "High", "intendedEmotion": "Joy"}
+
+Ensure the entire output is valid JSON, starting with { and ending with }.`;
+
+  return { systemPrompt, userPrompt };
+}
+
+// --- Background job handlers (see services/jobs) ---
+
+// Runs each ideation request in turn, reserving a monthly credit as each one starts and releasing it if it fails
+jobQueue.registerHandler('ideationBatch', async (job, { setProgress }) => {
+  const { requests, userName, tier, context } = job.payload;
+  const profile = getGenerationProfile(tier);
+  const results = [];
+  let completed = 0;
+  let failed = 0;
+
+  for (let index = 0; index < requests.length; index++) {
+    // Count the request before calling the AI; a batch can't overrun the monthly limit (or the user's credits)
+    const counted = await usageUtil.consumeUsageOrCredit(job.userId, tier, 'monthly', 'contentIdeations');
+    if (!counted) {
+      usageUtil.recordUsageEvent({ userId: job.userId, feature: 'contentIdeations', limitType: 'monthly', action: 'blocked', tier });
+      results.push({ index, error: 'Monthly content ideation limit reached' });
+      failed += 1;
+      await setProgress({ completed, failed });
+      continue;
+    }
+
+    const { systemPrompt, userPrompt } = buildIdeationPrompts(requests[index], { userId: job.userId, userName });
+    try {
+      const { data } = await aiService.generateJSON({
+        feature: 'contentIdeation',
+        systemPrompt,
+        userPrompt,
+        schema: ideasResponseSchema,
+        context,
+        ...getModelOptions(profile)
+      });
+      results.push({ index, ideas: data.ideas });
+      completed += 1;
+    } catch (error) {
+      // Give the credit back for a request that produced nothing
+      await usageUtil.releaseReservedUsage(job.userId, [{ limitType: 'monthly', featureKey: 'contentIdeations', source: counted.source }]);
+      // Configuration problems will fail every request, so stop early
+      if (error instanceof aiService.AINotConfiguredError) throw error;
+      console.error(`Ideation batch ${job._id} request ${index} failed:`, error.message);
+      results.push({ index, error: error.message });
+      failed += 1;
+    }
+    await setProgress({ completed, failed });
+  }
+
+  let status = 'succeeded';
+  if (failed > 0) status = completed > 0 ? 'partial' : 'failed';
+
+  return {
+    status,
+    error: failed > 0 ? `${failed} of ${requests.length} ideation requests failed` : undefined,
+    result: { batches: results }
+  };
+});
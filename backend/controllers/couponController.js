@@ -0,0 +1,122 @@
+// backend/controllers/couponController.js
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+// --- Helper Functions ---
+
+// Fields an admin may set when creating or editing a coupon
+const EDITABLE_FIELDS = [
+    'code', 'description', 'percentOff', 'amountOff', 'maxRedemptions', 'perUserLimit',
+    'applicablePlans', 'razorpayOfferId', 'validFrom', 'validUntil', 'isActive'
+];
+
+const pickEditableFields = (body = {}) => {
+    const fields = {};
+    EDITABLE_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    return fields;
+};
+
+// Turn validation and duplicate-code errors into 400s
+const handleCouponError = (res, error, action) => {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+        const messages = error.errors ? Object.values(error.errors).map(err => err.message) : [error.message];
+        return res.status(400).json({ success: false, message: messages.join(' ') });
+    }
+    if (error.code === 11000) {
+        return res.status(400).json({ success: false, message: 'A coupon with this code already exists.' });
+    }
+    console.error(`Admin: Error ${action} coupon:`, error);
+    return res.status(500).json({ success: false, message: `Server error while ${action} coupon.` });
+};
+
+// ===============================================
+// --- ADMIN ONLY Functions ---
+// ===============================================
+
+// @desc    List coupons (newest first)
+// @route   GET /api/admin/coupons?active=true
+// @access  Private/Admin
+exports.getCoupons = async (req, res) => {
+    const filter = {};
+    if (req.query.active === 'true') filter.isActive = true;
+    if (req.query.active === 'false') filter.isActive = false;
+
+    try {
+        const coupons = await Coupon.find(filter)
+            .sort({ createdAt: -1 })
+            .populate('applicablePlans', 'name tier billingCycle');
+        res.status(200).json({ success: true, count: coupons.length, data: coupons });
+    } catch (error) {
+        console.error("Admin: Error listing coupons:", error);
+        res.status(500).json({ success: false, message: 'Server error fetching coupons.' });
+    }
+};
+
+// @desc    One coupon with its most recent redemptions
+// @route   GET /api/admin/coupons/:id
+// @access  Private/Admin
+exports.getCouponById = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: 'Invalid coupon ID format.' });
+    }
+
+    try {
+        const coupon = await Coupon.findById(req.params.id).populate('applicablePlans', 'name tier billingCycle');
+        if (!coupon) return res.status(404).json({ success: false, message: 'Coupon not found.' });
+
+        const redemptions = await CouponRedemption.find({ couponId: coupon._id })
+            .sort({ createdAt: -1 })
+            .limit(50)
+            .populate('userId', 'name email');
+
+        res.status(200).json({ success: true, data: { coupon, redemptions } });
+    } catch (error) {
+        console.error(`Admin: Error fetching coupon ${req.params.id}:`, error);
+        res.status(500).json({ success: false, message: 'Server error fetching coupon.' });
+    }
+};
+
+// @desc    Create a coupon
+// @route   POST /api/admin/coupons
+// @access  Private/Admin
+exports.createCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.create({ ...pickEditableFields(req.body), createdBy: req.user._id });
+
+        console.log(`Admin: Coupon '${coupon.code}' created by ${req.user._id}`);
+        res.status(201).json({ success: true, message: 'Coupon created.', data: coupon });
+    } catch (error) {
+        handleCouponError(res, error, 'creating');
+    }
+};
+
+// @desc    Edit a coupon (limits, expiry, plans, isActive...)
+// @route   PUT /api/admin/coupons/:id
+// @access  Private/Admin
+exports.updateCoupon = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: 'Invalid coupon ID format.' });
+    }
+
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) return res.status(404).json({ success: false, message: 'Coupon not found.' });
+
+        // Renaming a used code would orphan its redemptions and the discounts recorded on subscriptions
+        if (req.body.code !== undefined && coupon.redemptionCount > 0 &&
+            String(req.body.code).trim().toUpperCase() !== coupon.code) {
+            return res.status(400).json({ success: false, message: 'A coupon that has been redeemed cannot change its code.' });
+        }
+
+        coupon.set(pickEditableFields(req.body));
+        await coupon.save();
+
+        console.log(`Admin: Coupon '${coupon.code}' updated by ${req.user._id}`);
+        res.status(200).json({ success: true, message: 'Coupon updated.', data: coupon });
+    } catch (error) {
+        handleCouponError(res, error, 'updating');
+    }
+};
@@ -0,0 +1,320 @@
+// backend/controllers/creditController.js
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CreditPack = require('../models/CreditPack');
+const CreditTransaction = require('../models/CreditTransaction');
+const PaymentHistory = require('../models/PaymentHistory');
+const paymentConfig = require('../config/paymentConfig');
+const payments = require('../services/payments');
+const { isCreditFeature, grantCredits, fulfillCreditPurchase } = require('../utils/creditUtil');
+const { issueInvoiceSafely } = require('../utils/invoiceUtil');
+
+// --- Helper Functions ---
+
+const paymentsDisabled = (res) => res.status(503).json({
+    success: false,
+    message: 'Payments are not enabled on this server.'
+});
+
+// Message from a gateway/SDK rejection
+const gatewayErrorMessage = (error) => error?.error?.description || error.message;
+
+// Fields an admin may set when creating or editing a pack
+const EDITABLE_FIELDS = ['name', 'description', 'feature', 'credits', 'price', 'isActive', 'sortOrder'];
+
+const pickEditableFields = (body = {}) => {
+    const fields = {};
+    EDITABLE_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    return fields;
+};
+
+// Turn validation errors into 400s
+const handlePackError = (res, error, action) => {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+        const messages = error.errors ? Object.values(error.errors).map(err => err.message) : [error.message];
+        return res.status(400).json({ success: false, message: messages.join(' ') });
+    }
+    console.error(`Admin: Error ${action} credit pack:`, error);
+    return res.status(500).json({ success: false, message: `Server error while ${action} credit pack.` });
+};
+
+const serializePack = (pack) => ({
+    id: pack._id,
+    name: pack.name,
+    description: pack.description,
+    feature: pack.feature,
+    featureLabel: paymentConfig.creditFeatures[pack.feature]?.label,
+    credits: pack.credits,
+    price: pack.price
+});
+
+// @desc    Credit packs on sale
+// @route   GET /api/payments/credit-packs
+// @access  Public
+exports.getCreditPacks = async (req, res) => {
+    try {
+        const packs = await CreditPack.find({ isActive: true }).sort({ sortOrder: 1, 'price.amount': 1 });
+        res.status(200).json({ success: true, count: packs.length, data: packs.map(serializePack) });
+    } catch (error) {
+        console.error('Error fetching credit packs:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching credit packs.' });
+    }
+};
+
+// @desc    Start buying a credit pack: create a gateway order for Checkout
+// @route   POST /api/payments/credit-packs/:id/purchase
+// @access  Private
+exports.purchaseCreditPack = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: 'Invalid credit pack ID format.' });
+    }
+    if (!payments.isConfigured()) return paymentsDisabled(res);
+    const userId = req.user._id;
+
+    try {
+        const pack = await CreditPack.findOne({ _id: req.params.id, isActive: true });
+        if (!pack) return res.status(404).json({ success: false, message: 'Credit pack not found.' });
+
+        const gateway = payments.getGateway();
+        const currency = pack.price.currency || paymentConfig.currency;
+        const amount = pack.price.amount;
+        // The payment record's id doubles as the receipt (Razorpay allows at most 40 characters)
+        const paymentRecordId = new mongoose.Types.ObjectId();
+        const order = await gateway.createOrder({
+            amount: payments.toSubunits(amount),
+            currency,
+            receipt: paymentRecordId.toString(),
+            notes: { userId: userId.toString(), creditPackId: pack._id.toString() }
+        });
+
+        await PaymentHistory.create({
+            _id: paymentRecordId,
+            userId,
+            razorpayOrderId: order.id,
+            amount,
+            currency,
+            status: 'created',
+            description: pack.name,
+            metadata: { type: 'credit_pack', packId: pack._id, feature: pack.feature, credits: pack.credits }
+        });
+
+        console.log(`Credit pack purchase started for user ${userId}: ${pack.name} via ${gateway.name} (${order.id})`);
+        res.status(201).json({
+            success: true,
+            message: 'Complete the payment to add the credits.',
+            data: {
+                pack: serializePack(pack),
+                checkout: {
+                    keyId: gateway.getKeyId(),
+                    orderId: order.id,
+                    amount: payments.toSubunits(amount),
+                    currency,
+                    description: pack.name,
+                    prefill: { name: req.user.name, email: req.user.email }
+                }
+            }
+        });
+    } catch (error) {
+        console.error(`Error starting credit pack purchase for user ${userId}:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while starting the purchase.',
+            error: gatewayErrorMessage(error)
+        });
+    }
+};
+
+// @desc    Verify the signed Checkout response for a credit pack and add the credits
+// @route   POST /api/payments/credit-packs/verify
+// @access  Private
+exports.verifyCreditPurchase = async (req, res) => {
+    const {
+        razorpay_payment_id: paymentId,
+        razorpay_order_id: orderId,
+        razorpay_signature: signature
+    } = req.body;
+    const userId = req.user._id;
+
+    if (!paymentId || !orderId || !signature) {
+        return res.status(400).json({
+            success: false,
+            message: 'razorpay_payment_id, razorpay_order_id and razorpay_signature are required.'
+        });
+    }
+    if (!payments.isConfigured()) return paymentsDisabled(res);
+
+    try {
+        const payment = await PaymentHistory.findOne({ userId, razorpayOrderId: orderId, 'metadata.type': 'credit_pack' })
+            .sort({ createdAt: -1 });
+        if (!payment) return res.status(404).json({ success: false, message: 'No payment found for this order.' });
+
+        const gateway = payments.getGateway();
+        if (!gateway.verifyPaymentSignature({ orderId, paymentId, signature })) {
+            console.warn(`Credit pack payment signature mismatch for user ${userId} (payment ${paymentId})`);
+            if (payment.status === 'created') {
+                payment.set({ razorpayPaymentId: paymentId, status: 'failed', metadata: { ...payment.metadata, failureReason: 'signature_mismatch' } });
+                await payment.save();
+            }
+            return res.status(400).json({ success: false, message: 'Payment verification failed.' });
+        }
+
+        // Replayed verification, or the webhook got here first
+        if (payment.status === 'captured' && payment.razorpayPaymentId === paymentId) {
+            await fulfillCreditPurchase(payment);
+            const user = await User.findById(userId).select('credits');
+            return res.status(200).json({ success: true, message: 'Payment already verified.', data: { paymentId, credits: user?.credits } });
+        }
+
+        const gatewayPayment = await gateway.fetchPayment(paymentId);
+        if (gatewayPayment.status === 'failed') {
+            payment.set({ razorpayPaymentId: paymentId, status: 'failed', paymentMethod: gatewayPayment.method });
+            await payment.save();
+            return res.status(402).json({ success: false, message: 'The payment did not go through.' });
+        }
+
+        payment.set({
+            razorpayPaymentId: paymentId,
+            razorpaySignature: signature,
+            amount: payments.fromSubunits(gatewayPayment.amount),
+            currency: gatewayPayment.currency || paymentConfig.currency,
+            status: gatewayPayment.status === 'authorized' ? 'authorized' : 'captured',
+            paymentMethod: gatewayPayment.method,
+            paymentDate: new Date()
+        });
+        await payment.save();
+
+        // Authorized-only payments get their credits from the payment.captured webhook
+        if (payment.status === 'captured') {
+            await fulfillCreditPurchase(payment);
+            await issueInvoiceSafely(payment._id);
+        }
+
+        const user = await User.findById(userId).select('credits');
+        console.log(`Credit pack payment ${paymentId} verified for user ${userId} (${payment.status})`);
+        res.status(200).json({
+            success: true,
+            message: payment.status === 'captured'
+                ? `Payment verified. ${payment.metadata.credits} credits have been added.`
+                : 'Payment received. Your credits will be added once it is confirmed.',
+            data: { paymentId, credits: user?.credits }
+        });
+    } catch (error) {
+        console.error(`Error verifying credit pack payment ${paymentId} for user ${userId}:`, error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while verifying the payment.',
+            error: gatewayErrorMessage(error)
+        });
+    }
+};
+
+// @desc    Current credit balances and recent credit activity
+// @route   GET /api/users/me/credits?limit=50
+// @access  Private
+exports.getMyCredits = async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    try {
+        const user = await User.findById(req.user._id).select('credits');
+        if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+        const transactions = await CreditTransaction.find({ userId: req.user._id })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .populate('packId', 'name');
+
+        const balances = {};
+        Object.keys(paymentConfig.creditFeatures).forEach((feature) => {
+            balances[feature] = user.credits?.[feature] || 0;
+        });
+
+        res.status(200).json({ success: true, data: { balances, transactions } });
+    } catch (error) {
+        console.error(`Error fetching credits for user ${req.user._id}:`, error);
+        res.status(500).json({ success: false, message: 'Server error fetching credits.' });
+    }
+};
+
+// ===============================================
+// --- ADMIN ONLY Functions ---
+// ===============================================
+
+// @desc    List all credit packs, including withdrawn ones
+// @route   GET /api/admin/credit-packs
+// @access  Private/Admin
+exports.getAllCreditPacks = async (req, res) => {
+    try {
+        const packs = await CreditPack.find().sort({ isActive: -1, sortOrder: 1, createdAt: -1 });
+        res.status(200).json({ success: true, count: packs.length, data: packs });
+    } catch (error) {
+        console.error('Admin: Error listing credit packs:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching credit packs.' });
+    }
+};
+
+// @desc    Create a credit pack
+// @route   POST /api/admin/credit-packs
+// @access  Private/Admin
+exports.createCreditPack = async (req, res) => {
+    try {
+        const pack = await CreditPack.create(pickEditableFields(req.body));
+
+        console.log(`Admin: Credit pack '${pack.name}' created by ${req.user._id}`);
+        res.status(201).json({ success: true, message: 'Credit pack created.', data: pack });
+    } catch (error) {
+        handlePackError(res, error, 'creating');
+    }
+};
+
+// @desc    Edit a credit pack (set isActive: false to withdraw it; past purchases are unaffected)
+// @route   PUT /api/admin/credit-packs/:id
+// @access  Private/Admin
+exports.updateCreditPack = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: 'Invalid credit pack ID format.' });
+    }
+
+    try {
+        const pack = await CreditPack.findById(req.params.id);
+        if (!pack) return res.status(404).json({ success: false, message: 'Credit pack not found.' });
+
+        pack.set(pickEditableFields(req.body));
+        await pack.save();
+
+        console.log(`Admin: Credit pack '${pack.name}' updated by ${req.user._id}`);
+        res.status(200).json({ success: true, message: 'Credit pack updated.', data: pack });
+    } catch (error) {
+        handlePackError(res, error, 'updating');
+    }
+};
+
+// @desc    Grant credits to a user (goodwill, support fixes)
+// @route   POST /api/admin/users/:id/credits
+// @access  Private/Admin
+exports.grantUserCredits = async (req, res) => {
+    const { feature, credits, note } = req.body;
+    const quantity = Number(credits);
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: 'Invalid user ID format.' });
+    }
+    if (!isCreditFeature(feature)) {
+        return res.status(400).json({ success: false, message: `feature must be one of: ${Object.keys(paymentConfig.creditFeatures).join(', ')}.` });
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({ success: false, message: 'credits must be a positive whole number.' });
+    }
+
+    try {
+        const user = await grantCredits(req.params.id, feature, quantity, { source: 'admin', grantedBy: req.user._id, note });
+        if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+
+        console.log(`Admin: ${req.user._id} granted ${quantity} ${feature} credits to user ${req.params.id}`);
+        res.status(200).json({ success: true, message: `${quantity} credits granted.`, data: { credits: user.credits } });
+    } catch (error) {
+        console.error(`Admin: Error granting credits to user ${req.params.id}:`, error);
+        res.status(500).json({ success: false, message: 'Server error while granting credits.' });
+    }
+};
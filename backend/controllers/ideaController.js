@@ -2,23 +2,12 @@
 
 const SavedIdea = require('../models/SavedIdea');
 const mongoose = require('mongoose');
-const { OpenAI } = require("openai"); 
 const User = require('../models/User');
 const Refinement = require('../models/Refinement');
-const { withRetry } = require('../utils/aiUtils');
-
-// --- Initialize OpenAI Client ---
-let openai;
-if (process.env.OPENAI_API_KEY) {
-  openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-} else {
-  console.warn("****************************************************************");
-  console.warn("WARN: OPENAI_API_KEY not found in environment variables!");
-  console.warn("WARN: AI features like 'refineIdea' will not function correctly.");
-  console.warn("****************************************************************");
-  openai = null;
-}
-// --- End OpenAI Client Initialization ---
+const aiService = require('../services/ai');
+const usageUtil = require('../utils/usageUtil');
+const { refinementSchemas } = require('../services/ai/schemas');
+const { getGenerationProfile, getModelOptions } = require('../utils/generationUtil');
 
 // @desc    Save a generated idea
 // @route   POST /api/ideas
@@ -130,14 +119,6 @@ exports.deleteIdea = async (req, res, next) => {
 // @route   POST /api/ideas/:id/refine
 // @access  Private
 exports.refineIdea = async (req, res, next) => {
-  if (!openai) {
-    console.error("Attempted to call refineIdea, but OpenAI API key is missing.");
-    return res.status(500).json({
-      success: false,
-      message: 'AI service is not configured on the server.'
-    });
-  }
-
   const ideaId = req.params.id;
   const userId = req.user._id;
   const userName = req.user.name;
@@ -217,35 +198,16 @@ exports.refineIdea = async (req, res, next) => {
     userPrompt += `\n**Refinement Request:** ${specificInstruction}\n`;
     userPrompt += `\n**Output Format:** ${responseFormatInstruction}`;
 
-    // OpenAI API call
-
     console.log(`Refining idea ${ideaId} for user ${userId}. Type: ${refinementType}`);
-    const response = await withRetry(() => openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt },
-      ],
-      temperature: 0.7,
-    }));
-
-    const rawContent = response.choices[0]?.message?.content;
-    if (!rawContent) {
-      throw new Error("No content received from OpenAI for refinement.");
-    }
-    console.log("Raw refinement content:", rawContent);
-
-    let refinementData;
-    try {
-      refinementData = JSON.parse(rawContent);
-    } catch (parseError) {
-      console.error("Failed to parse AI JSON:", parseError);
-      return res.status(500).json({
-        success: false,
-        message: "AI responded but not valid JSON.",
-        raw_content: rawContent
-      });
-    }
+    const { data: refinementData } = await aiService.generateJSON({
+      feature: 'refinement',
+      systemPrompt,
+      userPrompt,
+      schema: refinementSchemas[refinementType.toLowerCase()],
+      context: aiService.requestContext(req),
+      ...getModelOptions(getGenerationProfile(req.user.subscriptionTier))
+    });
+    usageUtil.commitUsage(req); // Keep the credit reserved by monthlyLimit
 
     // Save the refinement
     let savedRefinement = null;
@@ -271,18 +233,8 @@ exports.refineIdea = async (req, res, next) => {
       data: refinementData
     });
   } catch (error) {
-    if (error instanceof OpenAI.APIError) {
-      console.error('OpenAI API Error Details:', {
-        status: error.status,
-        error: error.error
-      });
-    } else {
-      console.error('Generic Error in refineIdea:', error.message);
-    }
-    res.status(500).json({
-      success: false,
-      message: 'Failed to refine idea due to a server or AI error.'
-    });
+    const { status, body } = aiService.toHttpError(error, 'Failed to refine idea due to a server or AI error.');
+    res.status(status).json(body);
   }
 };
 
@@ -0,0 +1,26 @@
+// backend/controllers/jobController.js
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const jobQueue = require('../services/jobs');
+
+// @desc    Get progress and (once finished) results of a background job
+// @route   GET /api/jobs/:id
+// @access  Private (owner only)
+exports.getJobById = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: 'Invalid job ID format' });
+    }
+
+    try {
+        const job = await Job.findOne({ _id: req.params.id, userId: req.user._id }).lean();
+
+        if (!job) {
+            return res.status(404).json({ success: false, message: 'Job not found' });
+        }
+
+        res.status(200).json({ success: true, data: jobQueue.serializeJob(job) });
+    } catch (error) {
+        console.error("Error retrieving job:", error);
+        res.status(500).json({ success: false, message: 'Server error when retrieving job' });
+    }
+};
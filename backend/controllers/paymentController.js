@@ -1,113 +1,893 @@
 // backend/controllers/paymentController.js
-let razorpay = null;
-
-// Try to initialize Razorpay only if keys are available
-if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
-  const Razorpay = require('razorpay');
-  razorpay = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID,
-    key_secret: process.env.RAZORPAY_KEY_SECRET
-  });
-} else {
-  console.warn("Razorpay credentials not found. Payment features will be disabled.");
-}
-
-// Simplified controller with feature detection
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const PricePlan = require('../models/PricePlan');
+const Subscription = require('../models/Subscription');
+const PaymentHistory = require('../models/PaymentHistory');
+const WebhookEvent = require('../models/WebhookEvent');
+const paymentConfig = require('../config/paymentConfig');
+const payments = require('../services/payments');
+const webhookHandlers = require('../services/payments/webhookHandlers');
+const {
+  getPlanPrice,
+  setSubscriptionStatus,
+  syncUserSubscription,
+  activateSubscription,
+  serializeSubscription
+} = require('../utils/subscriptionUtil');
+const { applyCoupon, reserveCoupon, releaseCouponReservation } = require('../utils/couponUtil');
+const { quotePlanChange, applyPlanChange } = require('../utils/planChangeUtil');
+const { issueInvoice, issueInvoiceSafely, renderInvoiceHtml, renderInvoicePdf } = require('../utils/invoiceUtil');
+
+// --- Helper Functions ---
+
+const paymentsDisabled = (res) => res.status(503).json({
+  success: false,
+  message: 'Payments are not enabled on this server.'
+});
+
+// Message from a gateway/SDK rejection
+const gatewayErrorMessage = (error) => error?.error?.description || error.message;
+
+// Subscription statuses that still entitle the user to their paid tier
+const LIVE_STATUSES = ['active', 'past_due'];
+
+// The user's subscription a Checkout order/gateway subscription pays for - either the
+// subscription itself or a plan change waiting on it
+const findCheckoutSubscription = (userId, { orderId, subscriptionId }) => Subscription.findOne(orderId
+  ? { userId, $or: [{ razorpayOrderId: orderId }, { 'pendingChange.razorpayOrderId': orderId }] }
+  : { userId, $or: [{ razorpaySubscriptionId: subscriptionId }, { 'pendingChange.razorpaySubscriptionId': subscriptionId }] });
+
+// @desc    Active plans available for purchase
+// @route   GET /api/payments/plans
+// @access  Public
 const getSubscriptionPlans = async (req, res) => {
-  // Return mock data if we're not using payments yet
-  return res.status(200).json({
-    success: true,
-    message: "Payments not enabled yet - returning mock data",
-    data: [
-      {
-        name: 'Free Plan',
-        tier: 'free',
-        description: 'Basic access to CreatorGenius with limited features',
-        billingCycle: 'free',
-        price: {
-          amount: 0,
-          currency: 'INR'
-        }
-      },
-      {
-        name: 'Creator Pro Monthly',
-        tier: 'creator_pro',
-        description: 'Professional tools for serious content creators (MOCK - Payments not enabled yet)',
-        billingCycle: 'monthly',
-        price: {
-          amount: 1999,
-          currency: 'INR'
+  try {
+    const plans = await PricePlan.find({ isActive: true })
+      .sort({ sortOrder: 1 })
+      .select('-razorpayPlanId -createdAt -updatedAt');
+
+    return res.status(200).json({
+      success: true,
+      count: plans.length,
+      data: plans
+    });
+  } catch (error) {
+    console.error('Error fetching subscription plans:', error);
+    return res.status(500).json({ success: false, message: 'Server error fetching plans.' });
+  }
+};
+
+// Price a plan for a user, with an optional coupon code.
+// Returns { amount, listPrice, coupon, discountAmount } or { error } for an unusable code.
+const pricePlanForUser = async (plan, userId, code) => {
+  const listPrice = getPlanPrice(plan);
+  if (!code) return { amount: listPrice, listPrice, coupon: null, discountAmount: 0 };
+
+  const applied = await applyCoupon({ code, userId, plan, amount: listPrice });
+  if (applied.error) return applied;
+
+  // Razorpay's minimum charge is ₹1; anything below that (but not free) is rounded up
+  const amount = applied.finalAmount > 0 && applied.finalAmount < 1 ? 1 : applied.finalAmount;
+  return { amount, listPrice, coupon: applied.coupon, discountAmount: applied.discountAmount };
+};
+
+// @desc    Start paying for a plan: creates a gateway subscription (plans linked to a
+//          Razorpay plan) or an order for one period, plus a pending Subscription.
+//          An optional coupon `code` is validated, reserved and taken off the amount charged.
+// @route   POST /api/payments/create-subscription
+// @access  Private
+const createSubscription = async (req, res) => {
+  const { planId, code } = req.body;
+  const userId = req.user._id;
+
+  if (!planId || !mongoose.Types.ObjectId.isValid(planId)) {
+    return res.status(400).json({ success: false, message: 'Please provide a valid planId.' });
+  }
+  if (!payments.isConfigured()) return paymentsDisabled(res);
+
+  let subscription;
+  let reservedFor; // Subscription a coupon use is held for
+  let checkoutStarted = false;
+  try {
+    const plan = await PricePlan.findOne({ _id: planId, isActive: true });
+    if (!plan) return res.status(404).json({ success: false, message: 'Plan not found.' });
+    if (!['monthly', 'yearly'].includes(plan.billingCycle)) {
+      return res.status(400).json({ success: false, message: 'This plan cannot be purchased.' });
+    }
+
+    // A lapsed one-off subscription in its grace period is renewed in place; anything else live blocks a new one
+    const existing = await Subscription.findOne({ userId, status: { $in: LIVE_STATUSES }, plan: { $ne: 'free' } });
+    const isRenewal = Boolean(existing && existing.status === 'past_due' &&
+      !existing.razorpaySubscriptionId && existing.priceId === plan._id.toString());
+    if (existing && !isRenewal) {
+      return res.status(409).json({ success: false, message: 'You already have an active subscription.' });
+    }
+
+    const pricing = await pricePlanForUser(plan, userId, code);
+    if (pricing.error) return res.status(400).json({ success: false, message: pricing.error });
+
+    const { amount, listPrice, coupon, discountAmount } = pricing;
+    const gateway = payments.getGateway();
+    const currency = plan.price?.currency || paymentConfig.currency;
+    const pricingMetadata = { amount, listPrice, discountAmount, currency };
+    const discount = coupon
+      ? { code: coupon.code, percentOff: coupon.percentOff, amountOff: coupon.amountOff, validUntil: coupon.validUntil }
+      : undefined;
+
+    // Hold the coupon use before the order exists, so concurrent checkouts can't pass its caps
+    const subscriptionId = isRenewal ? existing._id : new mongoose.Types.ObjectId();
+    if (coupon) {
+      const reserved = await reserveCoupon({ coupon, userId, subscriptionId, amountOff: discountAmount });
+      if (reserved.error) return res.status(400).json({ success: false, message: reserved.error });
+      reservedFor = subscriptionId;
+    }
+
+    if (isRenewal) {
+      subscription = existing;
+      subscription.metadata = { ...subscription.metadata, ...pricingMetadata };
+      subscription.discount = discount;
+    } else {
+      subscription = new Subscription({
+        _id: subscriptionId,
+        userId,
+        plan: plan.tier,
+        billingCycle: plan.billingCycle,
+        priceId: plan._id.toString(),
+        discount,
+        metadata: { planId: plan._id, planName: plan.name, ...pricingMetadata }
+      });
+      setSubscriptionStatus(subscription, 'pending', { reason: 'checkout_started', source: 'user' });
+      await subscription.save();
+    }
+
+    const paymentMetadata = {
+      planId: plan._id,
+      listPrice,
+      couponCode: coupon?.code,
+      discountAmount
+    };
+
+    // A 100% discount on a one-off period needs no gateway round trip
+    if (amount === 0 && !plan.razorpayPlanId) {
+      await PaymentHistory.create({
+        userId,
+        subscriptionId: subscription._id,
+        amount: 0,
+        currency,
+        status: 'captured',
+        paymentMethod: 'coupon',
+        description: plan.name,
+        metadata: paymentMetadata
+      });
+      await activateSubscription(subscription, { reason: 'coupon_full_discount', source: 'checkout' });
+
+      console.log(`Plan ${plan.name} activated for user ${userId} with coupon ${coupon.code} (no payment due)`);
+      return res.status(201).json({
+        success: true,
+        message: 'Coupon applied. Your plan is now active.',
+        data: {
+          subscription: serializeSubscription(subscription),
+          checkout: null
         }
+      });
+    }
+
+    const notes = { userId: userId.toString(), subscriptionId: subscription._id.toString(), planId: plan._id.toString() };
+    if (coupon) notes.couponCode = coupon.code;
+    const checkout = {
+      keyId: gateway.getKeyId(),
+      amount: payments.toSubunits(amount),
+      currency,
+      description: plan.name,
+      prefill: { name: req.user.name, email: req.user.email }
+    };
+
+    if (plan.razorpayPlanId) {
+      const gatewaySubscription = await gateway.createSubscription({
+        planId: plan.razorpayPlanId,
+        totalCount: paymentConfig.subscriptionTotalCount[plan.billingCycle],
+        amount: checkout.amount,
+        currency,
+        offerId: coupon?.razorpayOfferId,
+        notes
+      });
+      subscription.razorpaySubscriptionId = gatewaySubscription.id;
+      checkout.subscriptionId = gatewaySubscription.id;
+      checkoutStarted = true;
+    } else {
+      const order = await gateway.createOrder({
+        amount: checkout.amount,
+        currency,
+        receipt: subscription._id.toString(),
+        notes
+      });
+      subscription.razorpayOrderId = order.id;
+      checkout.orderId = order.id;
+      checkoutStarted = true;
+    }
+    await subscription.save();
+
+    await PaymentHistory.create({
+      userId,
+      subscriptionId: subscription._id,
+      razorpayOrderId: subscription.razorpayOrderId,
+      amount,
+      currency,
+      status: 'created',
+      description: plan.name,
+      metadata: { ...paymentMetadata, razorpaySubscriptionId: subscription.razorpaySubscriptionId }
+    });
+
+    console.log(`Payment started for user ${userId}: ${plan.name} via ${gateway.name} (${checkout.orderId || checkout.subscriptionId})${coupon ? ` with coupon ${coupon.code}` : ''}`);
+    return res.status(201).json({
+      success: true,
+      message: 'Complete the payment to activate your plan.',
+      data: {
+        subscription: serializeSubscription(subscription),
+        pricing: { listPrice, discountAmount, amount, couponCode: coupon?.code },
+        checkout
       }
-    ]
-  });
+    });
+  } catch (error) {
+    console.error(`Error creating subscription for user ${userId}:`, error);
+    // Don't leave a pending subscription behind for a checkout that never started
+    if (subscription && subscription.status === 'pending' && !subscription.razorpayOrderId && !subscription.razorpaySubscriptionId) {
+      await Subscription.deleteOne({ _id: subscription._id }).catch(() => {});
+    }
+    // Nor a coupon use held for it (a started checkout keeps it until paid or expired)
+    if (reservedFor && !checkoutStarted) {
+      await releaseCouponReservation({ subscriptionId: reservedFor })
+        .catch(releaseError => console.error(`Non-critical: Failed to release coupon reservation for user ${userId}:`, releaseError.message));
+    }
+    return res.status(502).json({
+      success: false,
+      message: 'Could not start the payment. Please try again.',
+      error: gatewayErrorMessage(error)
+    });
+  }
 };
 
-// Other functions with checks for Razorpay availability
-const createSubscription = async (req, res) => {
-  return res.status(200).json({
-    success: true,
-    message: "Payments not enabled yet. This is a mock response.",
-    data: {
-      status: "mock"
+// @desc    Preview a coupon against a plan before checkout
+// @route   POST /api/payments/validate-coupon
+// @access  Private
+const validateCoupon = async (req, res) => {
+  const { planId, code } = req.body;
+
+  if (!code || !planId || !mongoose.Types.ObjectId.isValid(planId)) {
+    return res.status(400).json({ success: false, message: 'Please provide a coupon code and a valid planId.' });
+  }
+
+  try {
+    const plan = await PricePlan.findOne({ _id: planId, isActive: true });
+    if (!plan) return res.status(404).json({ success: false, message: 'Plan not found.' });
+
+    const pricing = await pricePlanForUser(plan, req.user._id, code);
+    if (pricing.error) return res.status(400).json({ success: false, message: pricing.error });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        code: pricing.coupon.code,
+        description: pricing.coupon.description,
+        listPrice: pricing.listPrice,
+        discountAmount: pricing.discountAmount,
+        amount: pricing.amount
+      }
+    });
+  } catch (error) {
+    console.error(`Error validating coupon for user ${req.user._id}:`, error);
+    return res.status(500).json({ success: false, message: 'Server error validating the coupon.' });
+  }
+};
+
+// @desc    Move the active subscription to another plan (tier and/or billing cycle).
+//          Upgrades start a new period as soon as the prorated amount is paid; downgrades
+//          are scheduled for the end of the current period. Choosing the current plan
+//          withdraws a scheduled downgrade. `preview: true` only returns the proration.
+// @route   POST /api/payments/change-plan
+// @access  Private
+const changePlan = async (req, res) => {
+  const { planId, preview } = req.body;
+  const userId = req.user._id;
+
+  if (!planId || !mongoose.Types.ObjectId.isValid(planId)) {
+    return res.status(400).json({ success: false, message: 'Please provide a valid planId.' });
+  }
+  if (!preview && !payments.isConfigured()) return paymentsDisabled(res);
+
+  try {
+    const plan = await PricePlan.findOne({ _id: planId, isActive: true });
+    if (!plan) return res.status(404).json({ success: false, message: 'Plan not found.' });
+    if (!['monthly', 'yearly'].includes(plan.billingCycle)) {
+      return res.status(400).json({ success: false, message: 'This plan cannot be purchased.' });
+    }
+
+    const subscription = await Subscription.findOne({ userId, status: { $in: LIVE_STATUSES }, plan: { $ne: 'free' } }).sort({ createdAt: -1 });
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: 'You have no paid subscription to change. Choose a plan to subscribe instead.' });
+    }
+    if (subscription.status !== 'active') {
+      return res.status(409).json({ success: false, message: 'Please renew your current plan before changing it.' });
+    }
+    if (subscription.cancelAtPeriodEnd) {
+      return res.status(409).json({ success: false, message: 'Your subscription is set to end at the end of this period and cannot be changed.' });
+    }
+
+    const gateway = payments.getGateway();
+    const isRecurring = Boolean(subscription.razorpaySubscriptionId);
+
+    // Back to the current plan: withdraw a scheduled downgrade
+    if (subscription.priceId === plan._id.toString()) {
+      if (subscription.pendingChange?.direction !== 'downgrade') {
+        return res.status(400).json({ success: false, message: 'You are already on this plan.' });
+      }
+      if (preview) {
+        return res.status(200).json({ success: true, data: { proration: null, scheduledChange: null } });
+      }
+      if (isRecurring) {
+        await gateway.updateSubscription(subscription.razorpaySubscriptionId, { planId: plan.razorpayPlanId, scheduleChangeAt: 'cycle_end' });
+      }
+      subscription.pendingChange = undefined;
+      await subscription.save();
+
+      console.log(`Scheduled plan change for subscription ${subscription._id} withdrawn by user ${userId}`);
+      return res.status(200).json({
+        success: true,
+        message: `You'll stay on ${plan.name}.`,
+        data: { subscription: serializeSubscription(subscription), checkout: null }
+      });
+    }
+
+    // Credit is based on what the current period actually cost
+    const currentPlan = mongoose.Types.ObjectId.isValid(subscription.priceId) ? await PricePlan.findById(subscription.priceId) : null;
+    const paidAmount = subscription.metadata?.amount ?? (currentPlan ? getPlanPrice(currentPlan) : 0);
+    const now = new Date();
+    const quote = quotePlanChange(subscription, plan, { paidAmount, now });
+
+    if (quote.direction === 'none') {
+      return res.status(400).json({ success: false, message: 'This plan has the same tier and billing cycle as your current one.' });
+    }
+    if (quote.direction === 'downgrade' && isRecurring && !plan.razorpayPlanId) {
+      return res.status(400).json({ success: false, message: 'Auto-renewing subscriptions can only be moved to auto-renewing plans.' });
+    }
+
+    const proration = {
+      direction: quote.direction,
+      listPrice: quote.listPrice,
+      credit: quote.credit,
+      amountDue: quote.amountDue,
+      unusedDays: quote.unusedDays,
+      effectiveAt: quote.effectiveAt,
+      periodEnd: quote.periodEnd
+    };
+    if (preview) return res.status(200).json({ success: true, data: { proration } });
+
+    const change = {
+      planId: plan._id,
+      plan: plan.tier,
+      billingCycle: plan.billingCycle,
+      planName: plan.name,
+      direction: quote.direction,
+      effectiveAt: quote.effectiveAt,
+      listPrice: quote.listPrice,
+      credit: quote.credit,
+      amountDue: quote.amountDue,
+      carryover: quote.carryover,
+      periodEnd: quote.periodEnd,
+      requestedAt: now
+    };
+
+    if (quote.direction === 'downgrade') {
+      // Razorpay charges the new plan from the next cycle; the scheduler (or the renewal webhook) switches the tier
+      if (isRecurring) {
+        await gateway.updateSubscription(subscription.razorpaySubscriptionId, { planId: plan.razorpayPlanId, scheduleChangeAt: 'cycle_end' });
+      }
+      subscription.pendingChange = change;
+      await subscription.save();
+
+      console.log(`Downgrade to ${plan.name} scheduled for subscription ${subscription._id} on ${subscription.currentPeriodEnd.toISOString()}`);
+      return res.status(200).json({
+        success: true,
+        message: `Your plan will change to ${plan.name} on ${subscription.currentPeriodEnd.toDateString()}.`,
+        data: { subscription: serializeSubscription(subscription), proration, checkout: null }
+      });
+    }
+
+    // An upgrade replaces a scheduled downgrade, so the gateway must keep charging the current plan
+    if (isRecurring && subscription.pendingChange?.direction === 'downgrade' && currentPlan?.razorpayPlanId) {
+      await gateway.updateSubscription(subscription.razorpaySubscriptionId, { planId: currentPlan.razorpayPlanId, scheduleChangeAt: 'cycle_end' });
+      subscription.pendingChange = undefined;
     }
-  });
+
+    const currency = plan.price?.currency || paymentConfig.currency;
+
+    // Unused credit covers the whole upgrade
+    if (quote.amountDue === 0 && !plan.razorpayPlanId) {
+      subscription.pendingChange = change;
+      await subscription.save();
+      const updated = await applyPlanChange(subscription, { paidAt: now, source: 'user' });
+      await PaymentHistory.create({
+        userId,
+        subscriptionId: subscription._id,
+        amount: 0,
+        currency,
+        status: 'captured',
+        paymentMethod: 'credit',
+        description: `Upgrade to ${plan.name}`,
+        metadata: { type: 'plan_change', planId: plan._id, credit: quote.credit, listPrice: quote.listPrice }
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `Your plan has been upgraded to ${plan.name}.`,
+        data: { subscription: serializeSubscription(updated || subscription), proration, checkout: null }
+      });
+    }
+
+    const notes = { userId: userId.toString(), subscriptionId: subscription._id.toString(), planId: plan._id.toString(), change: 'upgrade' };
+    const checkout = {
+      keyId: gateway.getKeyId(),
+      amount: payments.toSubunits(quote.amountDue),
+      currency,
+      description: `Upgrade to ${plan.name}`,
+      prefill: { name: req.user.name, email: req.user.email }
+    };
+
+    if (plan.razorpayPlanId) {
+      // A new gateway subscription: the prorated amount now, full renewals from the end of the new period
+      const gatewaySubscription = await gateway.createSubscription({
+        planId: plan.razorpayPlanId,
+        totalCount: paymentConfig.subscriptionTotalCount[plan.billingCycle],
+        amount: payments.toSubunits(quote.listPrice),
+        currency,
+        startAt: quote.periodEnd,
+        upfrontAmount: checkout.amount,
+        notes
+      });
+      change.razorpaySubscriptionId = gatewaySubscription.id;
+      checkout.subscriptionId = gatewaySubscription.id;
+    } else {
+      const order = await gateway.createOrder({
+        amount: checkout.amount,
+        currency,
+        receipt: subscription._id.toString(),
+        notes
+      });
+      change.razorpayOrderId = order.id;
+      checkout.orderId = order.id;
+    }
+
+    // Replaces any earlier change that was never paid for
+    subscription.pendingChange = change;
+    await subscription.save();
+
+    await PaymentHistory.create({
+      userId,
+      subscriptionId: subscription._id,
+      razorpayOrderId: change.razorpayOrderId,
+      amount: quote.amountDue,
+      currency,
+      status: 'created',
+      description: `Upgrade to ${plan.name}`,
+      metadata: {
+        type: 'plan_change',
+        planId: plan._id,
+        credit: quote.credit,
+        listPrice: quote.listPrice,
+        razorpaySubscriptionId: change.razorpaySubscriptionId
+      }
+    });
+
+    console.log(`Upgrade to ${plan.name} started for user ${userId}: ${quote.amountDue} due after ${quote.credit} credit (${checkout.orderId || checkout.subscriptionId})`);
+    return res.status(201).json({
+      success: true,
+      message: 'Complete the payment to upgrade your plan.',
+      data: { subscription: serializeSubscription(subscription), proration, checkout }
+    });
+  } catch (error) {
+    console.error(`Error changing plan for user ${userId}:`, error);
+    return res.status(502).json({
+      success: false,
+      message: 'Could not change your plan. Please try again.',
+      error: gatewayErrorMessage(error)
+    });
+  }
 };
 
+// @desc    Verify the signed Checkout response, record the payment and activate the plan
+// @route   POST /api/payments/verify-payment
+// @access  Private
 const verifyPayment = async (req, res) => {
-  return res.status(200).json({
-    success: true, 
-    message: "Payments not enabled yet. This is a mock response.",
-    data: {
-      status: "mock"
+  const {
+    razorpay_payment_id: paymentId,
+    razorpay_order_id: orderId,
+    razorpay_subscription_id: gatewaySubscriptionId,
+    razorpay_signature: signature
+  } = req.body;
+  const userId = req.user._id;
+
+  if (!paymentId || !signature || (!orderId && !gatewaySubscriptionId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'razorpay_payment_id, razorpay_signature and razorpay_order_id or razorpay_subscription_id are required.'
+    });
+  }
+  if (!payments.isConfigured()) return paymentsDisabled(res);
+
+  try {
+    let subscription = await findCheckoutSubscription(userId, { orderId, subscriptionId: gatewaySubscriptionId });
+    if (!subscription) return res.status(404).json({ success: false, message: 'No payment found for this order.' });
+    const change = subscription.pendingChange;
+    const isPlanChange = Boolean(change && (orderId
+      ? change.razorpayOrderId === orderId
+      : change.razorpaySubscriptionId === gatewaySubscriptionId));
+
+    const gateway = payments.getGateway();
+    const isValid = gateway.verifyPaymentSignature({ orderId, subscriptionId: gatewaySubscriptionId, paymentId, signature });
+
+    // Replayed verification of a payment we've already recorded
+    const recorded = isValid && await PaymentHistory.findOne({ razorpayPaymentId: paymentId, status: { $in: ['authorized', 'captured'] } });
+    if (recorded) {
+      return res.status(200).json({
+        success: true,
+        message: 'Payment already verified.',
+        data: { subscription: serializeSubscription(subscription), paymentId }
+      });
     }
-  });
+
+    const payment = await PaymentHistory.findOne({ subscriptionId: subscription._id, status: 'created' }).sort({ createdAt: -1 });
+
+    if (!isValid) {
+      console.warn(`Payment signature mismatch for user ${userId} (payment ${paymentId})`);
+      if (payment) {
+        payment.set({ razorpayPaymentId: paymentId, status: 'failed', metadata: { ...payment.metadata, failureReason: 'signature_mismatch' } });
+        await payment.save();
+      }
+      subscription.lastPaymentStatus = 'failed';
+      await subscription.save();
+      return res.status(400).json({ success: false, message: 'Payment verification failed.' });
+    }
+
+    const gatewayPayment = await gateway.fetchPayment(paymentId);
+    if (gatewayPayment.status === 'failed') {
+      if (payment) {
+        payment.set({ razorpayPaymentId: paymentId, status: 'failed', paymentMethod: gatewayPayment.method });
+        await payment.save();
+      }
+      subscription.lastPaymentStatus = 'failed';
+      await subscription.save();
+      return res.status(402).json({ success: false, message: 'The payment did not go through.' });
+    }
+
+    const paidAt = new Date();
+    const paymentFields = {
+      razorpayPaymentId: paymentId,
+      razorpaySignature: signature,
+      amount: payments.fromSubunits(gatewayPayment.amount),
+      currency: gatewayPayment.currency || paymentConfig.currency,
+      status: gatewayPayment.status === 'authorized' ? 'authorized' : 'captured',
+      paymentMethod: gatewayPayment.method,
+      paymentDate: paidAt
+    };
+    let paymentRecord = payment;
+    if (paymentRecord) {
+      paymentRecord.set(paymentFields);
+      await paymentRecord.save();
+    } else {
+      paymentRecord = await PaymentHistory.create({
+        userId,
+        subscriptionId: subscription._id,
+        razorpayOrderId: orderId,
+        description: subscription.metadata?.planName,
+        ...paymentFields
+      });
+    }
+
+    if (isPlanChange) {
+      // Null when the webhook applied the change first
+      subscription = await applyPlanChange(subscription, { paidAt, paymentMethod: gatewayPayment.method, source: 'checkout' }) ||
+        await Subscription.findById(subscription._id);
+    } else {
+      await activateSubscription(subscription, {
+        paidAt,
+        paymentMethod: gatewayPayment.method,
+        reason: 'payment_verified',
+        source: 'checkout'
+      });
+    }
+    await issueInvoiceSafely(paymentRecord._id);
+
+    console.log(`Payment ${paymentId} verified for user ${userId}; ${subscription.plan} active until ${subscription.currentPeriodEnd.toISOString()}`);
+    return res.status(200).json({
+      success: true,
+      message: isPlanChange ? `Payment verified. You're now on ${subscription.metadata?.planName || subscription.plan}.` : 'Payment verified. Your plan is now active.',
+      data: { subscription: serializeSubscription(subscription), paymentId }
+    });
+  } catch (error) {
+    console.error(`Error verifying payment ${paymentId} for user ${userId}:`, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while verifying the payment.',
+      error: gatewayErrorMessage(error)
+    });
+  }
 };
 
+// Record a delivery, or take over one whose earlier attempt failed or died mid-way (still
+// 'processing' past paymentConfig.webhookProcessingTimeoutMs).
+// Returns { record }, { inProgress: true } while another attempt is handling it, or
+// { duplicate: true } when it was already handled - a replay.
+const claimWebhookEvent = async ({ eventId, event, gateway, payload }) => {
+  try {
+    return { record: await WebhookEvent.create({ eventId, event, gateway, payload }) };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const staleBefore = new Date(Date.now() - paymentConfig.webhookProcessingTimeoutMs);
+  const record = await WebhookEvent.findOneAndUpdate(
+    { eventId, $or: [{ status: 'failed' }, { status: 'processing', updatedAt: { $lt: staleBefore } }] },
+    { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (record) return { record };
+
+  const existing = await WebhookEvent.findOne({ eventId }).select('status');
+  return existing?.status === 'processing' ? { inProgress: true } : { duplicate: true };
+};
+
+// @desc    Razorpay webhook: verify the signature over the raw body, skip replays, apply the event
+// @route   POST /api/payments/webhook
+// @access  Public (signed)
 const handleWebhook = async (req, res) => {
-  return res.status(200).json({ received: true });
+  const gateway = payments.getGateway();
+  const signature = req.headers['x-razorpay-signature'];
+
+  if (!gateway || !req.rawBody || !gateway.verifyWebhookSignature(req.rawBody, signature)) {
+    console.warn(`Webhook rejected: invalid or missing signature (from ${req.ip})`);
+    return res.status(400).json({ success: false, message: 'Invalid webhook signature.' });
+  }
+
+  const body = req.body || {};
+  const event = body.event;
+  // Razorpay sends a unique id per event; fall back to the body hash so identical deliveries still dedupe
+  const eventId = req.headers['x-razorpay-event-id'] || crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+  if (!event) {
+    return res.status(400).json({ success: false, message: 'Webhook body has no event.' });
+  }
+
+  let record;
+  try {
+    const claim = await claimWebhookEvent({ eventId, event, gateway: gateway.name, payload: body });
+    if (claim.inProgress) {
+      // Not acknowledged: if the attempt in progress fails, Razorpay's retry picks the event up
+      console.log(`Webhook ${event} (${eventId}) is already being processed - asking for a retry.`);
+      return res.status(409).json({ success: false, message: 'Webhook is already being processed.' });
+    }
+    if (claim.duplicate) {
+      console.log(`Webhook ${event} (${eventId}) already received - ignoring replay.`);
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+    record = claim.record;
+
+    const handler = webhookHandlers[event];
+    const outcome = handler ? await handler(body) : { status: 'ignored', message: `Unhandled event ${event}.` };
+
+    // Scoped to this attempt, in case a retry took the event over as stale meanwhile
+    await WebhookEvent.updateOne(
+      { _id: record._id, attempts: record.attempts },
+      { $set: { status: outcome.status, message: outcome.message, processedAt: new Date() } }
+    );
+
+    console.log(`Webhook ${event} (${eventId}) ${outcome.status}: ${outcome.message}`);
+    return res.status(200).json({ received: true });
+  } catch (error) {
+    console.error(`Error processing webhook ${event} (${eventId}):`, error);
+    if (record) {
+      // Marked failed so the gateway's retry claims it again
+      await WebhookEvent.updateOne(
+        { _id: record._id, attempts: record.attempts },
+        { $set: { status: 'failed', message: error.message } }
+      ).catch(updateError => console.error(`Non-critical: Failed to mark webhook ${eventId} failed:`, updateError.message));
+    }
+    // A non-2xx response makes Razorpay retry the delivery
+    return res.status(500).json({ success: false, message: 'Webhook processing failed.' });
+  }
 };
 
+// @desc    The user's current subscription (or the free plan)
+// @route   GET /api/payments/subscription
+// @access  Private
 const getUserSubscription = async (req, res) => {
-  return res.status(200).json({
-    success: true,
-    data: {
-      plan: 'free',
-      status: 'active',
-      billingCycle: 'none',
-      isFree: true
-    }
-  });
+  try {
+    const subscription = await Subscription.findOne({ userId: req.user._id, status: { $in: [...LIVE_STATUSES, 'trialing'] } })
+      .sort({ createdAt: -1 });
+
+    if (!subscription) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          plan: 'free',
+          status: 'active',
+          billingCycle: 'none',
+          isFree: true
+        }
+      });
+    }
+
+    return res.status(200).json({ success: true, data: serializeSubscription(subscription) });
+  } catch (error) {
+    console.error(`Error fetching subscription for user ${req.user._id}:`, error);
+    return res.status(500).json({ success: false, message: 'Server error fetching subscription.' });
+  }
 };
 
+// @desc    Cancel the current subscription, at the end of the paid period (default)
+//          or immediately with { immediately: true }
+// @route   POST /api/payments/cancel-subscription
+// @access  Private
 const cancelSubscription = async (req, res) => {
-  return res.status(200).json({
-    success: true,
-    message: "Mock cancelation response"
-  });
+  const immediately = req.body?.immediately === true;
+  const userId = req.user._id;
+
+  try {
+    const subscription = await Subscription.findOne({ userId, status: { $in: LIVE_STATUSES } }).sort({ createdAt: -1 });
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: 'No active subscription to cancel.' });
+    }
+    if (subscription.cancelAtPeriodEnd && !immediately) {
+      return res.status(400).json({ success: false, message: 'Your subscription is already set to cancel at the end of the period.' });
+    }
+
+    if (subscription.razorpaySubscriptionId) {
+      if (!payments.isConfigured()) return paymentsDisabled(res);
+      await payments.getGateway().cancelSubscription(subscription.razorpaySubscriptionId, { atCycleEnd: !immediately });
+    }
+
+    subscription.cancelledAt = new Date();
+    subscription.pendingChange = undefined;
+    if (immediately) {
+      setSubscriptionStatus(subscription, 'cancelled', { reason: 'cancelled_by_user', source: 'user' });
+      subscription.cancelAtPeriodEnd = false;
+    } else {
+      subscription.cancelAtPeriodEnd = true;
+    }
+    await subscription.save();
+
+    // Immediate cancellation drops the user to free now; otherwise they keep the tier until the period ends
+    if (immediately) await syncUserSubscription(subscription);
+
+    console.log(`Subscription ${subscription._id} cancelled by user ${userId} (${immediately ? 'immediately' : 'at period end'})`);
+    return res.status(200).json({
+      success: true,
+      message: immediately
+        ? 'Your subscription has been cancelled.'
+        : `Your subscription will end on ${subscription.currentPeriodEnd ? subscription.currentPeriodEnd.toDateString() : 'the end of the current period'}.`,
+      data: serializeSubscription(subscription)
+    });
+  } catch (error) {
+    console.error(`Error cancelling subscription for user ${userId}:`, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling the subscription.',
+      error: gatewayErrorMessage(error)
+    });
+  }
 };
 
+// @desc    The user's payments, newest first
+// @route   GET /api/payments/history?page=&limit=
+// @access  Private
 const getPaymentHistory = async (req, res) => {
-  return res.status(200).json({
-    success: true,
-    data: {
-      payments: [],
-      pagination: {
-        page: 1,
-        limit: 10,
-        total: 0,
-        pages: 0
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+  const filter = { userId: req.user._id };
+
+  try {
+    const [paymentRecords, total] = await Promise.all([
+      PaymentHistory.find(filter)
+        .sort({ paymentDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-razorpaySignature -invoiceDetails'),
+      PaymentHistory.countDocuments(filter)
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        payments: paymentRecords,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
       }
+    });
+  } catch (error) {
+    console.error(`Error fetching payment history for user ${req.user._id}:`, error);
+    return res.status(500).json({ success: false, message: 'Server error fetching payment history.' });
+  }
+};
+
+// @desc    Download the GST invoice for a payment
+// @route   GET /api/payments/history/:id/invoice?format=html|pdf
+// @access  Private
+const getInvoice = async (req, res) => {
+  const format = req.query.format || 'pdf';
+  if (!['html', 'pdf'].includes(format)) {
+    return res.status(400).json({ success: false, message: "format must be 'html' or 'pdf'." });
+  }
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ success: false, message: 'Payment not found.' });
+  }
+
+  try {
+    let payment = await PaymentHistory.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!payment) return res.status(404).json({ success: false, message: 'Payment not found.' });
+    if (!['captured', 'refunded'].includes(payment.status) || !(payment.amount > 0)) {
+      return res.status(400).json({ success: false, message: 'Invoices are only available for completed payments.' });
     }
-  });
+
+    // Payments captured before invoicing existed (or whose invoice failed to issue) get one now
+    if (!payment.invoiceNumber) payment = await issueInvoice(payment._id);
+    if (!payment?.invoiceNumber) {
+      return res.status(409).json({ success: false, message: 'The invoice is being generated. Please try again shortly.' });
+    }
+
+    const fileName = `invoice-${payment.invoiceNumber.replace(/\//g, '-')}`;
+    if (format === 'html') {
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      return res.status(200).send(renderInvoiceHtml(payment));
+    }
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${fileName}.pdf"`
+    });
+    return res.status(200).send(renderInvoicePdf(payment));
+  } catch (error) {
+    console.error(`Error generating invoice for payment ${req.params.id}:`, error);
+    return res.status(500).json({ success: false, message: 'Server error generating invoice.' });
+  }
+};
+
+// @desc    Complete Checkout against the fake gateway (PAYMENT_GATEWAY=fake only)
+// @route   POST /api/payments/fake-checkout
+// @access  Private
+const simulateCheckout = async (req, res) => {
+  const gateway = payments.getGateway();
+  if (!gateway || gateway.name !== 'fake') {
+    return res.status(404).json({ success: false, message: 'Not found.' });
+  }
+
+  const { orderId, subscriptionId, method, fail } = req.body;
+  try {
+    // A subscription's order/gateway subscription, or a credit pack order
+    const owned = await findCheckoutSubscription(req.user._id, { orderId, subscriptionId }) ||
+      (orderId && await PaymentHistory.exists({ userId: req.user._id, razorpayOrderId: orderId }));
+    if (!owned) return res.status(404).json({ success: false, message: 'No payment found for this order.' });
+
+    const checkoutResponse = gateway.simulateCheckout({ orderId, subscriptionId, method, fail: fail === true });
+    return res.status(200).json({ success: true, data: checkoutResponse });
+  } catch (error) {
+    console.error('Error simulating checkout:', error);
+    return res.status(400).json({ success: false, message: gatewayErrorMessage(error) });
+  }
 };
 
 module.exports = {
   getSubscriptionPlans,
   createSubscription,
+  changePlan,
   verifyPayment,
   handleWebhook,
   getUserSubscription,
   cancelSubscription,
-  getPaymentHistory
-};
\ No newline at end of file
+  getPaymentHistory,
+  getInvoice,
+  simulateCheckout,
+  validateCoupon
+};
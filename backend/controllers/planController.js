@@ -0,0 +1,126 @@
+// backend/controllers/planController.js
+const mongoose = require('mongoose');
+const PricePlan = require('../models/PricePlan');
+const { invalidatePlanCache } = require('../utils/planUtil');
+
+// --- Helper Functions ---
+
+// Fields an admin may set when creating or editing a plan
+const EDITABLE_FIELDS = [
+    'name', 'tier', 'description', 'billingCycle', 'price', 'discountedPrice',
+    'razorpayPlanId', 'limits', 'features', 'isActive', 'sortOrder'
+];
+
+const pickEditableFields = (body = {}) => {
+    const fields = {};
+    EDITABLE_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) fields[field] = body[field];
+    });
+    return fields;
+};
+
+// Turn validation and duplicate-name errors into 400s
+const handlePlanError = (res, error, action) => {
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({ success: false, message: messages.join(' ') });
+    }
+    if (error.code === 11000) {
+        return res.status(400).json({ success: false, message: 'A plan with this name already exists.' });
+    }
+    console.error(`Admin: Error ${action} plan:`, error);
+    return res.status(500).json({ success: false, message: `Server error while ${action} plan.` });
+};
+
+// Shared body for activate/deactivate
+const setPlanActive = async (req, res, isActive) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: 'Invalid plan ID format.' });
+    }
+
+    try {
+        const plan = await PricePlan.findById(req.params.id);
+        if (!plan) return res.status(404).json({ success: false, message: 'Plan not found.' });
+
+        plan.isActive = isActive;
+        await plan.save();
+        invalidatePlanCache(plan.tier);
+
+        console.log(`Admin: Plan '${plan.name}' ${isActive ? 'activated' : 'deactivated'} by ${req.user._id}`);
+        res.status(200).json({
+            success: true,
+            message: `Plan ${isActive ? 'activated' : 'deactivated'}.`,
+            data: plan
+        });
+    } catch (error) {
+        handlePlanError(res, error, isActive ? 'activating' : 'deactivating');
+    }
+};
+
+// ===============================================
+// --- ADMIN ONLY Functions ---
+// ===============================================
+
+// @desc    List all plans, including inactive ones
+// @route   GET /api/admin/plans
+// @access  Private/Admin
+exports.getPlans = async (req, res) => {
+    try {
+        const plans = await PricePlan.find().sort({ sortOrder: 1, createdAt: 1 });
+        res.status(200).json({ success: true, count: plans.length, data: plans });
+    } catch (error) {
+        console.error("Admin: Error listing plans:", error);
+        res.status(500).json({ success: false, message: 'Server error fetching plans.' });
+    }
+};
+
+// @desc    Create a plan
+// @route   POST /api/admin/plans
+// @access  Private/Admin
+exports.createPlan = async (req, res) => {
+    try {
+        const plan = await PricePlan.create(pickEditableFields(req.body));
+        invalidatePlanCache(plan.tier);
+
+        console.log(`Admin: Plan '${plan.name}' (${plan.tier}) created by ${req.user._id}`);
+        res.status(201).json({ success: true, message: 'Plan created.', data: plan });
+    } catch (error) {
+        handlePlanError(res, error, 'creating');
+    }
+};
+
+// @desc    Edit a plan (price, limits, features...)
+// @route   PUT /api/admin/plans/:id
+// @access  Private/Admin
+exports.updatePlan = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: 'Invalid plan ID format.' });
+    }
+
+    try {
+        const plan = await PricePlan.findById(req.params.id);
+        if (!plan) return res.status(404).json({ success: false, message: 'Plan not found.' });
+
+        const previousTier = plan.tier;
+        plan.set(pickEditableFields(req.body));
+        await plan.save();
+
+        invalidatePlanCache(previousTier);
+        invalidatePlanCache(plan.tier);
+
+        console.log(`Admin: Plan '${plan.name}' updated by ${req.user._id}`);
+        res.status(200).json({ success: true, message: 'Plan updated.', data: plan });
+    } catch (error) {
+        handlePlanError(res, error, 'updating');
+    }
+};
+
+// @desc    Make a plan available (its limits apply if it is the tier's first active plan)
+// @route   PATCH /api/admin/plans/:id/activate
+// @access  Private/Admin
+exports.activatePlan = (req, res) => setPlanActive(req, res, true);
+
+// @desc    Withdraw a plan from sale and from limit lookups
+// @route   PATCH /api/admin/plans/:id/deactivate
+// @access  Private/Admin
+exports.deactivatePlan = (req, res) => setPlanActive(req, res, false);
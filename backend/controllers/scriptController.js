@@ -1,49 +1,13 @@
 // backend/controllers/scriptController.js
-const { OpenAI } = require("openai");
 const mongoose = require('mongoose');
 const User = require('../models/User'); // For usage tracking
 const SavedIdea = require('../models/SavedIdea'); // To access idea details
 const Script = require('../models/Script'); // Import the Script model
-const { z } = require("zod"); // For validation
-const { withRetry } = require('../utils/aiUtils');
-// Initialize OpenAI client (similar to other controllers)
-let openai;
-if (process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-} else {
-    console.warn("Script generation features will not function - OPENAI_API_KEY missing");
-    openai = null;
-}
-
-// Define Zod schema for script output validation with improved flexibility
-const scriptSchema = z.object({
-    title: z.string(),
-    platform: z.string(),
-    targetDuration: z.string().optional(),
-    // Allow intro to be either a string or an object with content property
-    intro: z.union([
-        z.string(),
-        z.object({
-            content: z.string()
-        }).transform(obj => obj.content)
-    ]),
-    body: z.array(z.object({
-        section: z.string(),
-        content: z.string(),
-        visualDirection: z.string().optional(),
-        duration: z.string().optional()
-    })),
-    // Allow outro to be either a string or an object with content property
-    outro: z.union([
-        z.string(),
-        z.object({
-            content: z.string()
-        }).transform(obj => obj.content)
-    ]),
-    callToAction: z.string(),
-    bRollSuggestions: z.array(z.string()).optional(),
-    tags: z.array(z.string()).optional()
-});
+const aiService = require('../services/ai');
+const usageUtil = require('../utils/usageUtil');
+const jobQueue = require('../services/jobs');
+const { scriptResponseSchema, normalizeScriptPayload } = require('../services/ai/schemas');
+const { getGenerationProfile, isScriptDurationAllowed, getModelOptions } = require('../utils/generationUtil');
 
 /**
  * @desc    Generate script from a saved idea
@@ -51,11 +15,10 @@ const scriptSchema = z.object({
  * @access  Private
  */
 exports.generateScript = async (req, res) => {
-    if (!openai) return res.status(500).json({ success: false, message: 'AI service not configured.' });
-
     const { ideaId } = req.params;
     const userId = req.user._id;
     const userName = req.user.name;
+    const profile = getGenerationProfile(req.user.subscriptionTier);
     
     // Additional parameters that can be passed
     const { 
@@ -66,6 +29,16 @@ exports.generateScript = async (req, res) => {
         additionalInstructions = '' // Any specific instructions
     } = req.body;
 
+    // Enforce the tier's script length ceiling
+    if (!isScriptDurationAllowed(profile, targetDuration)) {
+        return res.status(403).json({
+            success: false,
+            message: `Your plan supports scripts up to '${profile.maxScriptDuration}' duration.`,
+            limit: profile.maxScriptDuration,
+            upgradeTier: true
+        });
+    }
+
     try {
         // Retrieve the idea
         const idea = await SavedIdea.findOne({ _id: ideaId, userId });
@@ -77,163 +50,163 @@ exports.generateScript = async (req, res) => {
             });
         }
 
-        // Construct prompt for OpenAI
-        const systemPrompt = `You are ScriptCraft AI, a specialized script writing assistant for content creators. 
-        Generate a detailed, platform-optimized script based on the content idea, following proper script structure and format.
-        Consider the platform best practices, optimal pacing, and engagement techniques for ${platform}.
-        Make the script sound natural, engaging, and authentic to the creator's voice.
-        
-        IMPORTANT: Your response MUST be a valid JSON object with the exact structure described in the request. 
-        Make sure intro and outro are simple strings, not objects.`;
-
-        const userPrompt = `Generate a complete ${style} script for ${platform} based on this content idea:
-        
-        TITLE: ${idea.title}
-        ANGLE/CONCEPT: ${idea.angle}
-        TAGS: ${idea.tags.join(', ')}
-        ${idea.hook ? `HOOK IDEA: ${idea.hook}` : ''}
-        ${idea.structure_points && idea.structure_points.length > 0 ? 
-            `STRUCTURE POINTS: \n${idea.structure_points.join('\n')}` : ''}
-        ${idea.intendedEmotion ? `INTENDED EMOTION: ${idea.intendedEmotion}` : ''}
-        
-        ADDITIONAL REQUIREMENTS:
-        - Target duration: ${targetDuration}
-        - Style: ${style}
-        - Focus keywords: ${focusKeywords.join(', ')}
-        - Platform: ${platform}
-        ${additionalInstructions ? `- Special instructions: ${additionalInstructions}` : ''}
-        
-        REQUESTED OUTPUT FORMAT:
-        Return a complete script structured as a JSON object with these sections:
-        1. "title": An optimized title for the script (string)
-        2. "platform": The platform this is optimized for (string)
-        3. "targetDuration": Estimated duration (string)
-        4. "intro": Opening hook/greeting (30-60 seconds of content) (string)
-        5. "body": Array of sections, each with "section" name, "content" (actual script), "visualDirection" (optional), and "duration" (optional)
-        6. "outro": Conclusion text (30-45 seconds of content) (string)
-        7. "callToAction": Specific viewer prompt/CTA (string)
-        8. "bRollSuggestions": Array of suggested supplementary footage ideas (array of strings)
-        9. "tags": Recommended hashtags/tags for the platform (array of strings)
-
-        Make the script conversational, authentic, and ready to use without further editing.
-        
-        IMPORTANT: Make sure intro and outro are simple strings, not objects or nested structures.
-        RETURN YOUR RESPONSE AS A VALID JSON OBJECT, WITH NO ADDITIONAL TEXT OR EXPLANATIONS.`;
-
-        // Call OpenAI API - REMOVED response_format parameter
-        const response = await withRetry(() => openai.chat.completions.create({
-            model: "gpt-3.5-turbo", // Using a model definitely available
-            messages: [
-                { role: "system", content: systemPrompt },
-                { role: "user", content: userPrompt }
-            ],
-            temperature: 0.7
-            // No response_format parameter
-        }));
-
-        // Extract and validate the response
-        const responseContent = response.choices[0]?.message?.content;
-        if (!responseContent) {
-            throw new Error("No content received from AI service");
-        }
+        const scriptOptions = { platform, style, targetDuration, focusKeywords, additionalInstructions };
 
-        // Parse and preprocess the JSON response
-        let parsedResponse;
-        try {
-            // First try to find valid JSON in the response
-            const jsonMatch = responseContent.match(/```json\n([\s\S]*)\n```/) || 
-                             responseContent.match(/{[\s\S]*}/);
-            
-            const jsonContent = jsonMatch ? jsonMatch[1] || jsonMatch[0] : responseContent;
-            
-            parsedResponse = JSON.parse(jsonContent);
-            
-            // Handle normalization of potential object structures
-            if (parsedResponse.intro && typeof parsedResponse.intro === 'object') {
-                parsedResponse.intro = parsedResponse.intro.content || JSON.stringify(parsedResponse.intro);
-            }
-            
-            if (parsedResponse.outro && typeof parsedResponse.outro === 'object') {
-                parsedResponse.outro = parsedResponse.outro.content || JSON.stringify(parsedResponse.outro);
-            }
-            
-            // Ensure body is an array of objects with required properties
-            if (parsedResponse.body && !Array.isArray(parsedResponse.body)) {
-                if (typeof parsedResponse.body === 'object') {
-                    // Convert object to array of objects
-                    parsedResponse.body = Object.entries(parsedResponse.body).map(([section, content]) => {
-                        if (typeof content === 'object') {
-                            return {
-                                section,
-                                content: content.content || JSON.stringify(content),
-                                visualDirection: content.visualDirection,
-                                duration: content.duration
-                            };
-                        } else {
-                            return {
-                                section,
-                                content: String(content)
-                            };
-                        }
-                    });
-                } else {
-                    // Set as empty array if completely invalid
-                    parsedResponse.body = [];
+        // Long generations can run in the background; the client polls GET /api/jobs/:id
+        if (req.body.async) {
+            const job = await jobQueue.enqueue({
+                userId,
+                type: 'scriptGeneration',
+                payload: {
+                    ideaId: idea._id,
+                    tier: req.user.subscriptionTier,
+                    options: scriptOptions,
+                    context: aiService.requestContext(req),
+                    reservedUsage: usageUtil.transferUsage(req) // Released if the job fails
                 }
-            }
-            
-            // Validate with Zod
-            const scriptData = scriptSchema.parse(parsedResponse);
-            
-           
-
-            // Return successful response
-            res.status(200).json({
+            });
+            return res.status(202).json({
                 success: true,
-                message: "Script generated successfully",
-                data: scriptData,
-                ideaDetails: {
-                    id: idea._id,
-                    title: idea.title
-                }
+                message: 'Script generation queued',
+                data: jobQueue.serializeJob(job)
             });
-            
-        } catch (parseError) {
-            console.error("Error parsing or validating JSON response:", parseError);
-            console.log("Raw response:", responseContent);
-            
-            if (parseError instanceof z.ZodError) {
-                return res.status(500).json({
-                    success: false,
-                    message: "Generated script did not match expected format",
-                    errors: parseError.errors,
-                    rawResponse: responseContent.substring(0, 500) + "..." // Include partial raw response for debugging
-                });
-            }
-            
-            throw new Error("Failed to parse AI response: " + parseError.message);
         }
 
+        const scriptData = await generateScriptForIdea(idea, scriptOptions, profile, aiService.requestContext(req));
+        usageUtil.commitUsage(req);
+
+        // Return successful response
+        res.status(200).json({
+            success: true,
+            message: "Script generated successfully",
+            data: scriptData,
+            ideaDetails: {
+                id: idea._id,
+                title: idea.title
+            }
+        });
+
     } catch (error) {
         console.error("Script generation error:", error);
-        
-        // Handle OpenAI-specific errors
-        if (error.name === 'APIError') {
-            return res.status(500).json({
-                success: false,
-                message: "OpenAI API error",
-                error: error.message,
-                details: error.status ? `Status code: ${error.status}` : undefined
-            });
-        }
-        
-        // Handle other errors
-        res.status(500).json({
+        const { status, body } = aiService.toHttpError(error, "Failed to generate script");
+        res.status(status).json(body);
+    }
+};
+
+/**
+ * @desc    Generate script from a saved idea, streamed as Server-Sent Events
+ * @route   POST /api/scripts/generate/:ideaId/stream
+ * @access  Private
+ *
+ * Events: start, field (title/platform/targetDuration/bRollSuggestions/tags), intro,
+ * section (one per body section), outro, cta, complete (validated script) or error.
+ * The reserved usage credits are only kept once the full script has been validated.
+ */
+exports.streamScript = async (req, res) => {
+    const { ideaId } = req.params;
+    const userId = req.user._id;
+    const profile = getGenerationProfile(req.user.subscriptionTier);
+
+    const {
+        platform = 'youtube',
+        style = 'conversational',
+        targetDuration = 'medium',
+        focusKeywords = [],
+        additionalInstructions = ''
+    } = req.body;
+
+    // Enforce the tier's script length ceiling
+    if (!isScriptDurationAllowed(profile, targetDuration)) {
+        return res.status(403).json({
             success: false,
-            message: "Failed to generate script",
-            error: error.message
+            message: `Your plan supports scripts up to '${profile.maxScriptDuration}' duration.`,
+            limit: profile.maxScriptDuration,
+            upgradeTier: true
         });
     }
+
+    let idea;
+    try {
+        idea = await SavedIdea.findOne({ _id: ideaId, userId });
+    } catch (error) {
+        console.error("Error loading idea for script stream:", error);
+        return res.status(500).json({ success: false, message: 'Server error when loading idea' });
+    }
+
+    if (!idea) {
+        return res.status(404).json({
+            success: false,
+            message: 'Idea not found or you do not have permission to access it'
+        });
+    }
+
+    // --- Switch to SSE ---
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx on Elastic Beanstalk)
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+        if (!res.writableEnded) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    // Stop the upstream request if the client goes away
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) abortController.abort();
+    });
+
+    const ideaDetails = { id: idea._id, title: idea.title };
+    sendEvent('start', { ideaDetails });
+
+    const { systemPrompt, userPrompt } = buildScriptPrompts(idea, {
+        platform, style, targetDuration, focusKeywords, additionalInstructions
+    });
+
+    try {
+        const { data: scriptData } = await aiService.streamJSON({
+            feature: 'scriptGeneration',
+            systemPrompt,
+            userPrompt,
+            schema: scriptResponseSchema,
+            normalize: normalizeScriptPayload,
+            context: aiService.requestContext(req),
+            signal: abortController.signal,
+            ...getModelOptions(profile),
+            onField: (key, value) => {
+                const content = value && typeof value === 'object' && !Array.isArray(value) ? value.content : value;
+                if (key === 'intro') sendEvent('intro', { content });
+                else if (key === 'outro') sendEvent('outro', { content });
+                else if (key === 'callToAction') sendEvent('cta', { content });
+                else if (key !== 'body') sendEvent('field', { key, value });
+            },
+            onArrayItem: (key, index, value) => {
+                if (key === 'body') sendEvent('section', { index, ...value });
+            }
+        });
+
+        // Only a complete, validated script counts against the user's limits
+        usageUtil.commitUsage(req);
+
+        sendEvent('complete', { success: true, data: scriptData, ideaDetails });
+    } catch (error) {
+        // The stream already answered 200, so give the credits back explicitly
+        await usageUtil.releaseUsage(req);
+        if (abortController.signal.aborted) {
+            console.log(`Script stream for idea ${ideaId} aborted by client; usage not counted.`);
+            return;
+        }
+        console.error("Script stream error:", error);
+        const { status, body } = aiService.toHttpError(error, "Failed to generate script");
+        sendEvent('error', { status, ...body });
+    }
+
+    res.end();
 };
 
 /**
@@ -392,8 +365,6 @@ exports.getScriptById = async (req, res) => {
  * @access  Private
  */
 exports.transformScript = async (req, res) => {
-    if (!openai) return res.status(500).json({ success: false, message: 'AI service not configured.' });
-
     try {
         // Get the original script
         const originalScript = await Script.findOne({
@@ -429,141 +400,52 @@ exports.transformScript = async (req, res) => {
             });
         }
         
-        // Create platform transformation prompts
-        const transformationPromises = targetPlatforms.map(async (platform) => {
-            // Create platform-specific prompt
-            const systemPrompt = `You are PlatformTransformer AI, an expert in adapting content for different social media platforms.
-            Your task is to transform a script from its original platform to ${platform}, considering the unique characteristics, 
-            audience expectations, duration limits, and best practices of ${platform}.
-            
-            IMPORTANT: Your response MUST be a valid JSON object with the exact structure described in the request.
-            Make sure the 'intro' and 'outro' fields are simple strings, not objects.`;
-            
-            const userPrompt = `Transform this original script to an optimized version for ${platform}.
-            
-            ORIGINAL SCRIPT:
-            Title: ${originalScript.title}
-            Platform: ${originalScript.platform}
-            Intro: ${originalScript.intro}
-            Body: ${JSON.stringify(originalScript.body)}
-            Outro: ${originalScript.outro}
-            Call to Action: ${originalScript.callToAction}
-            
-            PLATFORM CONTEXT FOR ${platform.toUpperCase()}:
-            ${getPlatformContext(platform)}
-            
-            TRANSFORMATION INSTRUCTIONS:
-            1. Adjust length appropriately for the platform (much shorter for short-form)
-            2. Modify pacing and hook for platform-specific attention patterns
-            3. Update call-to-action to match platform capabilities
-            4. Adapt visual directions for platform-specific features
-            5. Preserve the core message and value of the original content
-            
-            Return the transformed script as a JSON object with the same structure as the original script:
-            {
-              "title": "Platform-optimized title",
-              "platform": "${platform}",
-              "targetDuration": "Platform-appropriate duration",
-              "intro": "Platform-optimized intro", // Must be a string
-              "body": [{"section": "Section name", "content": "Script content", "visualDirection": "Visual guidance", "duration": "Timing"}],
-              "outro": "Platform-optimized conclusion", // Must be a string
-              "callToAction": "Platform-appropriate CTA",
-              "bRollSuggestions": ["Suggestion 1", "Suggestion 2"],
-              "tags": ["tag1", "tag2"]
-            }
-            
-            IMPORTANT: Your response should ONLY be the JSON object, with no additional text, markdown formatting, or explanations.`;
-            
-            // Call OpenAI API for this platform - REMOVED response_format parameter
-            const response = await withRetry(() =>openai.chat.completions.create({
-                model: "gpt-3.5-turbo", // Using a model that's definitely available
-                messages: [
-                    { role: "system", content: systemPrompt },
-                    { role: "user", content: userPrompt }
-                ],
-                temperature: 0.7
-                // No response_format parameter
-            }));
-            
-            // Parse and validate response with better error handling
-            const responseContent = response.choices[0]?.message?.content;
-            if (!responseContent) {
-                throw new Error(`No content received for ${platform} transformation`);
-            }
-            
-            // Parse and preprocess the JSON response with more robust handling
-            let parsedResponse;
-            try {
-                // First try to find valid JSON in the response
-                const jsonMatch = responseContent.match(/```json\n([\s\S]*)\n```/) || 
-                                responseContent.match(/{[\s\S]*}/);
-                
-                const jsonContent = jsonMatch ? jsonMatch[1] || jsonMatch[0] : responseContent;
-                
-                parsedResponse = JSON.parse(jsonContent);
-                
-                // Handle normalization of potential object structures
-                if (parsedResponse.intro && typeof parsedResponse.intro === 'object') {
-                    parsedResponse.intro = parsedResponse.intro.content || JSON.stringify(parsedResponse.intro);
-                }
-                
-                if (parsedResponse.outro && typeof parsedResponse.outro === 'object') {
-                    parsedResponse.outro = parsedResponse.outro.content || JSON.stringify(parsedResponse.outro);
-                }
-                
-                // Ensure body is an array of objects with required properties
-                if (parsedResponse.body && !Array.isArray(parsedResponse.body)) {
-                    if (typeof parsedResponse.body === 'object') {
-                        // Convert object to array of objects
-                        parsedResponse.body = Object.entries(parsedResponse.body).map(([section, content]) => {
-                            if (typeof content === 'object') {
-                                return {
-                                    section,
-                                    content: content.content || JSON.stringify(content),
-                                    visualDirection: content.visualDirection,
-                                    duration: content.duration
-                                };
-                            } else {
-                                return {
-                                    section,
-                                    content: String(content)
-                                };
-                            }
-                        });
-                    } else {
-                        // Set as empty array if completely invalid
-                        parsedResponse.body = [];
-                    }
-                }
-                
-                // Apply schema validation
-                const transformedScript = scriptSchema.parse(parsedResponse);
-                
-                return {
-                    platform,
-                    script: transformedScript
-                };
-            } catch (parseError) {
-                console.error(`Error parsing transformation for ${platform}:`, parseError);
-                console.log("Raw response:", responseContent);
-                
-                // Return error info for this platform instead of failing the whole batch
-                return {
-                    platform,
-                    error: parseError.message,
-                    partialResponse: responseContent.substring(0, 300) + "..."
-                };
-            }
-        });
+        // Enforce the tier's platform count per transformation
+        const profile = getGenerationProfile(req.user.subscriptionTier);
+        if (targetPlatforms.length > profile.maxTransformPlatforms) {
+            return res.status(403).json({
+                success: false,
+                message: `Your plan allows transforming to ${profile.maxTransformPlatforms} platform(s) per request.`,
+                limit: profile.maxTransformPlatforms,
+                upgradeTier: true
+            });
+        }
         
-        // Execute all transformations in parallel
-        const transformationResults = await Promise.all(transformationPromises);
+        // Large fan-outs can run in the background; the client polls GET /api/jobs/:id
+        if (req.body.async) {
+            const job = await jobQueue.enqueue({
+                userId: req.user._id,
+                type: 'scriptTransformation',
+                payload: {
+                    scriptId: originalScript._id,
+                    tier: req.user.subscriptionTier,
+                    targetPlatforms,
+                    context: aiService.requestContext(req),
+                    reservedUsage: usageUtil.transferUsage(req) // Released if every platform fails
+                },
+                total: targetPlatforms.length
+            });
+            return res.status(202).json({
+                success: true,
+                message: `Script transformation queued for ${targetPlatforms.length} platforms`,
+                data: jobQueue.serializeJob(job)
+            });
+        }
+        
+        const transformationResults = await transformForPlatforms(
+            originalScript, targetPlatforms, profile, aiService.requestContext(req)
+        );
         
         // Separate successful and failed transformations
         const transformedScripts = transformationResults.filter(result => !result.error);
         const failedTransformations = transformationResults.filter(result => result.error);
         
-        
+        // Only keep the transformation credit if at least one platform worked
+        if (transformedScripts.length > 0) {
+            usageUtil.commitUsage(req);
+        } else {
+            await usageUtil.releaseUsage(req);
+        }
         
         // Return successful response with all transformations
         res.status(200).json({
@@ -581,32 +463,156 @@ exports.transformScript = async (req, res) => {
         
     } catch (error) {
         console.error("Script transformation error:", error);
-        
-        if (error instanceof z.ZodError) {
-            return res.status(500).json({
-                success: false,
-                message: "Transformed script did not match expected format",
-                errors: error.errors
-            });
+        const { status, body } = aiService.toHttpError(error, "Failed to transform script");
+        res.status(status).json(body);
+    }
+};
+
+// Generate a script for a saved idea (shared by the blocking endpoint and the background job)
+async function generateScriptForIdea(idea, options, profile, context) {
+    const { systemPrompt, userPrompt } = buildScriptPrompts(idea, options);
+
+    const { data: scriptData } = await aiService.generateJSON({
+        feature: 'scriptGeneration',
+        systemPrompt,
+        userPrompt,
+        schema: scriptResponseSchema,
+        normalize: normalizeScriptPayload,
+        context,
+        ...getModelOptions(profile)
+    });
+
+    return scriptData;
+}
+
+// Transform a script for each platform in parallel. A failed platform yields { platform, error }
+// instead of failing the batch; onResult (optional) is awaited as each platform finishes.
+async function transformForPlatforms(originalScript, targetPlatforms, profile, context, onResult) {
+    const transformationPromises = targetPlatforms.map(async (platform) => {
+        // Create platform-specific prompt
+        const systemPrompt = `You are PlatformTransformer AI, an expert in adapting content for different social media platforms.
+        Your task is to transform a script from its original platform to ${platform}, considering the unique characteristics, 
+        audience expectations, duration limits, and best practices of ${platform}.
+    
+        IMPORTANT: Your response MUST be a valid JSON object with the exact structure described in the request.
+        Make sure the 'intro' and 'outro' fields are simple strings, not objects.`;
+    
+        const userPrompt = `Transform this original script to an optimized version for ${platform}.
+    
+        ORIGINAL SCRIPT:
+        Title: ${originalScript.title}
+        Platform: ${originalScript.platform}
+        Intro: ${originalScript.intro}
+        Body: ${JSON.stringify(originalScript.body)}
+        Outro: ${originalScript.outro}
+        Call to Action: ${originalScript.callToAction}
+    
+        PLATFORM CONTEXT FOR ${platform.toUpperCase()}:
+        ${getPlatformContext(platform)}
+    
+        TRANSFORMATION INSTRUCTIONS:
+        1. Adjust length appropriately for the platform (much shorter for short-form)
+        2. Modify pacing and hook for platform-specific attention patterns
+        3. Update call-to-action to match platform capabilities
+        4. Adapt visual directions for platform-specific features
+        5. Preserve the core message and value of the original content
+    
+        Return the transformed script as a JSON object with the same structure as the original script:
+        {
+          "title": "Platform-optimized title",
+          "platform": "${platform}",
+          "targetDuration": "Platform-appropriate duration",
+          "intro": "Platform-optimized intro", // Must be a string
+          "body": [{"section": "Section name", "content": "Script content", "visualDirection": "Visual guidance", "duration": "Timing"}],
+          "outro": "Platform-optimized conclusion", // Must be a string
+          "callToAction": "Platform-appropriate CTA",
+          "bRollSuggestions": ["Suggestion 1", "Suggestion 2"],
+          "tags": ["tag1", "tag2"]
         }
-        
-        // Handle OpenAI-specific errors
-        if (error.name === 'APIError') {
-            return res.status(500).json({
-                success: false,
-                message: "OpenAI API error during transformation",
-                error: error.message,
-                details: error.status ? `Status code: ${error.status}` : undefined
+    
+        IMPORTANT: Your response should ONLY be the JSON object, with no additional text, markdown formatting, or explanations.`;
+    
+        try {
+            const { data: transformedScript } = await aiService.generateJSON({
+                feature: 'scriptTransformation',
+                systemPrompt,
+                userPrompt,
+                schema: scriptResponseSchema,
+                normalize: normalizeScriptPayload,
+                context,
+                ...getModelOptions(profile)
             });
+
+            const result = { platform, script: transformedScript };
+            if (onResult) await onResult(result);
+            return result;
+        } catch (error) {
+            // Configuration problems fail the whole request
+            if (error instanceof aiService.AINotConfiguredError) throw error;
+
+            console.error(`Error transforming script for ${platform}:`, error.message);
+
+            // Return error info for this platform instead of failing the whole batch
+            const result = {
+                platform,
+                error: error.message,
+                partialResponse: error.rawContent ? error.rawContent.substring(0, 300) + "..." : undefined
+            };
+            if (onResult) await onResult(result);
+            return result;
         }
-        
-        res.status(500).json({
-            success: false,
-            message: "Failed to transform script",
-            error: error.message
-        });
-    }
-};
+    });
+
+    // Execute all transformations in parallel
+    return Promise.all(transformationPromises);
+}
+
+// Helper to build the script generation prompts for an idea (shared by the blocking and streaming endpoints)
+function buildScriptPrompts(idea, { platform, style, targetDuration, focusKeywords, additionalInstructions }) {
+    const systemPrompt = `You are ScriptCraft AI, a specialized script writing assistant for content creators. 
+    Generate a detailed, platform-optimized script based on the content idea, following proper script structure and format.
+    Consider the platform best practices, optimal pacing, and engagement techniques for ${platform}.
+    Make the script sound natural, engaging, and authentic to the creator's voice.
+    
+    IMPORTANT: Your response MUST be a valid JSON object with the exact structure described in the request. 
+    Make sure intro and outro are simple strings, not objects.`;
+
+    const userPrompt = `Generate a complete ${style} script for ${platform} based on this content idea:
+    
+    TITLE: ${idea.title}
+    ANGLE/CONCEPT: ${idea.angle}
+    TAGS: ${idea.tags.join(', ')}
+    ${idea.hook ? `HOOK IDEA: ${idea.hook}` : ''}
+    ${idea.structure_points && idea.structure_points.length > 0 ? 
+        `STRUCTURE POINTS: \n${idea.structure_points.join('\n')}` : ''}
+    ${idea.intendedEmotion ? `INTENDED EMOTION: ${idea.intendedEmotion}` : ''}
+    
+    ADDITIONAL REQUIREMENTS:
+    - Target duration: ${targetDuration}
+    - Style: ${style}
+    - Focus keywords: ${focusKeywords.join(', ')}
+    - Platform: ${platform}
+    ${additionalInstructions ? `- Special instructions: ${additionalInstructions}` : ''}
+    
+    REQUESTED OUTPUT FORMAT:
+    Return a complete script structured as a JSON object with these sections, in this order:
+    1. "title": An optimized title for the script (string)
+    2. "platform": The platform this is optimized for (string)
+    3. "targetDuration": Estimated duration (string)
+    4. "intro": Opening hook/greeting (30-60 seconds of content) (string)
+    5. "body": Array of sections, each with "section" name, "content" (actual script), "visualDirection" (optional), and "duration" (optional)
+    6. "outro": Conclusion text (30-45 seconds of content) (string)
+    7. "callToAction": Specific viewer prompt/CTA (string)
+    8. "bRollSuggestions": Array of suggested supplementary footage ideas (array of strings)
+    9. "tags": Recommended hashtags/tags for the platform (array of strings)
+
+    Make the script conversational, authentic, and ready to use without further editing.
+    
+    IMPORTANT: Make sure intro and outro are simple strings, not objects or nested structures.
+    RETURN YOUR RESPONSE AS A VALID JSON OBJECT, WITH NO ADDITIONAL TEXT OR EXPLANATIONS.`;
+
+    return { systemPrompt, userPrompt };
+}
 
 // Helper function for platform-specific context
 function getPlatformContext(platform) {
@@ -892,9 +898,72 @@ exports.getTransformedScripts = async (req, res) => {
     }
 };
 
+// --- Background job handlers (see services/jobs) ---
+
+jobQueue.registerHandler('scriptGeneration', async (job) => {
+    const { ideaId, tier, options, context } = job.payload;
+
+    const idea = await SavedIdea.findOne({ _id: ideaId, userId: job.userId });
+    if (!idea) {
+        return { status: 'failed', error: 'Idea not found or no longer available' };
+    }
+
+    const scriptData = await generateScriptForIdea(idea, options, getGenerationProfile(tier), context);
+
+    return {
+        result: {
+            script: scriptData,
+            ideaDetails: { id: idea._id, title: idea.title }
+        }
+    };
+});
+
+jobQueue.registerHandler('scriptTransformation', async (job, { setProgress }) => {
+    const { scriptId, tier, targetPlatforms, context } = job.payload;
+
+    const originalScript = await Script.findOne({ _id: scriptId, userId: job.userId });
+    if (!originalScript) {
+        return { status: 'failed', error: 'Script not found or no longer available' };
+    }
+
+    let completed = 0;
+    let failed = 0;
+    const results = await transformForPlatforms(
+        originalScript, targetPlatforms, getGenerationProfile(tier), context,
+        (result) => {
+            if (result.error) failed += 1;
+            else completed += 1;
+            return setProgress({ completed, failed });
+        }
+    );
+
+    const transformedScripts = results.filter(result => !result.error);
+    const failedTransformations = results.filter(result => result.error);
+
+    let status = 'succeeded';
+    if (failedTransformations.length > 0) {
+        status = transformedScripts.length > 0 ? 'partial' : 'failed';
+    }
+
+    return {
+        status,
+        error: failedTransformations.length > 0 ? `${failedTransformations.length} of ${results.length} platforms failed` : undefined,
+        result: {
+            originalScript: {
+                id: originalScript._id,
+                title: originalScript.title,
+                platform: originalScript.platform
+            },
+            transformedScripts,
+            failedTransformations
+        }
+    };
+});
+
 // Export all the controller functions
 module.exports = {
     generateScript: exports.generateScript,
+    streamScript: exports.streamScript,
     saveScript: exports.saveScript,
     getUserScripts: exports.getUserScripts,
     getScriptById: exports.getScriptById,
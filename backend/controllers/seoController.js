@@ -1,32 +1,9 @@
 // backend/controllers/seoController.js
-const { OpenAI } = require("openai");
 const User = require('../models/User'); // For usage tracking
-const { z } = require("zod"); // For validation
-const { withRetry } = require('../utils/aiUtils');
-// --- Initialize OpenAI Client ---
-// Ensure OPENAI_API_KEY is loaded from .env in your main server file (server.js)
-let openai;
-if (process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-} else {
-    console.warn("****************************************************************");
-    console.warn("SEO Controller WARN: OPENAI_API_KEY missing in environment variables!");
-    console.warn("WARN: AI SEO features will be disabled.");
-    console.warn("****************************************************************");
-    openai = null;
-}
-// --- End OpenAI Client Initialization ---
-
-// --- ZOD Schema for SEO Output ---
-const seoAnalysisSchema = z.object({
-    suggestedKeywords: z.array(z.string()).optional().describe("Relevant keywords (mix of broad and long-tail)."),
-    optimizedTitles: z.array(z.string().max(100)).optional().describe("2-3 optimized title suggestions."),
-    optimizedDescription: z.string().optional().describe("Suggested optimized description text."),
-    suggestedHashtags: z.array(z.string()).optional().describe("Platform-relevant hashtags."),
-    contentFeedback: z.string().optional().describe("Actionable feedback on the provided content/script for SEO/engagement."),
-    suggestedSaveTitle: z.string().optional().describe("A concise title for saving/referencing this SEO report.") // Added field
-});
-// --- End Zod Schema ---
+const aiService = require('../services/ai');
+const usageUtil = require('../utils/usageUtil');
+const { seoAnalysisSchema } = require('../services/ai/schemas');
+const { getGenerationProfile, getModelOptions } = require('../utils/generationUtil');
 
 // --- Helper Functions ---
 const isBeforeToday = (date) => {
@@ -46,11 +23,6 @@ const FREE_USER_DAILY_SEO_LIMIT = 5; // Example limit for SEO analyses per day f
 // @route   POST /api/seo/analyze
 // @access  Private (Requires 'protect' middleware)
 exports.analyzeContentSeo = async (req, res, next) => {
-    // Check if AI service is available
-    if (!openai) {
-        return res.status(500).json({ success: false, message: 'AI service is not configured on the server.' });
-    }
-
     // --- Get User Info & Input from Request ---
     const userId = req.user?.id;
     const userTier = req.user?.subscriptionTier;
@@ -117,44 +89,16 @@ Ensure the entire response is a single, valid JSON object starting with { and en
     // --- API Call & Processing ---
     try {
         console.log(`Performing SEO Analysis for user ${userId}. Platform: ${targetPlatform}, Language: ${language}.`);
-        const response = await withRetry(() =>openai.chat.completions.create({
-            model: "gpt-3.5-turbo", // Consider GPT-4 for potentially better SEO nuances and consistency
-            messages: [
-                { role: "system", content: systemPrompt },
-                { role: "user", content: userPrompt }
-            ],
-            temperature: 0.5, // Lower temperature for more focused, less overly creative SEO suggestions
-            response_format: { type: "json_object" },
-        }));
-
-        const rawContent = response.choices[0]?.message?.content;
-        if (!rawContent) {
-            throw new Error("No content received from OpenAI for SEO analysis.");
-        }
-        console.log("Raw SEO analysis content string:", rawContent);
-
-        // --- Parse and Validate Response using Zod ---
-        let validatedData;
-        try {
-            validatedData = seoAnalysisSchema.parse(JSON.parse(rawContent));
-            console.log("Successfully parsed and validated SEO analysis response.");
-        } catch (error) {
-            console.error("Failed parsing or validating SEO analysis JSON:", error);
-            // Log detailed Zod errors if applicable
-            if (error instanceof z.ZodError) {
-                console.error("Zod Validation Error Details:", error.errors);
-            }
-            // Return error response including raw content for debugging
-            return res.status(500).json({
-                success: false,
-                message: "AI SEO response received but failed format validation.",
-                details: error instanceof z.ZodError ? error.errors : error.message, // Send Zod errors or general message
-                raw_content: rawContent
-            });
-        }
-        // --- End Parse and Validate ---
-
-        
+        const { data: validatedData } = await aiService.generateJSON({
+            feature: 'seoAnalysis',
+            systemPrompt,
+            userPrompt,
+            schema: seoAnalysisSchema,
+            context: aiService.requestContext(req),
+            ...getModelOptions(getGenerationProfile(userTier))
+        });
+
+        usageUtil.commitUsage(req); // Keep the credit reserved by dailyLimit
 
         // --- Success Response ---
         // Send the validated data object, which now includes suggestedSaveTitle
@@ -165,13 +109,7 @@ Ensure the entire response is a single, valid JSON object starting with { and en
         });
 
     } catch (error) { // Catch errors from AI call or other unexpected issues
-        // Log specific OpenAI errors
-        if (error instanceof OpenAI.APIError) {
-            console.error('OpenAI API SEO Error:', { status: error.status, headers: error.headers, error: error.error });
-        } else {
-            console.error('Generic Error in analyzeContentSeo:', error.message, error.stack);
-        }
-        // Return generic server error to client
-        res.status(500).json({ success: false, message: 'Failed to perform SEO analysis due to a server or AI error.' });
+        const { status, body } = aiService.toHttpError(error, 'Failed to perform SEO analysis due to a server or AI error.');
+        res.status(status).json(body);
     }
 }; // --- End of analyzeContentSeo function ---
\ No newline at end of file
@@ -0,0 +1,108 @@
+// backend/controllers/trialController.js
+const User = require('../models/User');
+const paymentConfig = require('../config/paymentConfig');
+const { startTrial } = require('../utils/trialUtil');
+const { serializeSubscription } = require('../utils/subscriptionUtil');
+const { buildDateMatch, invalidRangeResponse } = require('../utils/dateRangeUtil');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// @desc    Start the user's free trial of the trial tier
+// @route   POST /api/payments/trial
+// @access  Private
+exports.startUserTrial = async (req, res) => {
+    try {
+        const result = await startTrial(req.user._id, { source: 'request' });
+        if (result.error) {
+            return res.status(409).json({ success: false, message: result.error });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Your ${paymentConfig.trial.days}-day free trial has started.`,
+            data: serializeSubscription(result.subscription)
+        });
+    } catch (error) {
+        console.error(`Error starting trial for user ${req.user._id}:`, error);
+        res.status(500).json({ success: false, message: 'Server error while starting the trial.' });
+    }
+};
+
+// ===============================================
+// --- ADMIN ONLY Functions ---
+// ===============================================
+
+// @desc    Trial conversion for trials started in a date range
+// @route   GET /api/admin/trials/metrics?from=&to=
+// @access  Private/Admin
+exports.getTrialMetrics = async (req, res) => {
+    const match = buildDateMatch(req.query);
+    if (!match) return invalidRangeResponse(res);
+    const now = new Date();
+
+    try {
+        const [result] = await User.aggregate([
+            { $match: { 'trial.startedAt': match.createdAt } },
+            {
+                $facet: {
+                    totals: [{
+                        $group: {
+                            _id: null,
+                            started: { $sum: 1 },
+                            converted: { $sum: { $cond: [{ $eq: ['$trial.outcome', 'converted'] }, 1, 0] } },
+                            expired: { $sum: { $cond: [{ $eq: ['$trial.outcome', 'expired'] }, 1, 0] } },
+                            inProgress: { $sum: { $cond: [{ $and: [{ $not: ['$trial.outcome'] }, { $gt: ['$trial.endsAt', now] }] }, 1, 0] } },
+                            avgMsToConvert: {
+                                $avg: {
+                                    $cond: [
+                                        { $eq: ['$trial.outcome', 'converted'] },
+                                        { $subtract: ['$trial.convertedAt', '$trial.startedAt'] },
+                                        null
+                                    ]
+                                }
+                            }
+                        }
+                    }],
+                    bySource: [
+                        {
+                            $group: {
+                                _id: '$trial.source',
+                                started: { $sum: 1 },
+                                converted: { $sum: { $cond: [{ $eq: ['$trial.outcome', 'converted'] }, 1, 0] } }
+                            }
+                        },
+                        { $sort: { started: -1 } }
+                    ],
+                    byPlan: [
+                        { $match: { 'trial.outcome': 'converted' } },
+                        { $group: { _id: '$trial.convertedPlan', conversions: { $sum: 1 } } },
+                        { $sort: { conversions: -1 } }
+                    ]
+                }
+            }
+        ]);
+
+        const totals = result.totals[0] || { started: 0, converted: 0, expired: 0, inProgress: 0, avgMsToConvert: null };
+        const decided = totals.converted + totals.expired;
+
+        res.status(200).json({
+            success: true,
+            range: { from: match.createdAt.$gte, to: match.createdAt.$lte },
+            data: {
+                trialDays: paymentConfig.trial.days,
+                started: totals.started,
+                inProgress: totals.inProgress,
+                converted: totals.converted,
+                expired: totals.expired,
+                // Of the trials that have finished (converted or expired)
+                conversionRate: decided ? Number((totals.converted / decided).toFixed(4)) : null,
+                avgDaysToConvert: totals.avgMsToConvert !== null ? Number((totals.avgMsToConvert / DAY_MS).toFixed(1)) : null,
+                bySource: result.bySource.map(row => ({ source: row._id, started: row.started, converted: row.converted })),
+                conversionsByPlan: result.byPlan.map(row => ({ plan: row._id, conversions: row.conversions }))
+            }
+        });
+    } catch (error) {
+        console.error('Admin: Error getting trial metrics:', error);
+        res.status(500).json({ success: false, message: 'Server error fetching trial metrics.' });
+    }
+};
@@ -0,0 +1,203 @@
+// backend/controllers/twoFactorController.js
+const User = require('../models/User');
+const {
+  isTwoFactorRequired,
+  verifyChallengeToken,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  getTwoFactorStatus
+} = require('../utils/twoFactorUtil');
+const { beginLoginAttempt, recordLoginFailure, releaseLoginAttempt } = require('../utils/loginThrottleUtil');
+const { completeLogin } = require('../utils/sessionUtil');
+
+// Send the 429 for a throttled code attempt (same limits as password attempts)
+const sendThrottled = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed attempts. Try again in ${throttle.retryAfterSeconds} seconds.`,
+    retryAfterSeconds: throttle.retryAfterSeconds
+  });
+};
+
+// @desc    2FA status for the logged-in user
+// @route   GET /api/auth/2fa
+// @access  Private
+exports.getStatus = async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.user._id);
+    if (!status) return res.status(404).json({ success: false, message: 'User not found' });
+    res.status(200).json({ success: true, data: status });
+  } catch (error) {
+    console.error(`Error fetching 2FA status for user ${req.user._id}:`, error);
+    res.status(500).json({ success: false, message: 'Server error fetching two-factor status.' });
+  }
+};
+
+// @desc    Start 2FA setup: returns the secret and otpauth URI for the authenticator app
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or an admin's enrolment challenge token)
+exports.setup = async (req, res) => {
+  try {
+    const result = await startEnrollment(req.user._id);
+    if (result.error) return res.status(400).json({ success: false, message: result.error });
+
+    res.status(200).json({
+      success: true,
+      message: 'Add this account to your authenticator app, then confirm with a code from it.',
+      data: result
+    });
+  } catch (error) {
+    console.error(`Error starting 2FA setup for user ${req.user._id}:`, error);
+    res.status(500).json({ success: false, message: 'Server error during two-factor setup.' });
+  }
+};
+
+// @desc    Confirm 2FA setup with a code from the app; returns backup codes (shown once).
+//          With an enrolment challenge token this also completes the login.
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or an admin's enrolment challenge token)
+exports.enable = async (req, res) => {
+  const { code } = req.body;
+  if (!code) return res.status(400).json({ success: false, message: 'Please provide the code from your authenticator app' });
+
+  try {
+    const throttle = await beginLoginAttempt({ email: req.user.email, ip: req.ip });
+    if (!throttle.allowed) return sendThrottled(res, throttle);
+
+    const result = await confirmEnrollment(req.user._id, code);
+    if (result.error) {
+      await recordLoginFailure({ email: req.user.email, ip: req.ip, userId: req.user._id });
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    let tokens = {};
+    if (req.enrollmentChallenge) {
+      tokens = await completeLogin(req.user, req);
+    } else {
+      await releaseLoginAttempt({ email: req.user.email, ip: req.ip });
+    }
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication is on. Save your backup codes somewhere safe - they will not be shown again.',
+      ...tokens,
+      data: { backupCodes: result.backupCodes }
+    });
+  } catch (error) {
+    console.error(`Error enabling 2FA for user ${req.user._id}:`, error);
+    res.status(500).json({ success: false, message: 'Server error enabling two-factor authentication.' });
+  }
+};
+
+// @desc    Second login step: exchange the challenge token and a code (or backup code) for a session
+// @route   POST /api/auth/2fa/verify
+// @access  Public (challenge token)
+exports.verifyLogin = async (req, res) => {
+  const { challengeToken, code } = req.body;
+  if (!challengeToken || !code) {
+    return res.status(400).json({ success: false, message: 'Please provide the challenge token and code' });
+  }
+
+  const challenge = verifyChallengeToken(challengeToken, 'verify');
+  if (!challenge) {
+    return res.status(401).json({ success: false, message: 'This login attempt has expired. Please log in again.' });
+  }
+
+  try {
+    const user = await User.findById(challenge.id).select('email role sessionsRevokedAt twoFactor.enabled');
+    // A password reset since the challenge was issued cancels it
+    if (!user || (user.sessionsRevokedAt && challenge.iat < Math.floor(user.sessionsRevokedAt.getTime() / 1000))) {
+      return res.status(401).json({ success: false, message: 'This login attempt has expired. Please log in again.' });
+    }
+
+    const throttle = await beginLoginAttempt({ email: user.email, ip: req.ip });
+    if (!throttle.allowed) return sendThrottled(res, throttle);
+
+    const result = await verifySecondFactor(user._id, code);
+    if (!result.ok) {
+      await recordLoginFailure({ email: user.email, ip: req.ip, userId: user._id });
+      return res.status(401).json({ success: false, message: result.error });
+    }
+
+    const tokens = await completeLogin(user, req);
+    const status = result.method === 'backup_code' ? await getTwoFactorStatus(user._id) : null;
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      ...tokens,
+      backupCodesRemaining: status ? status.backupCodesRemaining : undefined
+    });
+  } catch (error) {
+    console.error('Two-Factor Verification Error:', error);
+    res.status(500).json({ success: false, message: 'Server Error during two-factor verification' });
+  }
+};
+
+// @desc    Replace the backup codes (needs a current code; throttled like logins)
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+exports.regenerateCodes = async (req, res) => {
+  const { code } = req.body;
+  if (!code) return res.status(400).json({ success: false, message: 'Please provide the code from your authenticator app' });
+
+  try {
+    const throttle = await beginLoginAttempt({ email: req.user.email, ip: req.ip });
+    if (!throttle.allowed) return sendThrottled(res, throttle);
+
+    const result = await verifySecondFactor(req.user._id, code);
+    if (!result.ok) {
+      await recordLoginFailure({ email: req.user.email, ip: req.ip, userId: req.user._id });
+      return res.status(401).json({ success: false, message: result.error });
+    }
+    await releaseLoginAttempt({ email: req.user.email, ip: req.ip });
+
+    const backupCodes = await regenerateBackupCodes(req.user._id);
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes created. Your old codes no longer work.',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    console.error(`Error regenerating backup codes for user ${req.user._id}:`, error);
+    res.status(500).json({ success: false, message: 'Server error creating backup codes.' });
+  }
+};
+
+// @desc    Turn 2FA off (needs the password and a current code, throttled like logins; not allowed for admins)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disable = async (req, res) => {
+  const { password, code } = req.body;
+  if (!password || !code) {
+    return res.status(400).json({ success: false, message: 'Please provide your password and a code' });
+  }
+  if (isTwoFactorRequired(req.user)) {
+    return res.status(403).json({ success: false, message: 'Two-factor authentication is required for admin accounts.' });
+  }
+
+  try {
+    const throttle = await beginLoginAttempt({ email: req.user.email, ip: req.ip });
+    if (!throttle.allowed) return sendThrottled(res, throttle);
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!user || !(await user.comparePassword(password))) {
+      await recordLoginFailure({ email: req.user.email, ip: req.ip, userId: req.user._id });
+      return res.status(401).json({ success: false, message: 'Incorrect password.' });
+    }
+    const result = await verifySecondFactor(req.user._id, code);
+    if (!result.ok) {
+      await recordLoginFailure({ email: req.user.email, ip: req.ip, userId: req.user._id });
+      return res.status(401).json({ success: false, message: result.error });
+    }
+    await releaseLoginAttempt({ email: req.user.email, ip: req.ip });
+
+    await disableTwoFactor(req.user._id);
+    res.status(200).json({ success: true, message: 'Two-factor authentication is off.' });
+  } catch (error) {
+    console.error(`Error disabling 2FA for user ${req.user._id}:`, error);
+    res.status(500).json({ success: false, message: 'Server error disabling two-factor authentication.' });
+  }
+};
@@ -3,9 +3,16 @@ const User = require('../models/User');
 const SavedIdea = require('../models/SavedIdea'); // Needed for cascade delete
 const Refinement = require('../models/Refinement'); // Needed for cascade delete
 const ScheduledIdea = require('../models/ScheduledIdea'); // Needed for cascade delete
+const ApiKey = require('../models/ApiKey'); // Needed for cascade delete
 const mongoose = require('mongoose');
-const limitConfig = require('../config/limitConfig');
-const { getFieldNameForFeature } = require('../utils/usageUtil'); // So we can see the DB fields
+const { getTierLimits } = require('../utils/planUtil');
+const { getFieldNameForFeature, getUsageWindows } = require('../utils/usageUtil'); // So we can see the DB fields
+const { getGenerationProfile } = require('../utils/generationUtil');
+const UsageEvent = require('../models/UsageEvent');
+const Notification = require('../models/Notification');
+const { buildDateMatch, invalidRangeResponse } = require('../utils/dateRangeUtil');
+const SecurityEvent = require('../models/SecurityEvent');
+const { unlockLogin } = require('../utils/loginThrottleUtil');
 
 // --- Helper Function for Input Validation/Filtering ---
 // (Could be expanded or moved to a utility file)
@@ -40,7 +47,8 @@ exports.getUserProfile = async (req, res, next) => {
 // @access  Private (requires 'protect' middleware)
 exports.updateUserProfile = async (req, res, next) => {
     // Define fields a user is allowed to update for themselves via this route
-    const allowedUpdates = ['name', 'profilePictureUrl', 'interests', 'preferences'];
+    // billingProfile (legal name, GSTIN, address) is printed on invoices issued after the change
+    const allowedUpdates = ['name', 'profilePictureUrl', 'interests', 'preferences', 'billingProfile'];
     const updateData = filterObject(req.body, allowedUpdates);
 
     // Prevent empty updates
@@ -154,6 +162,7 @@ exports.deleteMyAccount = async (req, res, next) => {
         await SavedIdea.deleteMany({ userId: userId }).session(session);
         await Refinement.deleteMany({ userId: userId }).session(session);
         await ScheduledIdea.deleteMany({ userId: userId }).session(session);
+        await ApiKey.deleteMany({ userId: userId }).session(session);
         // Add deletion for other user-related data here
         console.log(`Cascade delete staged for user: ${userId}`);
         // --- End Cascade Delete ---
@@ -313,6 +322,7 @@ exports.deleteUser = async (req, res, next) => {
         await SavedIdea.deleteMany({ userId: userId }).session(session);
         await Refinement.deleteMany({ userId: userId }).session(session);
         await ScheduledIdea.deleteMany({ userId: userId }).session(session);
+        await ApiKey.deleteMany({ userId: userId }).session(session);
         // Add other cascade deletes here
         console.log(`ADMIN Cascade delete staged for user: ${userId}`);
 
@@ -334,12 +344,13 @@ exports.deleteUser = async (req, res, next) => {
 
 exports.getUserUsage = async (req, res) => {
     try {
-      const user = await User.findById(req.user._id).select('subscriptionTier usage');
+      const user = await User.findById(req.user._id).select('subscriptionTier usage preferences');
       if (!user) return res.status(404).json({ success: false, message: 'User not found' });
   
       const tier = user.subscriptionTier || 'free';
+      const tierLimits = await getTierLimits(tier);
       const dailyUsage = {};
-      const dailyLimits = limitConfig[tier].daily || {};
+      const dailyLimits = tierLimits.daily || {};
   
       for (let featureKey of Object.keys(dailyLimits)) {
         const dbField = getFieldNameForFeature('daily', featureKey);
@@ -357,7 +368,7 @@ exports.getUserUsage = async (req, res) => {
       }
   
       const monthlyUsage = {};
-      const monthlyLimits = limitConfig[tier].monthly || {};
+      const monthlyLimits = tierLimits.monthly || {};
   
       for (let featureKey of Object.keys(monthlyLimits)) {
         const dbField = getFieldNameForFeature('monthly', featureKey);
@@ -376,7 +387,7 @@ exports.getUserUsage = async (req, res) => {
   
       // For permanent usage, you can do DB counts or just show the limit
       const permanentUsage = {};
-      const permLimits = limitConfig[tier].permanent || {};
+      const permLimits = tierLimits.permanent || {};
       for (let featureKey of Object.keys(permLimits)) {
         const limitVal = permLimits[featureKey];
         if (limitVal < 0) {
@@ -386,13 +397,201 @@ exports.getUserUsage = async (req, res) => {
         }
       }
   
+      const windows = await getUsageWindows(user);
+  
       return res.status(200).json({
         success: true,
-        data: { daily: dailyUsage, monthly: monthlyUsage, permanent: permanentUsage }
+        data: {
+          daily: dailyUsage,
+          monthly: monthlyUsage,
+          permanent: permanentUsage,
+          resets: { // When the daily/monthly counters next reset
+            daily: windows.daily.end,
+            monthly: windows.monthly.end,
+            monthlyBasis: windows.monthlyBasis, // 'billing_cycle' or 'calendar_month'
+            timezone: windows.timezone
+          },
+          generation: getGenerationProfile(tier) // Model and output-size settings for this tier
+        }
       });
   
     } catch (err) {
       console.error('Error in getUserUsage:', err);
       return res.status(500).json({ success: false, message: 'Server error retrieving usage' });
     }
-  };
\ No newline at end of file
+  };
+
+
+// Usage history is bucketed on Indian calendar days/months
+const USAGE_HISTORY_TIMEZONE = 'Asia/Kolkata';
+
+// Build daily and monthly usage series plus recent blocked attempts for one user
+const buildUsageHistory = async (userId, query) => {
+    const match = buildDateMatch(query, 90);
+    if (!match) return null;
+
+    match.userId = new mongoose.Types.ObjectId(userId);
+    if (query.feature) match.feature = query.feature;
+
+    const countedActions = ['consume', 'increment', 'release'];
+    const seriesStages = (format) => [
+        { $match: match },
+        {
+            $group: {
+                _id: {
+                    period: { $dateToString: { format, date: '$createdAt', timezone: USAGE_HISTORY_TIMEZONE } },
+                    feature: '$feature',
+                    limitType: '$limitType'
+                },
+                used: { $sum: { $cond: [{ $in: ['$action', countedActions] }, '$delta', 0] } },
+                blocked: { $sum: { $cond: [{ $eq: ['$action', 'blocked'] }, 1, 0] } },
+                resets: { $sum: { $cond: [{ $eq: ['$action', 'reset'] }, 1, 0] } }
+            }
+        },
+        { $sort: { '_id.period': 1, '_id.feature': 1 } },
+        { $project: { _id: 0, period: '$_id.period', feature: '$_id.feature', limitType: '$_id.limitType', used: 1, blocked: 1, resets: 1 } }
+    ];
+
+    const [daily, monthly, blockedEvents] = await Promise.all([
+        UsageEvent.aggregate(seriesStages('%Y-%m-%d')),
+        UsageEvent.aggregate(seriesStages('%Y-%m')),
+        UsageEvent.find({ ...match, action: 'blocked' })
+            .sort({ createdAt: -1 })
+            .limit(50)
+            .select('feature limitType valueAfter limit tier createdAt -_id')
+            .lean()
+    ]);
+
+    return {
+        range: { from: match.createdAt.$gte, to: match.createdAt.$lte },
+        timezone: USAGE_HISTORY_TIMEZONE,
+        daily: daily.map(({ period, ...row }) => ({ date: period, ...row })),
+        monthly: monthly.map(({ period, ...row }) => ({ month: period, ...row })),
+        // Most recent refusals, e.g. for "why was I blocked?" tickets
+        blocked: blockedEvents.map(({ valueAfter, ...event }) => ({ ...event, usageAtTime: valueAfter }))
+    };
+};
+
+// @desc    Get own usage history (daily and monthly series)
+// @route   GET /api/users/me/usage/history?from=YYYY-MM-DD&to=YYYY-MM-DD&feature=contentIdeations
+// @access  Private
+exports.getMyUsageHistory = async (req, res) => {
+    try {
+        const history = await buildUsageHistory(req.user._id, req.query);
+        if (!history) return invalidRangeResponse(res);
+
+        res.status(200).json({ success: true, data: history });
+    } catch (error) {
+        console.error('Error in getMyUsageHistory:', error);
+        res.status(500).json({ success: false, message: 'Server error retrieving usage history' });
+    }
+};
+
+// @desc    Get a user's usage history (for support)
+// @route   GET /api/users/:id/usage/history?from&to&feature
+// @access  Private/Admin
+exports.getUserUsageHistory = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: 'Invalid user ID format' });
+    }
+
+    try {
+        const user = await User.findById(req.params.id).select('name email subscriptionTier usage');
+        if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+        const history = await buildUsageHistory(user._id, req.query);
+        if (!history) return invalidRangeResponse(res);
+
+        res.status(200).json({
+            success: true,
+            user: { id: user._id, name: user.name, email: user.email, subscriptionTier: user.subscriptionTier, usage: user.usage },
+            data: history
+        });
+    } catch (error) {
+        console.error('Admin: Error in getUserUsageHistory:', error);
+        res.status(500).json({ success: false, message: 'Server error retrieving usage history' });
+    }
+};
+
+// @desc    Lift a login lockout for a user's email (and optionally the IP it was attacked from)
+// @route   POST /api/users/:id/unlock  { ip }
+// @access  Private/Admin
+exports.unlockUserLogin = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: 'Invalid user ID format.' });
+    }
+
+    try {
+        const user = await User.findById(req.params.id).select('email');
+        if (!user) return res.status(404).json({ success: false, message: 'User not found.' });
+
+        const cleared = await unlockLogin({ email: user.email, ip: req.body?.ip, userId: user._id }, req.user._id);
+        res.status(200).json({
+            success: true,
+            message: cleared ? 'Login unlocked.' : 'There was no lockout to lift.',
+            data: { cleared }
+        });
+    } catch (error) {
+        console.error(`Admin: Error unlocking login for user ${req.params.id}:`, error);
+        res.status(500).json({ success: false, message: 'Server error while unlocking login.' });
+    }
+};
+
+// @desc    A user's security audit trail (lockouts, unlocks), newest first
+// @route   GET /api/users/:id/security-events?limit=50
+// @access  Private/Admin
+exports.getUserSecurityEvents = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: 'Invalid user ID format.' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    try {
+        const events = await SecurityEvent.find({ userId: req.params.id })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .populate('actorId', 'name email');
+        res.status(200).json({ success: true, count: events.length, data: events });
+    } catch (error) {
+        console.error(`Admin: Error fetching security events for user ${req.params.id}:`, error);
+        res.status(500).json({ success: false, message: 'Server error fetching security events.' });
+    }
+};
+
+// @desc    Get own notifications (billing reminders etc.), newest first
+// @route   GET /api/users/me/notifications?unread=true&limit=20
+// @access  Private
+exports.getMyNotifications = async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const filter = { userId: req.user._id };
+    if (req.query.unread === 'true') filter.readAt = { $exists: false };
+
+    try {
+        const [notifications, unreadCount] = await Promise.all([
+            Notification.find(filter).sort({ createdAt: -1 }).limit(limit),
+            Notification.countDocuments({ userId: req.user._id, readAt: { $exists: false } })
+        ]);
+
+        res.status(200).json({ success: true, count: notifications.length, unreadCount, data: notifications });
+    } catch (error) {
+        console.error('Error in getMyNotifications:', error);
+        res.status(500).json({ success: false, message: 'Server error retrieving notifications' });
+    }
+};
+
+// @desc    Mark all own notifications as read
+// @route   PATCH /api/users/me/notifications/read
+// @access  Private
+exports.markMyNotificationsRead = async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { userId: req.user._id, readAt: { $exists: false } },
+            { $set: { readAt: new Date() } }
+        );
+
+        res.status(200).json({ success: true, message: 'Notifications marked as read', updated: result.modifiedCount });
+    } catch (error) {
+        console.error('Error in markMyNotificationsRead:', error);
+        res.status(500).json({ success: false, message: 'Server error updating notifications' });
+    }
+};
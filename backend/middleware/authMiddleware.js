@@ -1,11 +1,47 @@
 // backend/middleware/authMiddleware.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User'); 
+const authConfig = require('../config/authConfig');
+const { isSessionActive } = require('../utils/sessionUtil');
+const { verifyChallengeToken } = require('../utils/twoFactorUtil');
+const { getApiKeyFromRequest, authenticateApiKey } = require('../utils/apiKeyUtil');
+
+// Authenticate a request made with a personal API key. The route must have opted in with
+// allowApiKey(scope) and the key must have that scope; the owner becomes req.user.
+const protectWithApiKey = async (req, res, next, key) => {
+  if (!req.apiKeyScope) {
+    return res.status(403).json({ success: false, message: 'API keys cannot be used for this endpoint' });
+  }
+
+  try {
+    const apiKey = await authenticateApiKey(key, req.ip);
+    if (!apiKey) {
+      return res.status(401).json({ success: false, message: 'Not authorized, invalid API key' });
+    }
+    if (!apiKey.scopes.includes(req.apiKeyScope)) {
+      return res.status(403).json({ success: false, message: `This API key does not have the '${req.apiKeyScope}' scope` });
+    }
+
+    req.user = await User.findById(apiKey.userId).select('-password');
+    if (!req.user) {
+      return res.status(401).json({ success: false, message: 'Not authorized, user not found' });
+    }
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    console.error('API key verification failed:', error);
+    res.status(401).json({ success: false, message: 'Not authorized, API key check failed' });
+  }
+};
 
 // Middleware function to protect routes
 exports.protect = async (req, res, next) => {
   let token;
 
+  // Personal API key instead of a JWT
+  const apiKey = getApiKeyFromRequest(req);
+  if (apiKey) return protectWithApiKey(req, res, next, apiKey);
+
   // Check if token exists in headers (Authorization: Bearer TOKEN)
   if (
     req.headers.authorization &&
@@ -18,6 +54,11 @@ exports.protect = async (req, res, next) => {
       // Verify token using the JWT_SECRET
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // 2FA challenge tokens are signed with the same secret but are not access tokens
+      if (decoded.purpose) {
+          return res.status(401).json({ success: false, message: 'Not authorized, token failed' });
+      }
+
       // Get user from the token's payload (we signed it with user._id)
       // Exclude the password when fetching user data
       req.user = await User.findById(decoded.id).select('-password');
@@ -27,6 +68,20 @@ exports.protect = async (req, res, next) => {
            return res.status(401).json({ success: false, message: 'Not authorized, user not found' });
       }
 
+      // Tokens issued before a password reset no longer count (iat is in whole seconds)
+      if (req.user.sessionsRevokedAt && decoded.iat < Math.floor(req.user.sessionsRevokedAt.getTime() / 1000)) {
+          return res.status(401).json({ success: false, message: 'Not authorized, session has been revoked' });
+      }
+
+      // Access tokens die with their session (logout, revoked device). Tokens from before
+      // sessions existed have no sid and are only bound by their expiry.
+      if (decoded.sid) {
+          if (!(await isSessionActive(decoded.sid))) {
+              return res.status(401).json({ success: false, message: 'Not authorized, session has been revoked' });
+          }
+          req.sessionId = decoded.sid;
+      }
+
       // User is valid and attached to req.user, proceed to the next middleware/route handler
       next();
 
@@ -42,6 +97,32 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Let API keys with the given scope call the route (use before 'protect'; keys are refused elsewhere)
+exports.allowApiKey = (scope) => (req, res, next) => {
+  req.apiKeyScope = scope;
+  next();
+};
+
+// Like 'protect', but also accepts the enrolment challenge token an admin without 2FA gets at login,
+// so they can set 2FA up before they have a session (sets req.enrollmentChallenge)
+exports.protectOrEnrollmentChallenge = async (req, res, next) => {
+  const token = req.headers.authorization?.startsWith('Bearer') && req.headers.authorization.split(' ')[1];
+  const challenge = token && verifyChallengeToken(token, 'enroll');
+  if (!challenge) return exports.protect(req, res, next);
+
+  try {
+    req.user = await User.findById(challenge.id).select('-password');
+    if (!req.user || (req.user.sessionsRevokedAt && challenge.iat < Math.floor(req.user.sessionsRevokedAt.getTime() / 1000))) {
+      return res.status(401).json({ success: false, message: 'Not authorized, token failed' });
+    }
+    req.enrollmentChallenge = true;
+    next();
+  } catch (error) {
+    console.error('Enrollment challenge check failed:', error);
+    res.status(401).json({ success: false, message: 'Not authorized, token failed' });
+  }
+};
+
 // Optional: Middleware for role-based access (Example for 'admin')
 exports.authorize = (...roles) => {
     return (req, res, next) => {
@@ -54,6 +135,27 @@ exports.authorize = (...roles) => {
                 message: `User role '${req.user.role}' is not authorized to access this route`
             });
         }
+        // Admin access also needs 2FA (covers sessions that started before it was enabled)
+        if (req.user.role === 'admin' && !req.user.twoFactor?.enabled) {
+            return res.status(403).json({
+                success: false,
+                message: 'Admin accounts must enable two-factor authentication.',
+                twoFactorSetupRequired: true
+            });
+        }
         next();
     };
-};
\ No newline at end of file
+};
+
+// Block unverified accounts when authConfig.requireVerifiedEmail is on (use after 'protect').
+// Put it before usage limit middleware so a blocked request doesn't reserve usage.
+exports.requireVerifiedEmail = (req, res, next) => {
+    if (!authConfig.requireVerifiedEmail || req.user?.isVerified) {
+        return next();
+    }
+    return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address to use AI features.',
+        verifyEmail: true // Flag for frontend to show the resend prompt
+    });
+};
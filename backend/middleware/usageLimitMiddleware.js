@@ -1,9 +1,11 @@
 // backend/middleware/usageLimitMiddleware.js
 const usageUtil = require('../utils/usageUtil');
-const limitConfig = require('../config/limitConfig');
+const planUtil = require('../utils/planUtil');
 
 /**
- * Middleware factory for enforcing various usage limits
+ * Middleware factory for enforcing various usage limits.
+ * dailyLimit/monthlyLimit reserve a credit before the controller runs; it is kept
+ * on success and released if the request ends in an error (see usageUtil.enforceUsageLimit).
  */
 
 // Middleware for daily limits
@@ -72,8 +74,11 @@ const storageLimit = (collectionModel, countField, limitField) => {
       // First refresh user data and counters
       const user = await usageUtil.checkAndResetCounters(req.user._id);
       
-      // Skip limit checks for paid tiers
-      if (user.subscriptionTier !== 'free') {
+      // Get the limit from the tier's active plan
+      const limit = await planUtil.getLimit(user.subscriptionTier || 'free', 'permanent', limitField);
+      
+      // No limit (-1 or not set) - skip counting
+      if (planUtil.isUnlimited(limit)) {
         return next();
       }
       
@@ -81,12 +86,7 @@ const storageLimit = (collectionModel, countField, limitField) => {
       const count = await collectionModel.countDocuments({ userId: req.user._id });
       console.log(`Current ${countField} count:`, count);
       
-      // Get the limit from config - using imported variable directly
-      const tier = user.subscriptionTier || 'free';
-      const limit = limitConfig[tier].permanent[limitField];
-      
-      // No limit (-1) or not reached
-      if (limit < 0 || count < limit) {
+      if (count < limit) {
         return next();
       }
       
@@ -0,0 +1,74 @@
+// backend/models/AIUsage.js
+const mongoose = require('mongoose');
+
+// One document per AI provider call (including retries), used for cost accounting
+const aiUsageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  feature: { // aiConfig feature key, e.g. 'contentIdeation', 'scriptGeneration'
+    type: String,
+    required: true
+  },
+  endpoint: { // Route pattern that triggered the call, e.g. '/api/scripts/generate/:ideaId'
+    type: String
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  // Token usage as reported by the provider
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  // Performance
+  latencyMs: {
+    type: Number,
+    default: 0
+  },
+  retryCount: {
+    type: Number,
+    default: 0
+  },
+  // Estimated cost in USD based on aiConfig.pricing
+  estimatedCost: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['success', 'failed', 'invalid_response'],
+    default: 'success'
+  },
+  errorMessage: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'createdAt', updatedAt: false }
+});
+
+// Indexes for the admin spend reports
+aiUsageSchema.index({ createdAt: -1 });
+aiUsageSchema.index({ userId: 1, createdAt: -1 });
+aiUsageSchema.index({ feature: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AIUsage', aiUsageSchema);
@@ -0,0 +1,51 @@
+// backend/models/ApiKey.js
+const mongoose = require('mongoose');
+const authConfig = require('../config/authConfig');
+
+// A personal API key for scripts and automation. Only the SHA-256 of the key is stored;
+// the key itself is shown once when it is created (see utils/apiKeyUtil.js).
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please give the API key a name'],
+    trim: true,
+    maxlength: [100, 'API key name cannot be more than 100 characters']
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  keyPrefix: { // Start of the key, so users can tell their keys apart
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: Object.keys(authConfig.apiKeys.scopes) }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'Please choose at least one scope'
+    }
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ userId: 1, revokedAt: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
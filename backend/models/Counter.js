@@ -0,0 +1,25 @@
+// backend/models/Counter.js
+const mongoose = require('mongoose');
+
+// Named sequence incremented atomically, e.g. 'invoice:2026-27'
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  seq: {
+    type: Number,
+    default: 0
+  },
+  // Numbers taken but not yet written to the document they were taken for. The next attempt
+  // for that document reuses its number; anything left here is an unused number to reconcile.
+  pending: [{
+    _id: false,
+    seq: Number,
+    refId: mongoose.Schema.Types.ObjectId,
+    takenAt: Date
+  }]
+});
+
+counterSchema.index({ 'pending.refId': 1 });
+
+module.exports = mongoose.model('Counter', counterSchema);
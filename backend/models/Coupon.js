@@ -0,0 +1,79 @@
+// backend/models/Coupon.js
+const mongoose = require('mongoose');
+
+// Discount code applied at checkout (see utils/couponUtil.js)
+const couponSchema = new mongoose.Schema({
+  code: { // Stored upper-case; matched case-insensitively
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Coupon codes are 3-32 letters, digits, dashes or underscores.']
+  },
+  description: {
+    type: String
+  },
+  // Exactly one of percentOff / amountOff
+  percentOff: {
+    type: Number,
+    min: 1,
+    max: 100
+  },
+  amountOff: { // Rupees
+    type: Number,
+    min: 1
+  },
+  // Total redemptions allowed across all users (unset = unlimited)
+  maxRedemptions: {
+    type: Number,
+    min: 1
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  // Redemptions allowed per user
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Plans the code works for (empty = every plan)
+  applicablePlans: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PricePlan'
+  }],
+  // Razorpay offer for auto-renewing plans (their amount is fixed by the Razorpay plan)
+  razorpayOfferId: {
+    type: String
+  },
+  validFrom: {
+    type: Date
+  },
+  validUntil: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function(next) {
+  if (Boolean(this.percentOff) === Boolean(this.amountOff)) {
+    this.invalidate('percentOff', 'A coupon needs either percentOff or amountOff (not both).');
+  }
+  if (this.validFrom && this.validUntil && this.validFrom >= this.validUntil) {
+    this.invalidate('validUntil', 'validUntil must be after validFrom.');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
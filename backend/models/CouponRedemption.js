@@ -0,0 +1,55 @@
+// backend/models/CouponRedemption.js
+const mongoose = require('mongoose');
+
+// One use of a coupon. Reserved when the discounted checkout is created (so the caps hold
+// under concurrent checkouts) and marked redeemed once the payment activates the subscription.
+// Reservations that are never paid are released (see utils/couponUtil.js).
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  amountOff: { // Rupees discounted
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['reserved', 'redeemed'],
+    default: 'redeemed'
+  },
+  // Which of the user's perUserLimit uses this is (1-based); unique per coupon and user
+  slot: {
+    type: Number
+  },
+  expiresAt: { // Reservations: released by the billing scheduler after this
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ couponId: 1, userId: 1 });
+couponRedemptionSchema.index({ couponId: 1, createdAt: -1 });
+couponRedemptionSchema.index(
+  { couponId: 1, userId: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+couponRedemptionSchema.index({ status: 1, expiresAt: 1 });
+couponRedemptionSchema.index({ subscriptionId: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,54 @@
+// backend/models/CreditPack.js
+const mongoose = require('mongoose');
+const paymentConfig = require('../config/paymentConfig');
+
+// One-time purchasable bundle of usage credits, e.g. "10 extra scripts"
+const creditPackSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a pack name'],
+    trim: true
+  },
+  description: {
+    type: String
+  },
+  feature: { // Usage feature the credits top up
+    type: String,
+    required: true,
+    enum: {
+      values: Object.keys(paymentConfig.creditFeatures),
+      message: 'Credits can only be sold for: ' + Object.keys(paymentConfig.creditFeatures).join(', ')
+    }
+  },
+  credits: {
+    type: Number,
+    required: true,
+    min: [1, 'A pack must contain at least one credit'],
+    validate: [Number.isInteger, 'Credits must be a whole number']
+  },
+  price: {
+    amount: {
+      type: Number,
+      required: true,
+      min: [1, 'Price must be at least ₹1']
+    },
+    currency: {
+      type: String,
+      default: 'INR'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+creditPackSchema.index({ isActive: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('CreditPack', creditPackSchema);
@@ -0,0 +1,65 @@
+// backend/models/CreditTransaction.js
+const mongoose = require('mongoose');
+
+// Append-only ledger of every change to a user's top-up credit balance
+const creditTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  feature: { // Key in paymentConfig.creditFeatures
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'grant',  // Credits added (pack purchase or admin)
+      'spend',  // Credit used after the tier allowance ran out
+      'refund', // Spent credit given back after the request failed
+      'revoke'  // Unspent credits taken back after their purchase was refunded
+    ],
+    required: true
+  },
+  delta: { // Change to the balance
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number
+  },
+  source: {
+    type: String,
+    enum: ['purchase', 'admin', 'usage', 'payment_refund']
+  },
+  packId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditPack'
+  },
+  paymentId: { // PaymentHistory record of the purchase (grants and revokes)
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PaymentHistory'
+  },
+  grantedBy: { // Admin who granted the credits
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String
+  },
+  limitType: { // Spends: the allowance that had run out
+    type: String,
+    enum: ['daily', 'monthly']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'createdAt', updatedAt: false }
+});
+
+creditTransactionSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CreditTransaction', creditTransactionSchema);
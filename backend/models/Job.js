@@ -0,0 +1,63 @@
+// backend/models/Job.js
+const mongoose = require('mongoose');
+
+// Background work item picked up by the job worker (services/jobs)
+const jobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: { // Handler key, e.g. 'scriptGeneration', 'scriptTransformation', 'ideationBatch'
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed', 'partial'],
+    default: 'queued'
+  },
+  // Everything the handler needs to do the work (request body, ids, tier profile...)
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Step counts for multi-part jobs (platforms, ideation requests)
+  progress: {
+    total: { type: Number, default: 1 },
+    completed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Worker bookkeeping
+  lockedAt: {
+    type: Date
+  },
+  workerId: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Worker claims the oldest queued job first
+jobSchema.index({ status: 1, createdAt: 1 });
+jobSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,40 @@
+// backend/models/LoginThrottle.js
+const mongoose = require('mongoose');
+
+// Login attempts for one email address or one client IP (see utils/loginThrottleUtil.js)
+const loginThrottleSchema = new mongoose.Schema({
+  key: { // 'email:<address>' or 'ip:<address>'
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: ['email', 'ip'],
+    required: true
+  },
+  failures: { // Attempts since windowStartedAt that did not succeed (including ones still in progress)
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    required: true
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  nextAttemptAt: { // Progressive delay: no attempt is admitted before this
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Forget quiet keys after a day
+loginThrottleSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
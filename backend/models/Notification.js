@@ -0,0 +1,35 @@
+// backend/models/Notification.js
+const mongoose = require('mongoose');
+
+// In-app message for a user (billing reminders, downgrades...)
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: { // e.g. 'subscription_expiring', 'subscription_past_due', 'subscription_downgraded'
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  data: { // Context for the frontend (subscription id, dates...)
+    type: mongoose.Schema.Types.Mixed
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
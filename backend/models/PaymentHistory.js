@@ -48,6 +48,13 @@ const paymentHistorySchema = new mongoose.Schema({
   invoiceUrl: {
     type: String
   },
+  invoiceIssuedAt: {
+    type: Date
+  },
+  // Snapshot of everything printed on the invoice (seller, buyer, GST split), frozen at issue time
+  invoiceDetails: {
+    type: mongoose.Schema.Types.Mixed
+  },
   // Dates
   paymentDate: {
     type: Date,
@@ -74,4 +81,7 @@ const paymentHistorySchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Invoice numbers are unique across all payments
+paymentHistorySchema.index({ invoiceNumber: 1 }, { unique: true, sparse: true });
+
 module.exports = mongoose.model('PaymentHistory', paymentHistorySchema);
\ No newline at end of file
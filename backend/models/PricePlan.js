@@ -1,6 +1,13 @@
 // backend/models/PricePlan.js
 const mongoose = require('mongoose');
 
+// Every limit must be a whole number, with -1 meaning unlimited and 0 meaning not available
+const limitMapValidator = {
+  validator: (values) => values !== null && typeof values === 'object' && !Array.isArray(values) &&
+    Object.values(values).every(value => Number.isInteger(value) && value >= -1),
+  message: 'Plan limits must be whole numbers of -1 (unlimited) or more.'
+};
+
 const pricePlanSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -40,7 +47,14 @@ const pricePlanSchema = new mongoose.Schema({
   razorpayPlanId: {
     type: String
   },
-  // Feature flags and limits
+  // Usage limits enforced for users on this plan's tier, keyed by limitConfig feature key.
+  // -1 = unlimited, 0 = not available; keys left out use the tier's limitConfig default (see utils/planUtil.js). e.g. { daily: { trendIdeations: 5 }, monthly: { contentIdeations: 5 }, permanent: { savedIdeas: 200 } }
+  limits: {
+    daily: { type: mongoose.Schema.Types.Mixed, default: {}, validate: limitMapValidator },
+    monthly: { type: mongoose.Schema.Types.Mixed, default: {}, validate: limitMapValidator },
+    permanent: { type: mongoose.Schema.Types.Mixed, default: {}, validate: limitMapValidator }
+  },
+  // Display-only feature flags/marketing copy (limits live in `limits`)
   features: {
     type: mongoose.Schema.Types.Mixed
   },
@@ -63,4 +77,13 @@ const pricePlanSchema = new mongoose.Schema({
   }
 });
 
+// Keep updatedAt current on save
+pricePlanSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Usage lookups fetch the active plan for a tier
+pricePlanSchema.index({ tier: 1, isActive: 1, sortOrder: 1 });
+
 module.exports = mongoose.model('PricePlan', pricePlanSchema);
\ No newline at end of file
@@ -0,0 +1,42 @@
+// backend/models/SecurityEvent.js
+const mongoose = require('mongoose');
+
+// Audit record of account security actions (lockouts, unlocks)
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'login_lockout', // Too many failed logins for an email or IP
+      'login_unlock'   // An admin lifted a lockout
+    ],
+    required: true
+  },
+  userId: { // Account involved, when the email belongs to one
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  actorId: { // Admin who performed the action
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  details: { // e.g. { key, failures, lockedUntil }
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'createdAt', updatedAt: false }
+});
+
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -0,0 +1,56 @@
+// backend/models/Session.js
+const mongoose = require('mongoose');
+
+// One signed-in device. Holds the hash of its current refresh token, which changes on every
+// refresh (see utils/sessionUtil.js); access tokens carry the session id and stop working once
+// the session is revoked.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: { // SHA-256 of the current refresh token's secret
+    type: String,
+    required: true,
+    select: false
+  },
+  usedTokenHashes: { // Recently rotated-out secrets; presenting one again means the token was stolen
+    type: [String],
+    select: false
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: { // Last refresh
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: { // Refresh token expiry; pushed back on each refresh
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: [
+      'logout',          // Signed out on this device
+      'user',            // Signed out from the session list
+      'password_reset',  // All sessions ended by a password reset
+      'reuse_detected'   // A rotated-out refresh token was presented again
+    ]
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: -1 });
+// Drop sessions a while after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,6 +1,51 @@
 // backend/models/Subscription.js
 const mongoose = require('mongoose');
 
+// One status change, kept for support and billing disputes
+const statusChangeSchema = new mongoose.Schema({
+  from: { type: String },
+  to: { type: String, required: true },
+  reason: { type: String }, // e.g. 'payment_verified', 'period_ended', 'grace_period_expired'
+  source: { // What made the change
+    type: String,
+    enum: ['user', 'checkout', 'webhook', 'scheduler', 'admin'],
+    required: true
+  },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A requested move to another plan. Upgrades wait here until their prorated charge is paid;
+// downgrades wait until the current period ends.
+const planChangeSchema = new mongoose.Schema({
+  planId: { type: mongoose.Schema.Types.ObjectId, ref: 'PricePlan', required: true },
+  plan: { type: String, enum: ['creator_pro', 'agency_growth'], required: true },
+  billingCycle: { type: String, enum: ['monthly', 'yearly'], required: true },
+  planName: { type: String },
+  direction: { type: String, enum: ['upgrade', 'downgrade'], required: true },
+  effectiveAt: { type: Date }, // Downgrades: when the change applies (end of the current period)
+  listPrice: { type: Number }, // Price of one period of the new plan (rupees)
+  credit: { type: Number, default: 0 }, // Unused value of the current period
+  amountDue: { type: Number, default: 0 }, // Charged now (upgrades)
+  carryover: { type: Number, default: 0 }, // Credit beyond the new price, added to the new period as extra time
+  periodEnd: { type: Date }, // Upgrades: end of the new period
+  razorpayOrderId: { type: String }, // Prorated charge for a one-off plan
+  razorpaySubscriptionId: { type: String }, // Replacement gateway subscription for an auto-renewing plan
+  requestedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// One applied plan change
+const planHistorySchema = new mongoose.Schema({
+  fromPlan: { type: String },
+  fromBillingCycle: { type: String },
+  toPlan: { type: String, required: true },
+  toBillingCycle: { type: String },
+  direction: { type: String, enum: ['upgrade', 'downgrade'] },
+  credit: { type: Number, default: 0 },
+  amountPaid: { type: Number, default: 0 },
+  source: { type: String, enum: ['user', 'checkout', 'webhook', 'scheduler', 'admin'] },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
 const subscriptionSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -14,6 +59,12 @@ const subscriptionSchema = new mongoose.Schema({
     sparse: true,
     index: true
   },
+  // Razorpay order ID (plans paid per period instead of through a Razorpay subscription)
+  razorpayOrderId: {
+    type: String,
+    sparse: true,
+    index: true
+  },
   // Razorpay customer ID
   razorpayCustomerId: {
     type: String,
@@ -33,7 +84,7 @@ const subscriptionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'cancelled', 'past_due', 'paused', 'pending', 'halted', 'completed'],
+    enum: ['active', 'trialing', 'cancelled', 'past_due', 'paused', 'pending', 'halted', 'completed'],
     default: 'active'
   },
   priceId: {
@@ -57,6 +108,16 @@ const subscriptionSchema = new mongoose.Schema({
   cancelledAt: {
     type: Date
   },
+  // While past_due, the user keeps their tier until this date
+  graceEndsAt: {
+    type: Date
+  },
+  // Last expiry reminder sent, so each one goes out once per period
+  lastReminder: {
+    periodEnd: Date,
+    daysBefore: Number,
+    sentAt: Date
+  },
   // Payment information
   paymentMethod: {
     type: String,
@@ -76,11 +137,25 @@ const subscriptionSchema = new mongoose.Schema({
     code: String,
     percentOff: Number,
     amountOff: Number,
-    validUntil: Date
+    validUntil: Date,
+    redeemedAt: Date // Set once the discounted payment is made and the coupon use is counted
   },
   // Additional metadata
   metadata: {
     type: mongoose.Schema.Types.Mixed
+  },
+  // Every status transition, oldest first
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: []
+  },
+  pendingChange: {
+    type: planChangeSchema
+  },
+  // Every applied plan change, oldest first
+  planHistory: {
+    type: [planHistorySchema],
+    default: []
   }
 }, {
   timestamps: true
@@ -90,5 +165,11 @@ const subscriptionSchema = new mongoose.Schema({
 subscriptionSchema.index({ userId: 1, status: 1 });
 // Index for subscription expiration queries
 subscriptionSchema.index({ currentPeriodEnd: 1, status: 1 });
+// Index for ending grace periods
+subscriptionSchema.index({ status: 1, graceEndsAt: 1 });
+// Indexes for matching plan change payments and applying scheduled downgrades
+subscriptionSchema.index({ 'pendingChange.razorpayOrderId': 1 }, { sparse: true });
+subscriptionSchema.index({ 'pendingChange.razorpaySubscriptionId': 1 }, { sparse: true });
+subscriptionSchema.index({ status: 1, 'pendingChange.effectiveAt': 1 });
 
 module.exports = mongoose.model('Subscription', subscriptionSchema);
\ No newline at end of file
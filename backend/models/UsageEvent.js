@@ -0,0 +1,59 @@
+// backend/models/UsageEvent.js
+const mongoose = require('mongoose');
+
+// Append-only log of every change to a user's usage counters (and every blocked attempt).
+// Never updated or deleted; used for usage history and support investigations.
+const usageEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  feature: { // limitConfig feature key, e.g. 'contentIdeations', 'scriptGeneration'
+    type: String,
+    required: true
+  },
+  limitType: {
+    type: String,
+    enum: ['daily', 'monthly'],
+    required: true
+  },
+  field: { // User.usage field that changed, e.g. 'ideationsThisMonth'
+    type: String
+  },
+  action: {
+    type: String,
+    enum: [
+      'consume',  // Credit reserved/used by a request
+      'release',  // Credit given back after a failed request
+      'increment', // Unconditional increment (no limit check)
+      'reset',    // Counter zeroed at the start of a new day/period
+      'blocked'   // Request refused because the limit was reached
+    ],
+    required: true
+  },
+  delta: { // Change applied to the counter (0 for 'blocked')
+    type: Number,
+    default: 0
+  },
+  valueAfter: { // Counter value after the change, when known
+    type: Number
+  },
+  limit: { // Limit in force at the time (-1 = unlimited)
+    type: Number
+  },
+  tier: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'createdAt', updatedAt: false }
+});
+
+usageEventSchema.index({ userId: 1, createdAt: -1 });
+usageEventSchema.index({ userId: 1, feature: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UsageEvent', usageEventSchema);
@@ -1,6 +1,8 @@
 // backend/models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs'); // For password hashing
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/timezoneUtil');
+const { isValidGstin, isValidStateCode } = require('../utils/gstUtil');
 
 // Optional: Helper function for array size validation
 function limitArray(limit) {
@@ -71,6 +73,15 @@ const userSchema = new mongoose.Schema({
   subscriptionEndDate: { // When the current paid period ends
       type: Date
   },
+  trial: { // Free trial of a paid tier (one per user)
+      startedAt: Date,
+      endsAt: Date,
+      source: { type: String, enum: ['registration', 'request', 'admin'] },
+      endedAt: Date, // When the trial subscription closed (conversion or expiry)
+      outcome: { type: String, enum: ['converted', 'expired'] },
+      convertedAt: Date,
+      convertedPlan: String // Tier bought
+  },
 
   // --- App Specific Data ---
   connectedAccounts: [connectedAccountSchema], // Linked social media accounts
@@ -81,9 +92,32 @@ const userSchema = new mongoose.Schema({
   },
   preferences: { // General user preferences
       newsSources: { type: [String], default: [] }, // Preferred news websites
-      preferredNewsLanguage: { type: String, default: 'en' } // e.g., 'en', 'hi', 'kn'
+      preferredNewsLanguage: { type: String, default: 'en' }, // e.g., 'en', 'hi', 'kn'
+      timezone: { // IANA timezone; daily usage limits reset at midnight here
+        type: String,
+        default: DEFAULT_TIMEZONE,
+        validate: [isValidTimeZone, 'Please provide a valid IANA timezone, e.g. Asia/Kolkata']
+      }
       // Add other preferences like default AI tone, etc.
   },
+  billingProfile: { // Printed on GST invoices; the state decides CGST/SGST vs IGST
+      legalName: { type: String, trim: true, maxlength: 200 },
+      gstin: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        validate: [isValidGstin, 'Please provide a valid 15-character GSTIN']
+      },
+      addressLine1: { type: String, trim: true, maxlength: 200 },
+      addressLine2: { type: String, trim: true, maxlength: 200 },
+      city: { type: String, trim: true, maxlength: 100 },
+      stateCode: { // GST state code, e.g. '29' for Karnataka
+        type: String,
+        validate: [code => !code || isValidStateCode(code), 'Please provide a valid GST state code']
+      },
+      postalCode: { type: String, trim: true, match: [/^\d{6}$/, 'Please provide a valid 6-digit PIN code'] },
+      country: { type: String, default: 'IN' }
+  },
   usage: { // Tracking feature usage
     // --- Existing Tracking ---
     ideationsThisMonth: { type: Number, default: 0 },
@@ -106,9 +140,16 @@ const userSchema = new mongoose.Schema({
     lastInsightsReset: { type: Date, default: Date.now },
 
     // --- NEW: Trend-Based Ideation Tracking ---
-    dailyTrendIdeations: { type: Number, default: 0 } // Trend-based ideations generated today
+    dailyTrendIdeations: { type: Number, default: 0 }, // Trend-based ideations generated today
+
+    // --- Script Generation Tracking ---
+    dailyScriptsGenerated: { type: Number, default: 0 } // Scripts generated today (daily cap on top of the monthly one)
 
 },
+  credits: { // Purchased top-up credits, used once the tier allowance runs out (see utils/creditUtil.js)
+    contentIdeations: { type: Number, default: 0, min: 0 },
+    scriptGeneration: { type: Number, default: 0, min: 0 }
+  },
   // --- Role & Permissions ---
   role: {
     type: String,
@@ -125,10 +166,30 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  verificationToken: String, // Token sent in verification email
+  verificationToken: { // SHA-256 of the token sent in the verification email (see utils/verificationUtil.js)
+    type: String,
+    select: false
+  },
   verificationExpires: Date, // Expiry for the verification token
-  passwordResetToken: String, // Token sent for password reset
+  passwordResetToken: { // SHA-256 of the token sent for password reset (see utils/passwordResetUtil.js)
+    type: String,
+    select: false
+  },
   passwordResetExpires: Date, // Expiry for the password reset token
+  twoFactor: { // TOTP two-factor authentication (see utils/twoFactorUtil.js); required for admins
+    enabled: { type: Boolean, default: false },
+    enabledAt: Date,
+    secret: { type: String, select: false }, // Base32 shared secret
+    pendingSecret: { type: String, select: false }, // Secret being enrolled, until the first code confirms it
+    lastUsedStep: { type: Number, select: false }, // Time step of the last accepted code, so it can't be replayed
+    backupCodes: { // SHA-256 of single-use recovery codes
+      type: [{ hash: String, usedAt: Date, _id: false }],
+      select: false
+    }
+  },
+  sessionsRevokedAt: { // Access tokens issued before this are rejected (set by a password reset, with every Session revoked)
+    type: Date
+  },
   lastLoginAt: { // Timestamp of the last successful login
       type: Date
   }
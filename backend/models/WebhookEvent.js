@@ -0,0 +1,49 @@
+// backend/models/WebhookEvent.js
+const mongoose = require('mongoose');
+
+// One row per payment gateway webhook delivery, keyed by the gateway's event id,
+// so replayed deliveries are recognised and skipped.
+const webhookEventSchema = new mongoose.Schema({
+  eventId: { // x-razorpay-event-id (or a hash of the body if the header is missing)
+    type: String,
+    required: true,
+    unique: true
+  },
+  gateway: {
+    type: String,
+    default: 'razorpay'
+  },
+  event: { // e.g. 'payment.captured', 'subscription.charged'
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: [
+      'processing', // Being handled now (taken over by a retry once stale, see paymentConfig.webhookProcessingTimeoutMs)
+      'processed',  // Handled and applied
+      'ignored',    // Verified but nothing to do (unknown event or no matching record)
+      'failed'      // Handler threw; the gateway's retry will process it again
+    ],
+    default: 'processing'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  message: { // Outcome summary or error message
+    type: String
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ event: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
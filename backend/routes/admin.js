@@ -0,0 +1,69 @@
+// backend/routes/admin.js
+const express = require('express');
+const {
+  getUsageSummary,
+  getSpendByUser,
+  getSpendByFeature,
+  getSpendByDay
+} = require('../controllers/aiUsageController');
+const {
+  getPlans,
+  createPlan,
+  updatePlan,
+  activatePlan,
+  deactivatePlan
+} = require('../controllers/planController');
+const {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon
+} = require('../controllers/couponController');
+const { getTrialMetrics } = require('../controllers/trialController');
+const {
+  getAllCreditPacks,
+  createCreditPack,
+  updateCreditPack,
+  grantUserCredits
+} = require('../controllers/creditController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Every admin route requires an authenticated admin
+router.use(protect);
+router.use(authorize('admin'));
+
+// AI token and cost accounting
+router.get('/ai-usage/summary', getUsageSummary);
+router.get('/ai-usage/by-user', getSpendByUser);
+router.get('/ai-usage/by-feature', getSpendByFeature);
+router.get('/ai-usage/daily', getSpendByDay);
+
+// Price plans (the source of truth for tier usage limits)
+router.route('/plans')
+  .get(getPlans)
+  .post(createPlan);
+router.put('/plans/:id', updatePlan);
+router.patch('/plans/:id/activate', activatePlan);
+router.patch('/plans/:id/deactivate', deactivatePlan);
+
+// Discount coupons (set isActive: false to withdraw one)
+router.route('/coupons')
+  .get(getCoupons)
+  .post(createCoupon);
+router.route('/coupons/:id')
+  .get(getCouponById)
+  .put(updateCoupon);
+
+// Free trial conversion
+router.get('/trials/metrics', getTrialMetrics);
+
+// Top-up credit packs, and manual credit grants
+router.route('/credit-packs')
+  .get(getAllCreditPacks)
+  .post(createCreditPack);
+router.put('/credit-packs/:id', updateCreditPack);
+router.post('/users/:id/credits', grantUserCredits);
+
+module.exports = router;
@@ -1,12 +1,46 @@
 // backend/routes/auth.js
 const express = require('express');
-const { registerUser, loginUser } = require('../controllers/authController'); // Import controller function
-const { protect } = require('../middleware/authMiddleware');
+const {
+  registerUser,
+  loginUser,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  refreshToken,
+  logoutUser,
+  getSessions,
+  deleteSession
+} = require('../controllers/authController'); // Import controller functions
+const twoFactor = require('../controllers/twoFactorController');
+const { protect, protectOrEnrollmentChallenge } = require('../middleware/authMiddleware');
 const router = express.Router();
 
 
 router.post('/register', registerUser);
 router.post('/login', loginUser);
+router.post('/refresh', refreshToken);
+router.post('/logout', logoutUser);
+
+// Two-factor authentication (TOTP). setup/enable also accept an admin's enrolment challenge token.
+router.get('/2fa', protect, twoFactor.getStatus);
+router.post('/2fa/setup', protectOrEnrollmentChallenge, twoFactor.setup);
+router.post('/2fa/enable', protectOrEnrollmentChallenge, twoFactor.enable);
+router.post('/2fa/verify', twoFactor.verifyLogin);
+router.post('/2fa/backup-codes', protect, twoFactor.regenerateCodes);
+router.post('/2fa/disable', protect, twoFactor.disable);
+
+// Signed-in devices
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, deleteSession);
+
+// Email verification
+router.get('/verify/:token', verifyEmail);
+router.post('/verify/resend', protect, resendVerificationEmail);
+
+// Forgotten password
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password/:token', resetPassword);
 
 // --- ADD PROTECTED ROUTE BELOW ---
 // @desc    Get current logged-in user details
@@ -1,20 +1,30 @@
 // backend/routes/content.js
 const express = require('express');
-const { generateContentIdeas, generateTrendIdeas } = require('../controllers/contentController');
-const { protect } = require('../middleware/authMiddleware'); // Import protect middleware
+const { generateContentIdeas, generateTrendIdeas, generateIdeationBatch } = require('../controllers/contentController');
+const { protect, requireVerifiedEmail, allowApiKey } = require('../middleware/authMiddleware'); // Import protect middleware
 const { monthlyLimit, dailyLimit, resetCounters } = require('../middleware/usageLimitMiddleware');
 
 const router = express.Router();
 
+// Personal API keys with the matching scope may call these (must come before protect)
+router.post('/ideation', allowApiKey('content:ideation'));
+
 // Apply protect middleware to all routes
 router.use(protect);
 
+// Every content route calls the AI, so unverified accounts are blocked here when the policy is on
+router.use(requireVerifiedEmail);
+
 // Apply resetCounters to ensure usage stats are current
 router.use(resetCounters);
 
 // Apply monthly limit middleware to content ideation
 router.post('/ideation', monthlyLimit('contentIdeations'), generateContentIdeas);
 
+// Batch ideation runs as a background job; the controller checks the monthly limit
+// covers the whole batch and the job counts each request as it runs
+router.post('/ideation/batch', generateIdeationBatch);
+
 // Apply daily limit middleware to trend ideation
 router.post('/trend-ideation', dailyLimit('trendIdeations'), generateTrendIdeas);
 module.exports = router;
\ No newline at end of file
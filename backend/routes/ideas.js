@@ -11,7 +11,7 @@ const {
   updateIdea
 } = require('../controllers/ideaController');
 
-const { protect } = require('../middleware/authMiddleware');
+const { protect, requireVerifiedEmail } = require('../middleware/authMiddleware');
 const { 
   storageLimit,
   monthlyLimit,
@@ -46,6 +46,7 @@ router.route('/:id')
 // 5) Refinements - monthly usage limit
 router.route('/:id/refine')
   .post(
+    requireVerifiedEmail,
     monthlyLimit('refinements'), 
     refineIdea
   );
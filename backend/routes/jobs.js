@@ -0,0 +1,14 @@
+// backend/routes/jobs.js
+const express = require('express');
+const { getJobById } = require('../controllers/jobController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(protect);
+
+// Poll a background job (script generation/transformation, ideation batches)
+router.get('/:id', getJobById);
+
+module.exports = router;
@@ -3,12 +3,22 @@ const express = require('express');
 const {
   getSubscriptionPlans,
   createSubscription,
+  changePlan,
   verifyPayment,
   handleWebhook,
   getUserSubscription,
   cancelSubscription,
-  getPaymentHistory
+  getPaymentHistory,
+  getInvoice,
+  simulateCheckout,
+  validateCoupon
 } = require('../controllers/paymentController');
+const { startUserTrial } = require('../controllers/trialController');
+const {
+  getCreditPacks,
+  purchaseCreditPack,
+  verifyCreditPurchase
+} = require('../controllers/creditController');
 const { protect } = require('../middleware/authMiddleware');
 
 const router = express.Router();
@@ -16,13 +26,23 @@ const router = express.Router();
 // Public routes
 router.post('/webhook', handleWebhook);
 router.get('/plans', getSubscriptionPlans);
+router.get('/credit-packs', getCreditPacks);
 
 // Protected routes
 router.use(protect);
+router.post('/trial', startUserTrial);
+router.post('/validate-coupon', validateCoupon);
 router.post('/create-subscription', createSubscription);
+router.post('/change-plan', changePlan);
 router.post('/verify-payment', verifyPayment);
 router.get('/subscription', getUserSubscription);
 router.post('/cancel-subscription', cancelSubscription);
 router.get('/history', getPaymentHistory);
+router.get('/history/:id/invoice', getInvoice);
+router.post('/credit-packs/verify', verifyCreditPurchase);
+router.post('/credit-packs/:id/purchase', purchaseCreditPack);
+
+// Offline Checkout stand-in (responds 404 unless PAYMENT_GATEWAY=fake)
+router.post('/fake-checkout', simulateCheckout);
 
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,7 @@
 const express = require('express');
 const { 
     generateScript, 
+    streamScript,
     saveScript, 
     getUserScripts, 
     getScriptById,
@@ -11,11 +12,14 @@ const {
     deleteScript,
     getTransformedScripts
 } = require('../controllers/scriptController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, requireVerifiedEmail, allowApiKey } = require('../middleware/authMiddleware');
 const { dailyLimit, monthlyLimit, resetCounters } = require('../middleware/usageLimitMiddleware');
 
 const router = express.Router();
 
+// Personal API keys with the matching scope may call these (must come before protect)
+router.post(['/generate/:ideaId', '/generate/:ideaId/stream'], allowApiKey('scripts:generate'));
+
 // Apply auth middleware to all routes
 router.use(protect);
 
@@ -26,11 +30,21 @@ router.use(resetCounters);
 
 router.post(
     '/generate/:ideaId', 
+    requireVerifiedEmail,
     // Combine daily + monthly
     dailyLimit('scriptGeneration'),
     monthlyLimit('scriptGeneration'),
     generateScript
   );
+
+// Streaming (SSE) variant - the reserved credits are only kept if the stream completes
+router.post(
+    '/generate/:ideaId/stream',
+    requireVerifiedEmail,
+    dailyLimit('scriptGeneration'),
+    monthlyLimit('scriptGeneration'),
+    streamScript
+  );
   
 router.post('/', saveScript);
 router.get('/', getUserScripts);
@@ -39,7 +53,7 @@ router.put('/:id', updateScript);
 router.delete('/:id', deleteScript);
 
 // Transformation routes - limit transformations for free tier
-router.post('/:id/transform', monthlyLimit('scriptTransformations'), transformScript);
+router.post('/:id/transform', requireVerifiedEmail, monthlyLimit('scriptTransformations'), transformScript);
 router.post('/transformed', saveTransformedScript);
 router.get('/:id/transformed', getTransformedScripts);
 
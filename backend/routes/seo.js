@@ -1,7 +1,7 @@
 // backend/routes/seo.js
 const express = require('express');
 const { analyzeContentSeo } = require('../controllers/seoController');
-const { protect } = require('../middleware/authMiddleware'); // Needs login
+const { protect, requireVerifiedEmail } = require('../middleware/authMiddleware'); // Needs login
 const { dailyLimit, resetCounters } = require('../middleware/usageLimitMiddleware');
 
 const router = express.Router();
@@ -13,6 +13,6 @@ router.use(protect);
 router.use(resetCounters);
 
 // Apply daily limit middleware to SEO analysis (3 per day for free tier)
-router.post('/analyze', dailyLimit('seoAnalyses'), analyzeContentSeo);
+router.post('/analyze', requireVerifiedEmail, dailyLimit('seoAnalyses'), analyzeContentSeo);
 
 module.exports = router;
\ No newline at end of file
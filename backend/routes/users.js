@@ -11,8 +11,21 @@ const {
     getUserById,      // Admin
     updateUser,       // Admin
     deleteUser  ,
-    getUserUsage      // Admin
+    getUserUsage,      // Admin
+    getMyUsageHistory,
+    getUserUsageHistory, // Admin
+    getMyNotifications,
+    markMyNotificationsRead,
+    unlockUserLogin,     // Admin
+    getUserSecurityEvents // Admin
 } = require('../controllers/userController');
+const { getMyCredits } = require('../controllers/creditController');
+const {
+    getMyApiKeys,
+    createMyApiKey,
+    updateMyApiKey,
+    revokeMyApiKey
+} = require('../controllers/apiKeyController');
 
 // Import Middleware
 const { protect, authorize } = require('../middleware/authMiddleware');
@@ -52,5 +65,27 @@ router.route('/:id')
 
 
     router.get('/me/usage', protect, getUserUsage); 
+router.get('/me/usage/history', protect, getMyUsageHistory); // GET /api/users/me/usage/history
+router.get('/me/credits', protect, getMyCredits); // GET /api/users/me/credits
+
+// Billing reminders and other notifications
+router.get('/me/notifications', protect, getMyNotifications); // GET /api/users/me/notifications
+router.patch('/me/notifications/read', protect, markMyNotificationsRead); // PATCH /api/users/me/notifications/read
+
+// Personal API keys for scripts and automation
+router.route('/me/api-keys')
+    .get(protect, getMyApiKeys)       // GET /api/users/me/api-keys
+    .post(protect, createMyApiKey);   // POST /api/users/me/api-keys
+router.route('/me/api-keys/:id')
+    .patch(protect, updateMyApiKey)   // PATCH /api/users/me/api-keys/:id
+    .delete(protect, revokeMyApiKey); // DELETE /api/users/me/api-keys/:id
+
+// Usage history for support tickets (Admin only)
+router.get('/:id/usage/history', protect, authorize('admin'), getUserUsageHistory); // GET /api/users/:id/usage/history
+
+// Login lockouts (Admin only)
+router.post('/:id/unlock', protect, authorize('admin'), unlockUserLogin); // POST /api/users/:id/unlock
+router.get('/:id/security-events', protect, authorize('admin'), getUserSecurityEvents); // GET /api/users/:id/security-events
+
 // Export the router
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+// backend/scripts/runBillingScheduler.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { runBillingCycle } = require('../services/payments/billingScheduler');
+
+// One billing pass (reminders, expiry, grace periods) - for running from cron
+// instead of, or as well as, the in-process scheduler
+const run = async () => {
+  try {
+    await connectDB();
+    const summary = await runBillingCycle();
+    console.log('Billing pass complete:', summary);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error running billing pass:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -2,12 +2,13 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const PricePlan = require('../models/PricePlan');
+const defaultLimits = require('../config/limitConfig');
 const connectDB = require('../config/db');
 
 // Connect to the database
 connectDB();
 
-// Define initial plans
+// Define initial plans (limits are seeded from config/limitConfig.js; edit them later via /api/admin/plans)
 const initialPlans = [
   {
     name: 'Free Plan',
@@ -18,6 +19,7 @@ const initialPlans = [
       amount: 0,
       currency: 'INR'
     },
+    limits: defaultLimits.free,
     features: {
       contentIdeationsPerMonth: 5,
       refinementsPerMonth: 3,
@@ -39,6 +41,7 @@ const initialPlans = [
       amount: 1999,
       currency: 'INR'
     },
+    limits: defaultLimits.creator_pro,
     features: {
       contentIdeationsPerMonth: -1, // Unlimited
       refinementsPerMonth: -1, // Unlimited
@@ -64,6 +67,7 @@ const initialPlans = [
       amount: 17990,
       validUntil: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000) // 90 days from now
     },
+    limits: defaultLimits.creator_pro,
     features: {
       contentIdeationsPerMonth: -1, // Unlimited
       refinementsPerMonth: -1, // Unlimited
@@ -85,6 +89,7 @@ const initialPlans = [
       amount: 4999,
       currency: 'INR'
     },
+    limits: defaultLimits.agency_growth,
     features: {
       contentIdeationsPerMonth: -1, // Unlimited
       refinementsPerMonth: -1, // Unlimited
@@ -111,6 +116,7 @@ const initialPlans = [
       amount: 44990,
       validUntil: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000) // 90 days from now
     },
+    limits: defaultLimits.agency_growth,
     features: {
       contentIdeationsPerMonth: -1, // Unlimited
       refinementsPerMonth: -1, // Unlimited
@@ -0,0 +1,44 @@
+// backend/services/ai/errors.js
+
+/**
+ * Base error for everything thrown by the AI service layer
+ */
+class AIServiceError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.feature = options.feature;
+  }
+}
+
+// No provider is available (e.g. missing API key)
+class AINotConfiguredError extends AIServiceError {
+  constructor(message = 'AI service is not configured on the server.', options = {}) {
+    super(message, options);
+  }
+}
+
+// The provider call failed after all retries
+class AIProviderError extends AIServiceError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.status = options.status; // Upstream HTTP status, if any
+    this.cause = options.cause;
+  }
+}
+
+// The provider answered, but the output was not valid JSON or failed schema validation
+class AIResponseFormatError extends AIServiceError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.details = options.details;
+    this.rawContent = options.rawContent;
+  }
+}
+
+module.exports = {
+  AIServiceError,
+  AINotConfiguredError,
+  AIProviderError,
+  AIResponseFormatError
+};
@@ -0,0 +1,285 @@
+// backend/services/ai/index.js
+const aiConfig = require('../../config/aiConfig');
+const { withRetry } = require('../../utils/aiUtils');
+const { recordUsage } = require('./usageLedger');
+const { createJsonStreamParser } = require('./jsonStream');
+const {
+  AIServiceError,
+  AINotConfiguredError,
+  AIProviderError,
+  AIResponseFormatError
+} = require('./errors');
+
+/**
+ * Single entry point for every AI call in the app.
+ * Owns provider selection, model/settings resolution, JSON parsing,
+ * schema validation, usage accounting and mapping failures to HTTP responses.
+ */
+
+// Registry of available providers, keyed by the AI_PROVIDER value
+const providers = {
+  openai: require('./providers/openai'),
+  mock: require('./providers/mock') // Offline fixtures for development and tests
+};
+
+const getProvider = () => providers[aiConfig.provider] || null;
+
+const isConfigured = () => {
+  const provider = getProvider();
+  return Boolean(provider && provider.isConfigured());
+};
+
+if (!isConfigured()) {
+  console.warn("****************************************************************");
+  console.warn(`WARN: AI provider '${aiConfig.provider}' is not configured!`);
+  console.warn("WARN: AI features (ideation, refinement, scripts, SEO) will not function.");
+  console.warn("****************************************************************");
+}
+
+// Merge config defaults for a feature with per-call overrides
+const resolveSettings = (feature, overrides = {}) => {
+  const featureSettings = aiConfig.features[feature] || {};
+  const settings = {
+    model: aiConfig.defaultModel,
+    temperature: 0.7,
+    jsonMode: true,
+    ...featureSettings
+  };
+
+  Object.keys(overrides).forEach((key) => {
+    if (overrides[key] !== undefined) settings[key] = overrides[key];
+  });
+
+  return settings;
+};
+
+// Pull a JSON document out of a reply that may be wrapped in markdown fences or prose
+const extractJson = (rawContent) => {
+  const fenced = rawContent.match(/```(?:json)?\s*\n([\s\S]*?)\n\s*```/);
+  if (fenced) return fenced[1];
+
+  const braces = rawContent.match(/{[\s\S]*}/);
+  return braces ? braces[0] : rawContent;
+};
+
+/**
+ * Build the accounting context for an Express request
+ * @param {Object} req - Express request (after protect)
+ * @returns {Object} - { userId, endpoint }
+ */
+const requestContext = (req) => ({
+  userId: req.user?._id,
+  endpoint: req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl
+});
+
+/**
+ * Request structured JSON from the configured provider and validate it
+ * @param {Object} options
+ * @param {String} options.feature - Feature key from aiConfig.features (e.g. 'contentIdeation')
+ * @param {String} options.systemPrompt - System message
+ * @param {String} options.userPrompt - User message
+ * @param {Object} options.schema - Zod schema the parsed output must satisfy
+ * @param {Function} [options.normalize] - Optional fixer applied to parsed JSON before validation
+ * @param {Object} [options.context] - { userId, endpoint } recorded in the AIUsage ledger (see requestContext)
+ * @param {String} [options.model] - Override the configured model
+ * @param {Number} [options.temperature] - Override the configured temperature
+ * @param {Number} [options.maxTokens] - Cap on completion tokens
+ * @param {Boolean} [options.jsonMode] - Override the configured JSON mode
+ * @returns {Promise<Object>} - { data, rawContent, usage, model }
+ */
+const generateJSON = async ({ feature, systemPrompt, userPrompt, schema, normalize, context = {}, ...overrides }) => {
+  const provider = getProvider();
+  if (!provider || !provider.isConfigured()) {
+    throw new AINotConfiguredError(undefined, { feature });
+  }
+
+  const settings = resolveSettings(feature, overrides);
+  const messages = [
+    { role: "system", content: systemPrompt },
+    { role: "user", content: userPrompt }
+  ];
+
+  const startedAt = Date.now();
+  let retryCount = 0;
+  const ledgerEntry = {
+    userId: context.userId,
+    endpoint: context.endpoint,
+    feature,
+    provider: provider.name,
+    model: settings.model
+  };
+
+  let completion;
+  try {
+    completion = await withRetry(
+      () => provider.createChatCompletion({ ...settings, feature, messages }),
+      aiConfig.maxRetries,
+      { onRetry: () => { retryCount += 1; } }
+    );
+  } catch (error) {
+    console.error(`AI provider '${provider.name}' error for ${feature}:`, { status: error.status, error: error.error || error.message });
+    recordUsage({ ...ledgerEntry, latencyMs: Date.now() - startedAt, retryCount, status: 'failed', errorMessage: error.message });
+    throw new AIProviderError(error.message, { feature, status: error.status, cause: error });
+  }
+
+  ledgerEntry.model = completion.model || settings.model;
+  ledgerEntry.usage = completion.usage;
+  ledgerEntry.latencyMs = Date.now() - startedAt;
+  ledgerEntry.retryCount = retryCount;
+
+  return validateCompletion({
+    feature,
+    schema,
+    normalize,
+    ledgerEntry,
+    rawContent: completion.content,
+    usage: completion.usage
+  });
+};
+
+// Parse + validate a finished reply, record it in the ledger and build the result
+const validateCompletion = ({ feature, schema, normalize, ledgerEntry, rawContent, usage }) => {
+  if (!rawContent) {
+    recordUsage({ ...ledgerEntry, status: 'invalid_response', errorMessage: 'Empty response' });
+    throw new AIProviderError(`No content received from AI provider for ${feature}.`, { feature });
+  }
+
+  let data;
+  try {
+    let parsed = JSON.parse(extractJson(rawContent));
+    if (normalize) parsed = normalize(parsed);
+    data = schema.parse(parsed);
+  } catch (error) {
+    console.error(`Failed parsing/validating AI JSON for ${feature}:`, error.errors || error.message);
+    console.log("Raw content string:", rawContent);
+    recordUsage({ ...ledgerEntry, status: 'invalid_response', errorMessage: error.message.substring(0, 500) });
+    throw new AIResponseFormatError("AI response format error.", {
+      feature,
+      details: error.errors || error.message, // Zod issues or the JSON parse message
+      rawContent
+    });
+  }
+
+  recordUsage({ ...ledgerEntry, status: 'success' });
+
+  return {
+    data,
+    rawContent,
+    usage,
+    model: ledgerEntry.model
+  };
+};
+
+/**
+ * Stream structured JSON from the configured provider, surfacing fields as they complete.
+ * Only the initial request is retried; once output has started, failures are final.
+ * Accepts the same options as generateJSON, plus:
+ * @param {Function} [options.onField] - (key, value) for each completed top-level field
+ * @param {Function} [options.onArrayItem] - (key, index, value) for each completed item of a top-level array
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request (e.g. when the client disconnects)
+ * @returns {Promise<Object>} - { data, rawContent, usage, model } once the full reply is validated
+ */
+const streamJSON = async ({ feature, systemPrompt, userPrompt, schema, normalize, context = {}, onField, onArrayItem, signal, ...overrides }) => {
+  const provider = getProvider();
+  if (!provider || !provider.isConfigured()) {
+    throw new AINotConfiguredError(undefined, { feature });
+  }
+  if (!provider.streamChatCompletion) {
+    throw new AINotConfiguredError(`AI provider '${provider.name}' does not support streaming.`, { feature });
+  }
+
+  const settings = resolveSettings(feature, overrides);
+  const messages = [
+    { role: "system", content: systemPrompt },
+    { role: "user", content: userPrompt }
+  ];
+
+  const startedAt = Date.now();
+  let retryCount = 0;
+  const ledgerEntry = {
+    userId: context.userId,
+    endpoint: context.endpoint,
+    feature,
+    provider: provider.name,
+    model: settings.model
+  };
+
+  const parser = createJsonStreamParser({ onField, onArrayItem });
+  let rawContent = '';
+  let usage = null;
+
+  try {
+    const stream = await withRetry(
+      () => provider.streamChatCompletion({ ...settings, feature, messages, signal }),
+      aiConfig.maxRetries,
+      { onRetry: () => { retryCount += 1; } }
+    );
+
+    for await (const chunk of stream) {
+      if (chunk.model) ledgerEntry.model = chunk.model;
+      if (chunk.usage) usage = chunk.usage;
+      if (chunk.delta) {
+        rawContent += chunk.delta;
+        parser.write(chunk.delta);
+      }
+    }
+  } catch (error) {
+    console.error(`AI provider '${provider.name}' stream error for ${feature}:`, { status: error.status, error: error.error || error.message });
+    recordUsage({ ...ledgerEntry, usage, latencyMs: Date.now() - startedAt, retryCount, status: 'failed', errorMessage: error.message });
+    throw new AIProviderError(error.message, { feature, status: error.status, cause: error });
+  }
+
+  ledgerEntry.usage = usage;
+  ledgerEntry.latencyMs = Date.now() - startedAt;
+  ledgerEntry.retryCount = retryCount;
+
+  return validateCompletion({ feature, schema, normalize, ledgerEntry, rawContent, usage });
+};
+
+/**
+ * Map an error from generateJSON to an HTTP status and JSON body
+ * @param {Error} error - Error thrown by the AI service (or anything else)
+ * @param {String} fallbackMessage - Message for provider/unexpected failures
+ * @returns {Object} - { status, body }
+ */
+const toHttpError = (error, fallbackMessage = 'AI request failed.') => {
+  if (error instanceof AINotConfiguredError) {
+    return { status: 503, body: { success: false, message: error.message } };
+  }
+
+  if (error instanceof AIResponseFormatError) {
+    return {
+      status: 500,
+      body: {
+        success: false,
+        message: error.message,
+        details: error.details,
+        raw_content: typeof error.rawContent === 'string' ? error.rawContent.substring(0, 500) : undefined
+      }
+    };
+  }
+
+  if (error instanceof AIProviderError) {
+    // Upstream rate limit that survived our retries
+    if (error.status === 429) {
+      return { status: 503, body: { success: false, message: 'AI service is busy. Please try again shortly.' } };
+    }
+    return { status: 502, body: { success: false, message: fallbackMessage } };
+  }
+
+  console.error('Unexpected error in AI request:', error);
+  return { status: 500, body: { success: false, message: fallbackMessage } };
+};
+
+module.exports = {
+  generateJSON,
+  streamJSON,
+  getProvider,
+  isConfigured,
+  requestContext,
+  toHttpError,
+  AIServiceError,
+  AINotConfiguredError,
+  AIProviderError,
+  AIResponseFormatError
+};
@@ -0,0 +1,149 @@
+// backend/services/ai/jsonStream.js
+
+/**
+ * Incremental parser for a streamed JSON object.
+ * Emits each top-level field as soon as its value is complete, and each
+ * element of a top-level array as soon as that element is complete, so
+ * callers can forward partial results while the model is still writing.
+ * Any text before the first '{' (e.g. a markdown fence) is ignored.
+ *
+ * @param {Object} handlers
+ * @param {Function} [handlers.onField] - (key, value) for every completed top-level field
+ * @param {Function} [handlers.onArrayItem] - (key, index, value) for every completed item of a top-level array
+ * @returns {Object} - { write(chunk) }
+ */
+const createJsonStreamParser = ({ onField = () => {}, onArrayItem = () => {} } = {}) => {
+  let buffer = '';
+  let position = 0;
+
+  let started = false;
+  let done = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  // Top-level object state: 'key' -> 'colon' -> 'value' -> 'key' ...
+  let stage = 'key';
+  let keyStart = -1;
+  let currentKey = null;
+  let valueStart = -1;
+
+  // Top-level array state
+  let arrayOpen = false;
+  let itemStart = -1;
+  let itemIndex = 0;
+
+  // Parse a completed slice; partial or invalid JSON is skipped silently
+  const parseSlice = (start, end) => {
+    try {
+      return { ok: true, value: JSON.parse(buffer.slice(start, end).trim()) };
+    } catch (error) {
+      return { ok: false };
+    }
+  };
+
+  const markValueStart = (index) => {
+    if (depth === 1 && stage === 'value' && valueStart === -1) valueStart = index;
+    if (depth === 2 && arrayOpen && itemStart === -1) itemStart = index;
+  };
+
+  const closeItem = (index) => {
+    if (itemStart === -1) return;
+    const result = parseSlice(itemStart, index);
+    if (result.ok) onArrayItem(currentKey, itemIndex, result.value);
+    itemIndex += 1;
+    itemStart = -1;
+  };
+
+  const closeField = (index) => {
+    if (valueStart !== -1) {
+      const result = parseSlice(valueStart, index);
+      if (result.ok) onField(currentKey, result.value);
+    }
+    stage = 'key';
+    valueStart = -1;
+    arrayOpen = false;
+    itemIndex = 0;
+  };
+
+  const processChar = (char, index) => {
+    if (!started) {
+      if (char === '{') {
+        started = true;
+        depth = 1;
+      }
+      return;
+    }
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+        if (depth === 1 && stage === 'key') {
+          const result = parseSlice(keyStart, index + 1);
+          currentKey = result.ok ? result.value : null;
+          stage = 'colon';
+        }
+      }
+      return;
+    }
+
+    if (char === '"') {
+      inString = true;
+      if (depth === 1 && stage === 'key') {
+        keyStart = index;
+      } else {
+        markValueStart(index);
+      }
+      return;
+    }
+
+    if (/\s/.test(char)) return;
+
+    if (depth === 1) {
+      if (stage === 'colon' && char === ':') {
+        stage = 'value';
+        return;
+      }
+      if (char === ',' || char === '}') {
+        if (stage === 'value') closeField(index);
+        if (char === '}') {
+          depth = 0;
+          done = true;
+        }
+        return;
+      }
+    }
+
+    if (depth === 2 && arrayOpen && (char === ',' || char === ']')) {
+      closeItem(index);
+      if (char === ']') depth = 1;
+      return;
+    }
+
+    markValueStart(index);
+
+    if (char === '{' || char === '[') {
+      if (depth === 1 && char === '[') arrayOpen = true;
+      depth += 1;
+    } else if (char === '}' || char === ']') {
+      depth -= 1;
+    }
+  };
+
+  const write = (chunk) => {
+    if (done || !chunk) return;
+    buffer += chunk;
+    while (position < buffer.length && !done) {
+      processChar(buffer[position], position);
+      position += 1;
+    }
+  };
+
+  return { write };
+};
+
+module.exports = { createJsonStreamParser };
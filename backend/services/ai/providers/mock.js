@@ -0,0 +1,192 @@
+// backend/services/ai/providers/mock.js
+const ideasFixture = require('../fixtures/ideas.json');
+const refinementsFixture = require('../fixtures/refinements.json');
+const scriptFixture = require('../fixtures/script.json');
+const seoFixture = require('../fixtures/seo.json');
+
+/**
+ * Offline, deterministic AI provider for local development and automated tests.
+ * Enable with AI_PROVIDER=mock. Responses come from the JSON fixtures and
+ * always satisfy the schemas in services/ai/schemas.js.
+ *
+ * Failure modes (env or setFailureMode()):
+ *   AI_MOCK_FAILURE       - '429' | '500' | '503' | 'timeout' | 'malformed_json' | 'invalid_schema' | 'empty'
+ *   AI_MOCK_FAILURE_COUNT - Fail only the first N calls, then succeed (default: fail every call)
+ *   AI_MOCK_LATENCY_MS    - Artificial delay before every response
+ */
+
+const FAILURE_MODES = ['429', '500', '503', 'timeout', 'malformed_json', 'invalid_schema', 'empty'];
+
+// Characters per chunk when streaming
+const STREAM_CHUNK_SIZE = 40;
+
+const state = {
+  failureMode: process.env.AI_MOCK_FAILURE || null,
+  failuresRemaining: process.env.AI_MOCK_FAILURE_COUNT !== undefined
+    ? parseInt(process.env.AI_MOCK_FAILURE_COUNT, 10)
+    : Infinity,
+  latencyMs: parseInt(process.env.AI_MOCK_LATENCY_MS, 10) || 0,
+  calls: 0
+};
+
+/**
+ * Configure the failure mode at runtime (useful from test setup)
+ * @param {String|null} mode - One of FAILURE_MODES, or null to disable failures
+ * @param {Object} options - { times: number of calls to fail before succeeding }
+ */
+const setFailureMode = (mode, { times = Infinity } = {}) => {
+  if (mode && !FAILURE_MODES.includes(String(mode))) {
+    throw new Error(`Unknown mock failure mode '${mode}'. Valid modes: ${FAILURE_MODES.join(', ')}`);
+  }
+  state.failureMode = mode ? String(mode) : null;
+  state.failuresRemaining = times;
+};
+
+// Reset failures, latency and the call counter
+const reset = () => {
+  state.failureMode = null;
+  state.failuresRemaining = Infinity;
+  state.latencyMs = 0;
+  state.calls = 0;
+};
+
+const getCallCount = () => state.calls;
+
+// Build an error shaped like the OpenAI SDK's APIError
+const apiError = (status, message) => {
+  const error = new Error(message);
+  error.name = 'APIError';
+  error.status = status;
+  return error;
+};
+
+// --- Fixture builders (keyed by aiConfig feature) ---
+
+const buildIdeas = (prompt) => {
+  const match = prompt.match(/exactly (\d+)/);
+  const count = match ? parseInt(match[1], 10) : 5;
+  return { ideas: ideasFixture.ideas.slice(0, Math.max(1, count)) };
+};
+
+const buildRefinement = (prompt) => {
+  const match = prompt.match(/key "(\w+)"/);
+  const key = match ? match[1] : 'titles';
+  return refinementsFixture[key] || refinementsFixture.titles;
+};
+
+const buildScript = (prompt) => {
+  const match = prompt.match(/"platform": "(\w+)"/) || prompt.match(/script for (\w+)/);
+  return { ...scriptFixture, platform: match ? match[1] : scriptFixture.platform };
+};
+
+const builders = {
+  contentIdeation: buildIdeas,
+  trendIdeation: buildIdeas,
+  refinement: buildRefinement,
+  scriptGeneration: buildScript,
+  scriptTransformation: buildScript,
+  seoAnalysis: () => seoFixture
+};
+
+// Rough token estimate so downstream accounting has something realistic to record
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Throws (or returns bad content) according to the configured failure mode
+const applyFailureMode = () => {
+  if (!state.failureMode || state.failuresRemaining <= 0) return null;
+  state.failuresRemaining -= 1;
+
+  switch (state.failureMode) {
+    case '429':
+      throw apiError(429, 'Rate limit reached for requests (mock)');
+    case '500':
+      throw apiError(500, 'The server had an error while processing your request (mock)');
+    case '503':
+      throw apiError(503, 'The engine is currently overloaded (mock)');
+    case 'timeout':
+      throw new Error('Request timeout (mock)');
+    case 'malformed_json':
+      return '{"ideas": [ this is not valid json';
+    case 'invalid_schema':
+      return JSON.stringify({ unexpected: true });
+    case 'empty':
+      return '';
+    default:
+      return null;
+  }
+};
+
+// Shared by the blocking and streaming calls: applies latency/failures and builds the reply
+const buildCompletion = async ({ feature, model, messages }) => {
+  state.calls += 1;
+  if (state.latencyMs) {
+    await new Promise(resolve => setTimeout(resolve, state.latencyMs));
+  }
+
+  const prompt = messages.map(message => message.content).join('\n');
+  const overrideContent = applyFailureMode();
+
+  let content = overrideContent;
+  if (content === null) {
+    const build = builders[feature];
+    if (!build) {
+      throw apiError(400, `Mock provider has no fixture for feature '${feature}'`);
+    }
+    content = JSON.stringify(build(prompt));
+  }
+
+  const promptTokens = estimateTokens(prompt);
+  const completionTokens = estimateTokens(content);
+
+  return {
+    content,
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    },
+    model: `mock-${model}`
+  };
+};
+
+/**
+ * Run a "chat completion" against the fixtures
+ * @param {Object} options - { feature, model, messages }
+ * @returns {Promise<Object>} - { content, usage, model }
+ */
+const createChatCompletion = async (options) => buildCompletion(options);
+
+/**
+ * Stream a fixture reply in small chunks
+ * @param {Object} options - { feature, model, messages, signal }
+ * @returns {Promise<AsyncIterable>} - Yields { delta, usage, model } chunks; usage arrives on the last one
+ */
+const streamChatCompletion = async (options) => {
+  const { content, usage, model } = await buildCompletion(options);
+  const { signal } = options;
+
+  return (async function* () {
+    for (let i = 0; i < content.length; i += STREAM_CHUNK_SIZE) {
+      if (signal?.aborted) {
+        const error = new Error('Request was aborted (mock)');
+        error.name = 'AbortError';
+        throw error;
+      }
+      // Yield to the event loop so consumers see genuinely incremental output
+      await new Promise(resolve => setImmediate(resolve));
+      yield { delta: content.slice(i, i + STREAM_CHUNK_SIZE), usage: null, model };
+    }
+    yield { delta: '', usage, model };
+  })();
+};
+
+module.exports = {
+  name: 'mock',
+  isConfigured: () => true,
+  createChatCompletion,
+  streamChatCompletion,
+  setFailureMode,
+  reset,
+  getCallCount,
+  FAILURE_MODES
+};
@@ -0,0 +1,73 @@
+// backend/services/ai/providers/openai.js
+const { OpenAI } = require("openai");
+
+/**
+ * OpenAI chat-completions provider
+ */
+
+let client = null;
+
+// Lazily create a single shared client
+const getClient = () => {
+  if (!client) {
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return client;
+};
+
+const isConfigured = () => Boolean(process.env.OPENAI_API_KEY);
+
+/**
+ * Run a chat completion
+ * @param {Object} options - { feature, model, messages, temperature, maxTokens, jsonMode }
+ * @returns {Promise<Object>} - { content, usage, model }
+ */
+const createChatCompletion = async ({ model, messages, temperature, maxTokens, jsonMode }) => {
+  const request = { model, messages, temperature };
+  if (maxTokens) request.max_tokens = maxTokens;
+  if (jsonMode) request.response_format = { type: "json_object" };
+
+  const response = await getClient().chat.completions.create(request);
+
+  return {
+    content: response.choices[0]?.message?.content,
+    usage: response.usage || null,
+    model: response.model || model
+  };
+};
+
+/**
+ * Stream a chat completion
+ * @param {Object} options - { feature, model, messages, temperature, maxTokens, jsonMode, signal }
+ * @returns {Promise<AsyncIterable>} - Yields { delta, usage, model } chunks; usage arrives on the last one
+ */
+const streamChatCompletion = async ({ model, messages, temperature, maxTokens, jsonMode, signal }) => {
+  const request = {
+    model,
+    messages,
+    temperature,
+    stream: true,
+    stream_options: { include_usage: true } // Final chunk carries token usage
+  };
+  if (maxTokens) request.max_tokens = maxTokens;
+  if (jsonMode) request.response_format = { type: "json_object" };
+
+  const stream = await getClient().chat.completions.create(request, { signal });
+
+  return (async function* () {
+    for await (const chunk of stream) {
+      yield {
+        delta: chunk.choices[0]?.delta?.content || '',
+        usage: chunk.usage || null,
+        model: chunk.model || model
+      };
+    }
+  })();
+};
+
+module.exports = {
+  name: 'openai',
+  isConfigured,
+  createChatCompletion,
+  streamChatCompletion
+};
@@ -0,0 +1,132 @@
+// backend/services/ai/schemas.js
+const { z } = require("zod");
+
+/**
+ * Zod schemas for every structured AI response, plus helpers that
+ * normalize common deviations before validation
+ */
+
+// --- Content Ideas ---
+const ideaSchema = z.object({
+  title: z.string().min(5, { message: "Title seems too short." }),
+  angle: z.string().min(10, { message: "Angle description is too brief." }),
+  tags: z.array(z.string()).min(2, { message: "At least two tags are expected." }),
+  hook: z.string().optional().describe("A catchy opening line or visual idea (3-5 seconds)."),
+  structure_points: z.array(z.string()).optional().describe("Key segments or talking points for the content."),
+  platform_suitability: z.enum(['High', 'Medium', 'Low', null]).optional().describe("How suitable the idea is for the requested platform ('High', 'Medium', 'Low', or null)."),
+  intendedEmotion: z.string().optional().describe("The primary emotion this idea aims to evoke (e.g., Joy, Curiosity, Empathy).")
+});
+
+const ideasResponseSchema = z.object({
+  ideas: z.array(ideaSchema).min(1, { message: "Expected at least one content idea." })
+});
+
+// --- Idea Refinements (one schema per refinement type) ---
+const refinementSchemas = {
+  titles: z.object({
+    titles: z.array(z.string()).min(1)
+  }),
+  script_outline: z.object({
+    outline: z.array(z.object({
+      section: z.string(),
+      description: z.string()
+    })).min(1)
+  }),
+  elaborate_angle: z.object({
+    elaboration: z.array(z.string()).min(1)
+  }),
+  hook_ideas: z.object({
+    hooks: z.array(z.string()).min(1)
+  })
+};
+
+// --- Scripts ---
+const scriptResponseSchema = z.object({
+  title: z.string(),
+  platform: z.string(),
+  targetDuration: z.string().optional(),
+  // Allow intro to be either a string or an object with content property
+  intro: z.union([
+    z.string(),
+    z.object({
+      content: z.string()
+    }).transform(obj => obj.content)
+  ]),
+  body: z.array(z.object({
+    section: z.string(),
+    content: z.string(),
+    visualDirection: z.string().optional(),
+    duration: z.string().optional()
+  })),
+  // Allow outro to be either a string or an object with content property
+  outro: z.union([
+    z.string(),
+    z.object({
+      content: z.string()
+    }).transform(obj => obj.content)
+  ]),
+  callToAction: z.string(),
+  bRollSuggestions: z.array(z.string()).optional(),
+  tags: z.array(z.string()).optional()
+});
+
+/**
+ * Normalize loosely structured script JSON before validation
+ * @param {Object} parsedResponse - Parsed JSON from the AI
+ * @returns {Object} - The same object with intro/outro/body coerced into the expected shape
+ */
+const normalizeScriptPayload = (parsedResponse) => {
+  // Handle normalization of potential object structures
+  if (parsedResponse.intro && typeof parsedResponse.intro === 'object') {
+    parsedResponse.intro = parsedResponse.intro.content || JSON.stringify(parsedResponse.intro);
+  }
+
+  if (parsedResponse.outro && typeof parsedResponse.outro === 'object') {
+    parsedResponse.outro = parsedResponse.outro.content || JSON.stringify(parsedResponse.outro);
+  }
+
+  // Ensure body is an array of objects with required properties
+  if (parsedResponse.body && !Array.isArray(parsedResponse.body)) {
+    if (typeof parsedResponse.body === 'object') {
+      // Convert object to array of objects
+      parsedResponse.body = Object.entries(parsedResponse.body).map(([section, content]) => {
+        if (typeof content === 'object') {
+          return {
+            section,
+            content: content.content || JSON.stringify(content),
+            visualDirection: content.visualDirection,
+            duration: content.duration
+          };
+        }
+        return {
+          section,
+          content: String(content)
+        };
+      });
+    } else {
+      // Set as empty array if completely invalid
+      parsedResponse.body = [];
+    }
+  }
+
+  return parsedResponse;
+};
+
+// --- SEO Analysis ---
+const seoAnalysisSchema = z.object({
+  suggestedKeywords: z.array(z.string()).optional().describe("Relevant keywords (mix of broad and long-tail)."),
+  optimizedTitles: z.array(z.string().max(100)).optional().describe("2-3 optimized title suggestions."),
+  optimizedDescription: z.string().optional().describe("Suggested optimized description text."),
+  suggestedHashtags: z.array(z.string()).optional().describe("Platform-relevant hashtags."),
+  contentFeedback: z.string().optional().describe("Actionable feedback on the provided content/script for SEO/engagement."),
+  suggestedSaveTitle: z.string().optional().describe("A concise title for saving/referencing this SEO report.")
+});
+
+module.exports = {
+  ideaSchema,
+  ideasResponseSchema,
+  refinementSchemas,
+  scriptResponseSchema,
+  normalizeScriptPayload,
+  seoAnalysisSchema
+};
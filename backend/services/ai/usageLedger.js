@@ -0,0 +1,56 @@
+// backend/services/ai/usageLedger.js
+const AIUsage = require('../../models/AIUsage');
+const aiConfig = require('../../config/aiConfig');
+
+/**
+ * Token and cost accounting for AI calls
+ */
+
+// Find the pricing entry whose key is the longest prefix of the model name
+const getPricing = (model = '') => {
+  const key = Object.keys(aiConfig.pricing)
+    .filter(prefix => model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? aiConfig.pricing[key] : null;
+};
+
+/**
+ * Estimate the USD cost of a call
+ * @param {String} model - Model name as reported by the provider
+ * @param {Number} promptTokens
+ * @param {Number} completionTokens
+ * @returns {Number} - Estimated cost in USD
+ */
+const estimateCost = (model, promptTokens = 0, completionTokens = 0) => {
+  const pricing = getPricing(model);
+  if (!pricing) return 0;
+  return (promptTokens * pricing.input + completionTokens * pricing.output) / 1000000;
+};
+
+/**
+ * Record one AI call. Never throws - accounting must not break the request.
+ * @param {Object} entry - { userId, feature, endpoint, provider, model, usage, latencyMs, retryCount, status, errorMessage }
+ * @returns {Promise<Object|null>} - Created AIUsage document, or null if the write failed
+ */
+const recordUsage = async ({ usage, ...entry }) => {
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+
+  try {
+    return await AIUsage.create({
+      ...entry,
+      promptTokens,
+      completionTokens,
+      totalTokens: usage?.total_tokens || promptTokens + completionTokens,
+      estimatedCost: estimateCost(entry.model, promptTokens, completionTokens)
+    });
+  } catch (error) {
+    console.error(`Non-critical: Failed to record AI usage for ${entry.feature}:`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  estimateCost,
+  recordUsage
+};
@@ -0,0 +1,258 @@
+// backend/services/jobs/index.js
+const os = require('os');
+const mongoose = require('mongoose');
+const Job = require('../../models/Job');
+const jobConfig = require('../../config/jobConfig');
+const usageUtil = require('../../utils/usageUtil');
+
+/**
+ * Mongo-backed background job queue.
+ * Controllers register a handler per job type and enqueue work; the worker loop
+ * claims queued jobs atomically (safe with several app instances), runs the handler
+ * and stores the outcome on the Job document for clients to poll via GET /api/jobs/:id.
+ *
+ * Handler signature: async (job, { setProgress }) => ({ status, result, error })
+ *   status   - 'succeeded' (default), 'partial' or 'failed'
+ *   result   - Anything JSON-serialisable, returned to the client
+ *   error    - Summary message for failed/partial jobs
+ * A handler that throws marks the job as failed.
+ *
+ * Usage credits reserved by the enqueuing request can be stored as payload.reservedUsage
+ * (see usageUtil.transferUsage); they are released if the job ends up failed.
+ */
+
+const handlers = {};
+
+const workerId = `${os.hostname()}:${process.pid}`;
+
+const worker = {
+  running: false,
+  active: 0,
+  polling: false, // Guards against overlapping polls claiming more than `concurrency` jobs
+  timer: null,
+  staleTimer: null
+};
+
+/**
+ * Register the function that processes jobs of a type
+ * @param {String} type - Job type, e.g. 'scriptTransformation'
+ * @param {Function} handler - async (job, { setProgress }) => ({ status, result, error })
+ */
+const registerHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+/**
+ * Queue a job for the worker
+ * @param {Object} options
+ * @param {String} options.userId - Owner of the job (only they can poll it)
+ * @param {String} options.type - Registered handler type
+ * @param {Object} options.payload - Input for the handler
+ * @param {Number} [options.total] - Number of steps, for progress reporting
+ * @returns {Promise<Object>} - The created Job document
+ */
+const enqueue = async ({ userId, type, payload = {}, total = 1 }) => {
+  if (!handlers[type]) {
+    throw new Error(`No job handler registered for type '${type}'`);
+  }
+
+  const job = await Job.create({ userId, type, payload, progress: { total } });
+  console.log(`Job ${job._id} (${type}) queued for user ${userId}`);
+
+  // Pick it up straight away if this process has a free slot
+  if (worker.running) setImmediate(poll);
+
+  return job;
+};
+
+// Atomically move the oldest queued job to running so no other worker takes it
+const claimNextJob = () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    { status: 'queued' },
+    {
+      $set: { status: 'running', lockedAt: now, startedAt: now, workerId },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+// Requeue jobs whose worker died mid-run, or fail them once they've used up their attempts
+const recoverStaleJobs = async () => {
+  const cutoff = new Date(Date.now() - jobConfig.staleLockMs);
+  const stale = { status: 'running', lockedAt: { $lt: cutoff } };
+
+  const requeued = await Job.updateMany(
+    { ...stale, attempts: { $lt: jobConfig.maxAttempts } },
+    { $set: { status: 'queued' }, $unset: { lockedAt: 1, workerId: 1 } }
+  );
+
+  // Fail abandoned jobs one at a time: whichever instance flips the status gives back the
+  // job's reserved usage, so it is released exactly once
+  let failed = 0;
+  const abandoned = await Job.find({ ...stale, attempts: { $gte: jobConfig.maxAttempts } }).select('_id');
+  for (const { _id } of abandoned) {
+    const job = await Job.findOneAndUpdate(
+      { _id, ...stale, attempts: { $gte: jobConfig.maxAttempts } },
+      {
+        $set: { status: 'failed', error: 'Job did not complete after several attempts.', finishedAt: new Date() },
+        $unset: { lockedAt: 1 }
+      },
+      { new: true }
+    );
+    if (!job) continue;
+
+    failed += 1;
+    if (job.payload?.reservedUsage?.length) {
+      await usageUtil.releaseReservedUsage(job.userId, job.payload.reservedUsage);
+    }
+  }
+
+  if (requeued.modifiedCount || failed) {
+    console.warn(`Jobs: requeued ${requeued.modifiedCount} stale job(s), failed ${failed}.`);
+  }
+};
+
+// Run one claimed job to completion and store its outcome
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+  const startedAt = Date.now();
+
+  // Progress updates double as a heartbeat so long jobs aren't treated as stale
+  const setProgress = ({ completed, failed }) => Job.updateOne(
+    { _id: job._id },
+    { $set: { 'progress.completed': completed, 'progress.failed': failed, lockedAt: new Date() } }
+  ).catch(error => console.error(`Non-critical: Failed to update progress for job ${job._id}:`, error.message));
+
+  let update;
+  try {
+    if (!handler) {
+      throw new Error(`No job handler registered for type '${job.type}'`);
+    }
+    const outcome = (await handler(job, { setProgress })) || {};
+    update = {
+      status: outcome.status || 'succeeded',
+      result: outcome.result,
+      error: outcome.error
+    };
+  } catch (error) {
+    console.error(`Job ${job._id} (${job.type}) failed:`, error.message);
+    update = { status: 'failed', error: error.message };
+  }
+
+  // Only record the outcome if this run still owns the job. A worker that stalled past the
+  // stale lock may find it requeued or already failed (and its usage released) by recovery.
+  const stored = await Job.updateOne(
+    { _id: job._id, status: 'running', attempts: job.attempts },
+    { $set: { ...update, finishedAt: new Date() }, $unset: { lockedAt: 1 } }
+  );
+  if (!stored.modifiedCount) {
+    console.warn(`Job ${job._id} (${job.type}) finished after losing its lock; outcome discarded.`);
+    return;
+  }
+
+  // Nothing was produced, so give back the credits the request reserved
+  if (update.status === 'failed' && job.payload?.reservedUsage?.length) {
+    await usageUtil.releaseReservedUsage(job.userId, job.payload.reservedUsage);
+  }
+  console.log(`Job ${job._id} (${job.type}) ${update.status} in ${Date.now() - startedAt}ms`);
+};
+
+// Fill free worker slots with queued jobs, then schedule the next check
+const poll = async () => {
+  if (!worker.running || worker.polling) return;
+  worker.polling = true;
+  clearTimeout(worker.timer);
+
+  try {
+    // Skip while the database is (re)connecting instead of buffering queries
+    if (mongoose.connection.readyState === 1) {
+      while (worker.running && worker.active < jobConfig.concurrency) {
+        const job = await claimNextJob();
+        if (!job) break;
+
+        worker.active += 1;
+        runJob(job)
+          .catch(error => console.error(`Error finishing job ${job._id}:`, error))
+          .finally(() => {
+            worker.active -= 1;
+            setImmediate(poll);
+          });
+      }
+    }
+  } catch (error) {
+    console.error('Job worker poll error:', error.message);
+  }
+
+  worker.polling = false;
+  if (worker.running) {
+    worker.timer = setTimeout(poll, jobConfig.pollIntervalMs);
+  }
+};
+
+/**
+ * Public view of a job for API responses (the payload stays server-side)
+ * @param {Object} job - Job document
+ * @returns {Object}
+ */
+const serializeJob = (job) => ({
+  id: job._id,
+  type: job.type,
+  status: job.status,
+  progress: {
+    total: job.progress?.total ?? 1,
+    completed: job.progress?.completed ?? 0,
+    failed: job.progress?.failed ?? 0
+  },
+  result: job.result,
+  error: job.error,
+  statusUrl: `/api/jobs/${job._id}`,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+/**
+ * Start the worker loop in this process (no-op when JOB_WORKER_ENABLED=false)
+ */
+const startWorker = () => {
+  if (worker.running || !jobConfig.workerEnabled) return;
+  worker.running = true;
+  console.log(`Job worker ${workerId} started (concurrency ${jobConfig.concurrency}).`);
+
+  const waitForDb = () => {
+    if (mongoose.connection.readyState === 1) {
+      recoverStaleJobs().catch(error => console.error('Error recovering stale jobs:', error.message));
+      poll();
+    } else {
+      mongoose.connection.once('connected', waitForDb);
+    }
+  };
+  waitForDb();
+
+  // Periodically rescue jobs orphaned by other instances
+  worker.staleTimer = setInterval(() => {
+    if (mongoose.connection.readyState === 1) {
+      recoverStaleJobs().catch(error => console.error('Error recovering stale jobs:', error.message));
+    }
+  }, jobConfig.staleLockMs);
+  worker.staleTimer.unref();
+};
+
+/**
+ * Stop claiming new jobs (jobs already running are left to finish)
+ */
+const stopWorker = () => {
+  worker.running = false;
+  clearTimeout(worker.timer);
+  clearInterval(worker.staleTimer);
+};
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  serializeJob,
+  startWorker,
+  stopWorker
+};
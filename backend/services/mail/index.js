@@ -0,0 +1,38 @@
+// backend/services/mail/index.js
+const mailConfig = require('../../config/mailConfig');
+
+/**
+ * Outgoing email. Controllers and utils send mail only through this module.
+ *
+ * Transport interface:
+ *   name                                    - 'console' | 'file'
+ *   send({ from, to, subject, text, html }) - Resolves to { id }
+ */
+
+// Registry of available transports, keyed by the MAIL_TRANSPORT value
+const transports = {
+  console: require('./transports/console'),
+  file: require('./transports/file') // Writes messages to disk for local testing
+};
+
+const getTransport = () => transports[mailConfig.transport] || null;
+
+if (!getTransport()) {
+  console.warn(`Mail transport '${mailConfig.transport}' is not available. Emails will not be sent.`);
+}
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - { id } from the transport
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const transport = getTransport();
+  if (!transport) throw new Error(`Mail transport '${mailConfig.transport}' is not available.`);
+  return transport.send({ from: mailConfig.from, to, subject, text, html });
+};
+
+module.exports = {
+  getTransport,
+  sendMail
+};
@@ -0,0 +1,48 @@
+// backend/services/mail/templates.js
+
+/**
+ * Email bodies. Each template returns { subject, text, html }.
+ */
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (body) => `<!DOCTYPE html>
+<html>
+<body style="font-family: Helvetica, Arial, sans-serif; color: #222; line-height: 1.5;">
+${body}
+<p style="color: #888; font-size: 12px;">CreatorGenius</p>
+</body>
+</html>`;
+
+/**
+ * @param {Object} options - { name, url, expiresInHours }
+ */
+const verificationEmail = ({ name, url, expiresInHours }) => ({
+  subject: 'Verify your email address',
+  text: `Hi ${name},\n\nPlease confirm your email address by opening this link:\n${url}\n\nThe link expires in ${expiresInHours} hours. If you didn't create a CreatorGenius account, you can ignore this email.`,
+  html: layout(`<p>Hi ${escapeHtml(name)},</p>
+<p>Please confirm your email address:</p>
+<p><a href="${escapeHtml(url)}">Verify my email</a></p>
+<p>The link expires in ${expiresInHours} hours. If you didn't create a CreatorGenius account, you can ignore this email.</p>`)
+});
+
+/**
+ * @param {Object} options - { name, url, expiresInMinutes }
+ */
+const passwordResetEmail = ({ name, url, expiresInMinutes }) => ({
+  subject: 'Reset your password',
+  text: `Hi ${name},\n\nWe received a request to reset your CreatorGenius password. Choose a new one here:\n${url}\n\nThe link expires in ${expiresInMinutes} minutes and can be used once. If you didn't ask for this, you can ignore this email - your password won't change.`,
+  html: layout(`<p>Hi ${escapeHtml(name)},</p>
+<p>We received a request to reset your CreatorGenius password.</p>
+<p><a href="${escapeHtml(url)}">Choose a new password</a></p>
+<p>The link expires in ${expiresInMinutes} minutes and can be used once. If you didn't ask for this, you can ignore this email - your password won't change.</p>`)
+});
+
+module.exports = {
+  verificationEmail,
+  passwordResetEmail
+};
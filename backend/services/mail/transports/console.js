@@ -0,0 +1,15 @@
+// backend/services/mail/transports/console.js
+
+/**
+ * Logs messages instead of sending them. The default, for local development.
+ */
+
+const send = async (message) => {
+  console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+  return { id: `console_${Date.now()}` };
+};
+
+module.exports = {
+  name: 'console',
+  send
+};
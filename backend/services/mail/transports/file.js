@@ -0,0 +1,23 @@
+// backend/services/mail/transports/file.js
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const mailConfig = require('../../../config/mailConfig');
+
+/**
+ * Writes each message to mailConfig.fileDir as JSON, for local testing of links in emails.
+ */
+
+const send = async (message) => {
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  await fs.mkdir(mailConfig.fileDir, { recursive: true });
+  const file = path.join(mailConfig.fileDir, `${id}.json`);
+  await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+  console.log(`[mail] Wrote "${message.subject}" for ${message.to} to ${file}`);
+  return { id };
+};
+
+module.exports = {
+  name: 'file',
+  send
+};
@@ -0,0 +1,313 @@
+// backend/services/payments/billingScheduler.js
+const os = require('os');
+const mongoose = require('mongoose');
+const Subscription = require('../../models/Subscription');
+const paymentConfig = require('../../config/paymentConfig');
+const { getGateway } = require('./index');
+const { syncUserSubscription } = require('../../utils/subscriptionUtil');
+const { applyPlanChange } = require('../../utils/planChangeUtil');
+const { recordTrialExpiry } = require('../../utils/trialUtil');
+const { notifyUser } = require('../../utils/notificationUtil');
+const { releaseExpiredCouponReservations } = require('../../utils/couponUtil');
+
+/**
+ * Periodic billing pass over subscriptions:
+ *   1. Reminders before a paid period or trial ends (paymentConfig.reminderDaysBeforeEnd)
+ *   2. Period ended: scheduled plan downgrades are applied first; then cancelAtPeriodEnd -> cancelled
+ *      (downgrade now), otherwise -> past_due with a grace period. Subscriptions the gateway renews
+ *      get paymentConfig.renewalWebhookBufferHours for the renewal webhook to arrive first.
+ *   3. Grace period over: past_due -> halted (recurring) / completed (one-off), downgrade to free
+ *   4. Trial over without a purchase: trialing -> completed, back to free
+ *   5. Coupon uses reserved for checkouts that were never paid go back to the coupon
+ * Every transition is a conditional update on the current status, so several app
+ * instances running the scheduler never apply (or notify about) the same change twice.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Subscriptions handled per step per run
+const BATCH_SIZE = 200;
+
+const schedulerId = `${os.hostname()}:${process.pid}`;
+
+const scheduler = {
+  running: false,
+  busy: false,
+  timer: null
+};
+
+const formatDate = (date) => date.toDateString();
+
+/**
+ * Atomically move a subscription from one status to another and record it in statusHistory.
+ * Nothing happens if the period moved since the subscription was read (a renewal landed meanwhile).
+ * @returns {Promise<Object|null>} - The updated subscription, or null if another run got there first
+ */
+const transition = (subscription, from, to, reason, extraSet = {}) => Subscription.findOneAndUpdate(
+  { _id: subscription._id, status: from, currentPeriodEnd: subscription.currentPeriodEnd },
+  {
+    $set: { status: to, ...extraSet },
+    $push: { statusHistory: { from, to, reason, source: 'scheduler', at: new Date() } }
+  },
+  { new: true }
+);
+
+// Step 1: one reminder per threshold per period
+const sendReminders = async (now) => {
+  const thresholds = [...paymentConfig.reminderDaysBeforeEnd].sort((a, b) => a - b);
+  if (!thresholds.length) return 0;
+
+  const candidates = await Subscription.find({
+    status: { $in: ['active', 'trialing'] },
+    plan: { $ne: 'free' },
+    currentPeriodEnd: { $gt: now, $lte: new Date(now.getTime() + thresholds[thresholds.length - 1] * DAY_MS) }
+  }).limit(BATCH_SIZE);
+
+  let sent = 0;
+  for (const subscription of candidates) {
+    const periodEnd = subscription.currentPeriodEnd;
+    const daysLeft = (periodEnd - now) / DAY_MS;
+    const daysBefore = thresholds.find(days => daysLeft <= days);
+
+    // Claim the reminder unless this (or a closer) one already went out for this period
+    const claimed = await Subscription.updateOne(
+      {
+        _id: subscription._id,
+        status: subscription.status,
+        currentPeriodEnd: periodEnd,
+        $or: [
+          { 'lastReminder.periodEnd': { $ne: periodEnd } },
+          { 'lastReminder.daysBefore': { $gt: daysBefore } }
+        ]
+      },
+      { $set: { lastReminder: { periodEnd, daysBefore, sentAt: now } } }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    const days = Math.max(1, Math.ceil(daysLeft));
+    const planName = subscription.metadata?.planName || subscription.plan;
+    let verb;
+    let message;
+    if (subscription.status === 'trialing') {
+      verb = 'ends';
+      message = `Your ${planName} ends on ${formatDate(periodEnd)}. Choose a plan to keep your limits after that.`;
+    } else if (subscription.cancelAtPeriodEnd) {
+      verb = 'ends';
+      message = `Your ${planName} plan ends on ${formatDate(periodEnd)}. You'll move to the Free plan after that.`;
+    } else if (subscription.pendingChange?.direction === 'downgrade') {
+      verb = 'changes';
+      message = `Your plan changes from ${planName} to ${subscription.pendingChange.planName || subscription.pendingChange.plan} on ${formatDate(periodEnd)}.`;
+    } else if (subscription.razorpaySubscriptionId) {
+      verb = 'renews';
+      message = `Your ${planName} plan renews automatically on ${formatDate(periodEnd)}.`;
+    } else {
+      verb = 'expires';
+      message = `Your ${planName} plan expires on ${formatDate(periodEnd)}. Renew to keep your limits.`;
+    }
+
+    await notifyUser(subscription.userId, {
+      type: subscription.status === 'trialing' ? 'trial_expiring' : 'subscription_expiring',
+      title: `Your ${subscription.status === 'trialing' ? 'trial' : 'plan'} ${verb} in ${days} day${days === 1 ? '' : 's'}`,
+      message,
+      data: { subscriptionId: subscription._id, currentPeriodEnd: periodEnd, daysBefore }
+    });
+    sent += 1;
+  }
+  return sent;
+};
+
+// Step 2a: plan downgrades scheduled for the end of a period (the renewal, if any, is then for the new plan)
+const applyScheduledChanges = async (now) => {
+  const due = await Subscription.find({
+    status: 'active',
+    'pendingChange.direction': 'downgrade',
+    'pendingChange.effectiveAt': { $lte: now }
+  }).limit(BATCH_SIZE);
+
+  let applied = 0;
+  for (const subscription of due) {
+    if (await applyPlanChange(subscription, { paidAt: now, source: 'scheduler' })) applied += 1;
+  }
+  return applied;
+};
+
+// Step 2b: periods that have ended without a renewal
+const endPeriods = async (now) => {
+  const renewalBufferMs = paymentConfig.renewalWebhookBufferHours * 60 * 60 * 1000;
+  const ended = await Subscription.find({
+    status: 'active',
+    plan: { $ne: 'free' },
+    $or: [
+      // Nothing will renew these, so they end exactly at the period end
+      { currentPeriodEnd: { $lte: now }, $or: [{ razorpaySubscriptionId: null }, { cancelAtPeriodEnd: true }] },
+      // Gateway renewals: give the subscription.charged webhook time to arrive
+      { currentPeriodEnd: { $lte: new Date(now.getTime() - renewalBufferMs) } }
+    ]
+  }).limit(BATCH_SIZE);
+
+  const counts = { cancelled: 0, pastDue: 0 };
+  for (const subscription of ended) {
+    if (subscription.cancelAtPeriodEnd) {
+      const updated = await transition(subscription, 'active', 'cancelled', 'cancelled_at_period_end', {
+        cancelAtPeriodEnd: false
+      });
+      if (!updated) continue;
+
+      await syncUserSubscription(updated);
+      await notifyUser(updated.userId, {
+        type: 'subscription_ended',
+        title: 'Your plan has ended',
+        message: 'Your subscription was cancelled and has now ended. You are on the Free plan.',
+        data: { subscriptionId: updated._id }
+      });
+      counts.cancelled += 1;
+      continue;
+    }
+
+    // Grace is counted from the period end (plus the webhook buffer for gateway renewals),
+    // so a late run doesn't lengthen it
+    const overdueFrom = subscription.currentPeriodEnd.getTime() + (subscription.razorpaySubscriptionId ? renewalBufferMs : 0);
+    const graceEndsAt = new Date(overdueFrom + paymentConfig.gracePeriodDays * DAY_MS);
+    const updated = await transition(subscription, 'active', 'past_due', 'renewal_not_received', { graceEndsAt });
+    if (!updated) continue;
+
+    await syncUserSubscription(updated);
+    await notifyUser(updated.userId, {
+      type: 'subscription_past_due',
+      title: 'We could not renew your plan',
+      message: updated.razorpaySubscriptionId
+        ? `Your renewal payment hasn't gone through. Update your payment method before ${formatDate(graceEndsAt)} to keep your plan.`
+        : `Your plan has expired. Renew before ${formatDate(graceEndsAt)} to keep your limits.`,
+      data: { subscriptionId: updated._id, graceEndsAt }
+    });
+    counts.pastDue += 1;
+  }
+  return counts;
+};
+
+// Step 3: grace periods that ran out
+const endGracePeriods = async (now) => {
+  // past_due set without a deadline (e.g. by an admin) gets the standard grace from now
+  await Subscription.updateMany(
+    { status: 'past_due', graceEndsAt: { $exists: false } },
+    { $set: { graceEndsAt: new Date(now.getTime() + paymentConfig.gracePeriodDays * DAY_MS) } }
+  );
+
+  const expired = await Subscription.find({ status: 'past_due', graceEndsAt: { $lte: now } }).limit(BATCH_SIZE);
+
+  let downgraded = 0;
+  for (const subscription of expired) {
+    const recurring = Boolean(subscription.razorpaySubscriptionId);
+    const updated = await transition(subscription, 'past_due', recurring ? 'halted' : 'completed', 'grace_period_expired');
+    if (!updated) continue;
+
+    // Stop the gateway from charging a user we've already downgraded
+    if (recurring) {
+      const gateway = getGateway();
+      if (gateway && gateway.isConfigured()) {
+        await gateway.cancelSubscription(updated.razorpaySubscriptionId, { atCycleEnd: false })
+          .catch(error => console.error(`Non-critical: Failed to cancel gateway subscription ${updated.razorpaySubscriptionId}:`, error.message));
+      }
+    }
+
+    await syncUserSubscription(updated);
+    await notifyUser(updated.userId, {
+      type: 'subscription_downgraded',
+      title: 'You have been moved to the Free plan',
+      message: 'We did not receive payment for your plan, so your account is now on the Free plan. Subscribe again any time to restore your limits.',
+      data: { subscriptionId: updated._id }
+    });
+    downgraded += 1;
+  }
+  return downgraded;
+};
+
+// Step 4: trials that ran out without a purchase (conversions close the trial when the payment lands)
+const endTrials = async (now) => {
+  const ended = await Subscription.find({ status: 'trialing', currentPeriodEnd: { $lte: now } }).limit(BATCH_SIZE);
+
+  let expired = 0;
+  for (const subscription of ended) {
+    const updated = await transition(subscription, 'trialing', 'completed', 'trial_ended');
+    if (!updated) continue;
+
+    await recordTrialExpiry(updated.userId, now);
+    // A purchase still awaiting its trial hand-over keeps the paid tier
+    const hasPaidPlan = await Subscription.exists({ userId: updated.userId, status: { $in: ['active', 'past_due'] }, plan: { $ne: 'free' } });
+    if (hasPaidPlan) continue;
+
+    await syncUserSubscription(updated);
+    await notifyUser(updated.userId, {
+      type: 'trial_ended',
+      title: 'Your free trial has ended',
+      message: `Your ${updated.metadata?.planName || 'trial'} has ended and you are on the Free plan. Choose a plan any time to get your limits back.`,
+      data: { subscriptionId: updated._id }
+    });
+    expired += 1;
+  }
+  return expired;
+};
+
+/**
+ * Run one billing pass
+ * @param {Date} now
+ * @returns {Promise<Object>} - Counts of what changed
+ */
+const runBillingCycle = async (now = new Date()) => {
+  const reminders = await sendReminders(now);
+  const planChanges = await applyScheduledChanges(now);
+  const { cancelled, pastDue } = await endPeriods(now);
+  const downgraded = await endGracePeriods(now);
+  const trialsEnded = await endTrials(now);
+  const couponsReleased = await releaseExpiredCouponReservations(now);
+
+  const summary = { reminders, planChanges, cancelled, pastDue, downgraded, trialsEnded, couponsReleased };
+  if (reminders || planChanges || cancelled || pastDue || downgraded || trialsEnded || couponsReleased) {
+    console.log(`Billing scheduler ${schedulerId}:`, summary);
+  }
+  return summary;
+};
+
+const tick = async () => {
+  // Skip while the database is (re)connecting, and never overlap runs
+  if (scheduler.busy || mongoose.connection.readyState !== 1) return;
+  scheduler.busy = true;
+  try {
+    await runBillingCycle();
+  } catch (error) {
+    console.error('Billing scheduler error:', error.message);
+  }
+  scheduler.busy = false;
+};
+
+/**
+ * Start the billing scheduler in this process (no-op when BILLING_SCHEDULER_ENABLED=false)
+ */
+const startScheduler = () => {
+  if (scheduler.running || !paymentConfig.schedulerEnabled) return;
+  scheduler.running = true;
+  console.log(`Billing scheduler ${schedulerId} started (every ${Math.round(paymentConfig.schedulerIntervalMs / 60000)} min).`);
+
+  const waitForDb = () => {
+    if (mongoose.connection.readyState === 1) tick();
+    else mongoose.connection.once('connected', waitForDb);
+  };
+  waitForDb();
+
+  scheduler.timer = setInterval(tick, paymentConfig.schedulerIntervalMs);
+  scheduler.timer.unref();
+};
+
+/**
+ * Stop scheduling further runs (a run in progress finishes)
+ */
+const stopScheduler = () => {
+  scheduler.running = false;
+  clearInterval(scheduler.timer);
+};
+
+module.exports = {
+  runBillingCycle,
+  startScheduler,
+  stopScheduler
+};
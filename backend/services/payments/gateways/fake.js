@@ -0,0 +1,145 @@
+// backend/services/payments/gateways/fake.js
+const crypto = require('crypto');
+const paymentConfig = require('../../../config/paymentConfig');
+const { hmacHex, signPayment, verifyPaymentSignature, verifyWebhookSignature } = require('../signature');
+
+/**
+ * Offline stand-in for Razorpay, for local development and automated tests.
+ * Enable with PAYMENT_GATEWAY=fake. Orders, subscriptions and payments live in memory;
+ * simulateCheckout() plays the part of the Checkout widget and returns the same
+ * signed response Razorpay would, so verification runs exactly as in production.
+ */
+
+const state = {
+  orders: new Map(),
+  subscriptions: new Map(),
+  payments: new Map()
+};
+
+const fakeId = (prefix) => `${prefix}_fake${crypto.randomBytes(7).toString('hex')}`;
+
+// Error shaped like the Razorpay SDK's rejections
+const gatewayError = (statusCode, description) => {
+  const error = new Error(description);
+  error.statusCode = statusCode;
+  error.error = { code: 'BAD_REQUEST_ERROR', description };
+  return error;
+};
+
+const isConfigured = () => true;
+
+const getKeyId = () => 'rzp_test_fake';
+
+// Razorpay rejects order receipts longer than this
+const MAX_RECEIPT_LENGTH = 40;
+
+const createOrder = async ({ amount, currency, receipt, notes }) => {
+  if (receipt && String(receipt).length > MAX_RECEIPT_LENGTH) {
+    throw gatewayError(400, `receipt: the receipt may not be greater than ${MAX_RECEIPT_LENGTH} characters.`);
+  }
+  const order = { id: fakeId('order'), amount, currency, receipt, notes, status: 'created' };
+  state.orders.set(order.id, order);
+  return { id: order.id, amount, currency, status: order.status };
+};
+
+const createSubscription = async ({ planId, totalCount, amount, currency, offerId, startAt, upfrontAmount, notes }) => {
+  const subscription = {
+    id: fakeId('sub'),
+    planId,
+    totalCount,
+    amount,
+    // Authorisation charges only the upfront amount when the first cycle starts later
+    firstCharge: startAt ? upfrontAmount || 0 : amount + (upfrontAmount || 0),
+    currency,
+    offerId,
+    startAt,
+    notes,
+    status: 'created'
+  };
+  state.subscriptions.set(subscription.id, subscription);
+  return { id: subscription.id, status: subscription.status, shortUrl: null };
+};
+
+const updateSubscription = async (subscriptionId, { planId, scheduleChangeAt = 'cycle_end' }) => {
+  const subscription = state.subscriptions.get(subscriptionId);
+  if (!subscription) throw gatewayError(400, 'The id provided does not exist');
+  if (scheduleChangeAt === 'now') subscription.planId = planId;
+  else subscription.scheduledPlanId = planId;
+  return { id: subscription.id, status: subscription.status };
+};
+
+const cancelSubscription = async (subscriptionId, { atCycleEnd = true } = {}) => {
+  const subscription = state.subscriptions.get(subscriptionId);
+  if (!subscription) throw gatewayError(400, 'The id provided does not exist');
+  subscription.status = atCycleEnd ? subscription.status : 'cancelled';
+  subscription.cancelAtCycleEnd = atCycleEnd;
+  return { id: subscription.id, status: subscription.status };
+};
+
+const fetchPayment = async (paymentId) => {
+  const payment = state.payments.get(paymentId);
+  if (!payment) throw gatewayError(400, 'The id provided does not exist');
+  return { ...payment };
+};
+
+/**
+ * Pretend the user completed (or failed) Checkout
+ * @param {Object} options
+ * @param {String} [options.orderId] - Order being paid
+ * @param {String} [options.subscriptionId] - Subscription being authorised
+ * @param {String} [options.method] - 'card' | 'upi' | 'netbanking' | 'wallet'
+ * @param {Boolean} [options.fail] - Record a failed payment instead
+ * @returns {Object} - The Checkout handler response (razorpay_payment_id, razorpay_signature, ...)
+ */
+const simulateCheckout = ({ orderId, subscriptionId, method = 'upi', fail = false }) => {
+  const target = orderId ? state.orders.get(orderId) : state.subscriptions.get(subscriptionId);
+  if (!target) throw gatewayError(400, 'The id provided does not exist');
+
+  const payment = {
+    id: fakeId('pay'),
+    amount: orderId ? target.amount : target.firstCharge,
+    currency: target.currency,
+    status: fail ? 'failed' : 'captured',
+    method,
+    orderId: orderId || null
+  };
+  state.payments.set(payment.id, payment);
+  if (!fail) target.status = orderId ? 'paid' : 'active';
+
+  const response = { razorpay_payment_id: payment.id };
+  if (orderId) response.razorpay_order_id = orderId;
+  else response.razorpay_subscription_id = subscriptionId;
+  response.razorpay_signature = signPayment({ orderId, subscriptionId, paymentId: payment.id }, paymentConfig.fakeKeySecret);
+  return response;
+};
+
+/**
+ * Sign a webhook body the way Razorpay would (for sending test deliveries)
+ * @param {String} rawBody - JSON body exactly as it will be sent
+ * @returns {String} - Value for the X-Razorpay-Signature header
+ */
+const signWebhook = (rawBody) => hmacHex(rawBody, paymentConfig.fakeKeySecret);
+
+// Forget every order, subscription and payment
+const reset = () => {
+  state.orders.clear();
+  state.subscriptions.clear();
+  state.payments.clear();
+};
+
+module.exports = {
+  name: 'fake',
+  isConfigured,
+  getKeyId,
+  createOrder,
+  createSubscription,
+  updateSubscription,
+  cancelSubscription,
+  fetchPayment,
+  verifyPaymentSignature: (params) => verifyPaymentSignature(params, paymentConfig.fakeKeySecret),
+  verifyWebhookSignature: (rawBody, signature) => verifyWebhookSignature(rawBody, signature, paymentConfig.fakeKeySecret),
+  // Test helpers
+  simulateCheckout,
+  signWebhook,
+  reset
+};
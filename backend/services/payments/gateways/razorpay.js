@@ -0,0 +1,113 @@
+// backend/services/payments/gateways/razorpay.js
+const paymentConfig = require('../../../config/paymentConfig');
+const { verifyPaymentSignature, verifyWebhookSignature } = require('../signature');
+
+/**
+ * Razorpay gateway (orders, subscriptions and payment lookups via the official SDK)
+ */
+
+let client = null;
+
+// Lazily create a single shared client
+const getClient = () => {
+  if (!client) {
+    const Razorpay = require('razorpay');
+    client = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET
+    });
+  }
+  return client;
+};
+
+const isConfigured = () => Boolean(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET);
+
+// Public key id handed to Checkout on the frontend
+const getKeyId = () => process.env.RAZORPAY_KEY_ID;
+
+/**
+ * Create an order for a one-off payment
+ * @param {Object} options - { amount (paise), currency, receipt, notes }
+ * @returns {Promise<Object>} - { id, amount, currency, status }
+ */
+const createOrder = async ({ amount, currency, receipt, notes }) => {
+  const order = await getClient().orders.create({ amount, currency, receipt, notes });
+  return { id: order.id, amount: order.amount, currency: order.currency, status: order.status };
+};
+
+/**
+ * Create a recurring subscription
+ * @param {Object} options - { planId, totalCount, currency, offerId, startAt, upfrontAmount, notes }
+ *   The recurring amount comes from the Razorpay plan; upfrontAmount (paise) is charged once at authorisation
+ * @returns {Promise<Object>} - { id, status, shortUrl }
+ */
+const createSubscription = async ({ planId, totalCount, currency, offerId, startAt, upfrontAmount, notes }) => {
+  const request = {
+    plan_id: planId,
+    total_count: totalCount,
+    customer_notify: 1,
+    notes
+  };
+  if (offerId) request.offer_id = offerId;
+  if (startAt) request.start_at = Math.floor(startAt.getTime() / 1000);
+  if (upfrontAmount) request.addons = [{ item: { name: 'Upfront charge', amount: upfrontAmount, currency } }];
+
+  const subscription = await getClient().subscriptions.create(request);
+  return { id: subscription.id, status: subscription.status, shortUrl: subscription.short_url };
+};
+
+/**
+ * Move a recurring subscription to another Razorpay plan
+ * @param {String} subscriptionId - Gateway subscription id
+ * @param {Object} options - { planId, scheduleChangeAt: 'now' | 'cycle_end' }
+ * @returns {Promise<Object>} - { id, status }
+ */
+const updateSubscription = async (subscriptionId, { planId, scheduleChangeAt = 'cycle_end' }) => {
+  const subscription = await getClient().subscriptions.update(subscriptionId, {
+    plan_id: planId,
+    schedule_change_at: scheduleChangeAt,
+    customer_notify: 1
+  });
+  return { id: subscription.id, status: subscription.status };
+};
+
+/**
+ * Cancel a recurring subscription
+ * @param {String} subscriptionId - Gateway subscription id
+ * @param {Object} options - { atCycleEnd: keep it running until the paid period ends }
+ * @returns {Promise<Object>} - { id, status }
+ */
+const cancelSubscription = async (subscriptionId, { atCycleEnd = true } = {}) => {
+  const subscription = await getClient().subscriptions.cancel(subscriptionId, atCycleEnd);
+  return { id: subscription.id, status: subscription.status };
+};
+
+/**
+ * Look up a payment
+ * @param {String} paymentId
+ * @returns {Promise<Object>} - { id, amount (paise), currency, status, method, orderId }
+ */
+const fetchPayment = async (paymentId) => {
+  const payment = await getClient().payments.fetch(paymentId);
+  return {
+    id: payment.id,
+    amount: payment.amount,
+    currency: payment.currency,
+    status: payment.status,
+    method: payment.method,
+    orderId: payment.order_id
+  };
+};
+
+module.exports = {
+  name: 'razorpay',
+  isConfigured,
+  getKeyId,
+  createOrder,
+  createSubscription,
+  updateSubscription,
+  cancelSubscription,
+  fetchPayment,
+  verifyPaymentSignature: (params) => verifyPaymentSignature(params, process.env.RAZORPAY_KEY_SECRET),
+  verifyWebhookSignature: (rawBody, signature) => verifyWebhookSignature(rawBody, signature, paymentConfig.webhookSecret)
+};
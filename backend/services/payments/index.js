@@ -0,0 +1,51 @@
+// backend/services/payments/index.js
+const paymentConfig = require('../../config/paymentConfig');
+
+/**
+ * Payment gateway selection. Controllers talk to the gateway only through this module.
+ *
+ * Gateway interface:
+ *   name                             - 'razorpay' | 'fake'
+ *   isConfigured()                   - Credentials are present
+ *   getKeyId()                       - Public key for Checkout
+ *   createOrder({ amount, currency, receipt, notes })
+ *   createSubscription({ planId, totalCount, amount, currency, offerId, startAt, upfrontAmount, notes })
+ *                                    - planId is PricePlan.razorpayPlanId; with startAt (Date) the first recurring
+ *                                      charge waits until then and only upfrontAmount is charged at authorisation
+ *   updateSubscription(id, { planId, scheduleChangeAt: 'now' | 'cycle_end' })
+ *   cancelSubscription(id, { atCycleEnd })
+ *   fetchPayment(id)                 - { id, amount, currency, status, method, orderId }
+ *   verifyPaymentSignature({ orderId | subscriptionId, paymentId, signature })
+ *   verifyWebhookSignature(rawBody, signature)
+ * Amounts are in paise.
+ */
+
+// Registry of available gateways, keyed by the PAYMENT_GATEWAY value
+const gateways = {
+  razorpay: require('./gateways/razorpay'),
+  fake: require('./gateways/fake') // Offline stand-in for development and tests
+};
+
+const getGateway = () => gateways[paymentConfig.gateway] || null;
+
+const isConfigured = () => {
+  const gateway = getGateway();
+  return Boolean(gateway && gateway.isConfigured());
+};
+
+if (!isConfigured()) {
+  console.warn(`Payment gateway '${paymentConfig.gateway}' is not configured. Payment features will be disabled.`);
+}
+
+// Rupees to the gateway's smallest currency unit
+const toSubunits = (amount) => Math.round(amount * 100);
+
+// Gateway smallest unit back to rupees
+const fromSubunits = (amount) => amount / 100;
+
+module.exports = {
+  getGateway,
+  isConfigured,
+  toSubunits,
+  fromSubunits
+};
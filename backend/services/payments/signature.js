@@ -0,0 +1,61 @@
+// backend/services/payments/signature.js
+const crypto = require('crypto');
+
+/**
+ * Razorpay-style HMAC-SHA256 signatures, shared by the real and fake gateways
+ */
+
+const hmacHex = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// Constant-time comparison of two hex signatures. Lengths are compared in bytes, since
+// non-ASCII input can match in characters and still differ in bytes.
+const safeEqual = (expected, received) => {
+  if (typeof received !== 'string') return false;
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+  if (expectedBuffer.length !== receivedBuffer.length) return false;
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+/**
+ * Signature Checkout returns after a successful payment
+ * Orders sign "order_id|payment_id"; subscriptions sign "payment_id|subscription_id".
+ * @param {Object} params - { orderId | subscriptionId, paymentId }
+ * @param {String} secret - Key secret
+ * @returns {String} - Hex signature
+ */
+const signPayment = ({ orderId, subscriptionId, paymentId }, secret) => {
+  const payload = orderId ? `${orderId}|${paymentId}` : `${paymentId}|${subscriptionId}`;
+  return hmacHex(payload, secret);
+};
+
+/**
+ * Check a Checkout payment signature
+ * @param {Object} params - { orderId | subscriptionId, paymentId, signature }
+ * @param {String} secret - Key secret
+ * @returns {Boolean}
+ */
+const verifyPaymentSignature = ({ orderId, subscriptionId, paymentId, signature }, secret) => {
+  if (!secret || !paymentId || (!orderId && !subscriptionId)) return false;
+  return safeEqual(signPayment({ orderId, subscriptionId, paymentId }, secret), signature);
+};
+
+/**
+ * Check a webhook's X-Razorpay-Signature against the raw request body
+ * @param {Buffer|String} rawBody - Body exactly as received
+ * @param {String} signature - Header value
+ * @param {String} secret - Webhook secret
+ * @returns {Boolean}
+ */
+const verifyWebhookSignature = (rawBody, signature, secret) => {
+  if (!secret || !rawBody || !signature) return false;
+  return safeEqual(hmacHex(rawBody, secret), signature);
+};
+
+module.exports = {
+  hmacHex,
+  safeEqual,
+  signPayment,
+  verifyPaymentSignature,
+  verifyWebhookSignature
+};
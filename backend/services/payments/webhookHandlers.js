@@ -0,0 +1,282 @@
+// backend/services/payments/webhookHandlers.js
+const Subscription = require('../../models/Subscription');
+const PaymentHistory = require('../../models/PaymentHistory');
+const { fromSubunits, getGateway } = require('./index');
+const {
+  setSubscriptionStatus,
+  syncUserSubscription,
+  activateSubscription,
+  startGracePeriod
+} = require('../../utils/subscriptionUtil');
+const { issueInvoiceSafely } = require('../../utils/invoiceUtil');
+const { applyPlanChange } = require('../../utils/planChangeUtil');
+const { fulfillCreditPurchase, revokeCreditPurchase } = require('../../utils/creditUtil');
+
+/**
+ * Handlers for verified Razorpay webhook events, keyed by event name.
+ * Each receives the parsed webhook body and resolves to { status, message }:
+ *   status - 'processed' (something changed) or 'ignored' (nothing matched)
+ * Throwing marks the delivery failed so Razorpay's retry processes it again.
+ */
+
+// Razorpay timestamps are unix seconds
+const fromUnix = (seconds) => (seconds ? new Date(seconds * 1000) : undefined);
+
+const entityOf = (body, name) => body.payload?.[name]?.entity || null;
+
+const ignored = (message) => ({ status: 'ignored', message });
+const processed = (message) => ({ status: 'processed', message });
+
+// Our PaymentHistory row for a gateway payment: by payment id, else the still-open row for its order
+const findPaymentRecord = async (payment) => {
+  const byPaymentId = await PaymentHistory.findOne({ razorpayPaymentId: payment.id });
+  if (byPaymentId || !payment.order_id) return byPaymentId;
+  return PaymentHistory.findOne({ razorpayOrderId: payment.order_id, status: { $in: ['created', 'failed'] } }).sort({ createdAt: -1 });
+};
+
+const paymentFieldsFrom = (payment, status) => ({
+  razorpayPaymentId: payment.id,
+  amount: fromSubunits(payment.amount),
+  currency: payment.currency,
+  status,
+  paymentMethod: payment.method,
+  paymentDate: fromUnix(payment.created_at) || new Date()
+});
+
+// payment.captured - money received for an order (also confirms payments whose Checkout callback never arrived)
+const handlePaymentCaptured = async (body) => {
+  const payment = entityOf(body, 'payment');
+  if (!payment) return ignored('No payment entity.');
+
+  const record = await findPaymentRecord(payment);
+  if (!record) return ignored(`No payment record for ${payment.id}.`);
+
+  const alreadyCaptured = record.status === 'captured';
+  record.set(paymentFieldsFrom(payment, 'captured'));
+  await record.save();
+  await issueInvoiceSafely(record._id);
+
+  // Credit pack orders add their credits here if the user closed the page before verification
+  if (record.metadata?.type === 'credit_pack') {
+    const granted = await fulfillCreditPurchase(record);
+    return processed(`Payment ${payment.id} captured${granted ? `; ${record.metadata.credits} ${record.metadata.feature} credits granted` : ''}.`);
+  }
+
+  // Orders activate their subscription (or apply their plan change) here if the user closed the page before verification
+  const subscription = record.subscriptionId && await Subscription.findById(record.subscriptionId);
+  if (subscription && payment.order_id && subscription.pendingChange?.razorpayOrderId === payment.order_id) {
+    const updated = await applyPlanChange(subscription, { paidAt: record.paymentDate, paymentMethod: payment.method, source: 'webhook' });
+    return processed(`Payment ${payment.id} captured${updated ? `; subscription ${subscription._id} moved to ${updated.plan}` : ''}.`);
+  }
+  if (subscription && subscription.status === 'pending' && !alreadyCaptured) {
+    await activateSubscription(subscription, {
+      paidAt: record.paymentDate,
+      paymentMethod: payment.method,
+      reason: 'payment_captured',
+      source: 'webhook'
+    });
+    return processed(`Payment ${payment.id} captured; subscription ${subscription._id} activated.`);
+  }
+
+  return processed(`Payment ${payment.id} captured.`);
+};
+
+// payment.failed - a charge attempt was declined
+const handlePaymentFailed = async (body) => {
+  const payment = entityOf(body, 'payment');
+  if (!payment) return ignored('No payment entity.');
+
+  const record = await findPaymentRecord(payment);
+  if (!record) return ignored(`No payment record for ${payment.id}.`);
+  if (record.status === 'captured' || record.status === 'refunded') {
+    return ignored(`Payment ${payment.id} already ${record.status}.`);
+  }
+
+  record.set({
+    ...paymentFieldsFrom(payment, 'failed'),
+    metadata: { ...record.metadata, errorCode: payment.error_code, errorDescription: payment.error_description }
+  });
+  await record.save();
+
+  if (record.subscriptionId) {
+    await Subscription.updateOne({ _id: record.subscriptionId }, { $set: { lastPaymentStatus: 'failed' } });
+  }
+  return processed(`Payment ${payment.id} marked failed.`);
+};
+
+// subscription.charged - a recurring subscription was paid for a (new) period
+const handleSubscriptionCharged = async (body) => {
+  const gatewaySubscription = entityOf(body, 'subscription');
+  const payment = entityOf(body, 'payment');
+  if (!gatewaySubscription || !payment) return ignored('Missing subscription or payment entity.');
+
+  let subscription = await Subscription.findOne({
+    $or: [{ razorpaySubscriptionId: gatewaySubscription.id }, { 'pendingChange.razorpaySubscriptionId': gatewaySubscription.id }]
+  });
+  if (!subscription) return ignored(`No subscription for ${gatewaySubscription.id}.`);
+
+  // First charge fills the row created at checkout; renewals get a new row
+  let record = await PaymentHistory.findOne({ razorpayPaymentId: payment.id });
+  const alreadyCaptured = record?.status === 'captured';
+  if (!record) {
+    record = await PaymentHistory.findOne({ subscriptionId: subscription._id, status: 'created' }).sort({ createdAt: -1 });
+  }
+  if (!record) {
+    record = new PaymentHistory({
+      userId: subscription.userId,
+      subscriptionId: subscription._id,
+      description: `${subscription.metadata?.planName || subscription.plan} renewal`,
+      metadata: { razorpaySubscriptionId: gatewaySubscription.id }
+    });
+  }
+  record.set(paymentFieldsFrom(payment, 'captured'));
+  await record.save();
+  await issueInvoiceSafely(record._id);
+
+  // A late or replayed charge must not bring back a subscription that has ended
+  if (['cancelled', 'completed'].includes(subscription.status)) {
+    return processed(`Payment ${payment.id} recorded; subscription ${subscription._id} is ${subscription.status}, left unchanged.`);
+  }
+
+  // Upfront charge of the gateway subscription replacing this one after an upgrade
+  const change = subscription.pendingChange;
+  if (change?.razorpaySubscriptionId === gatewaySubscription.id) {
+    const updated = await applyPlanChange(subscription, { paidAt: record.paymentDate, paymentMethod: payment.method, source: 'webhook' });
+    return processed(`Subscription ${subscription._id} charged (${payment.id})${updated ? `; moved to ${updated.plan}` : ''}.`);
+  }
+  // First renewal on a scheduled downgrade: switch plans before starting the new period
+  if (change?.direction === 'downgrade' && change.effectiveAt <= (fromUnix(gatewaySubscription.current_start) || new Date())) {
+    subscription = await applyPlanChange(subscription, { source: 'webhook' }) || await Subscription.findById(subscription._id);
+  }
+
+  // Razorpay reports the period it charged for, so replays and the Checkout verification
+  // of the first charge can't extend the subscription twice
+  await activateSubscription(subscription, {
+    paidAt: record.paymentDate,
+    paymentMethod: payment.method,
+    periodStart: fromUnix(gatewaySubscription.current_start),
+    periodEnd: fromUnix(gatewaySubscription.current_end),
+    reason: 'subscription_charged',
+    source: 'webhook'
+  });
+
+  return processed(`Subscription ${subscription._id} charged (${payment.id})${alreadyCaptured ? ', payment already recorded' : ''}.`);
+};
+
+// subscription.halted - Razorpay gave up retrying the renewal charge; the user gets a grace period
+// before the billing scheduler downgrades them
+const handleSubscriptionHalted = async (body) => {
+  const gatewaySubscription = entityOf(body, 'subscription');
+  if (!gatewaySubscription) return ignored('No subscription entity.');
+
+  const subscription = await Subscription.findOne({ razorpaySubscriptionId: gatewaySubscription.id });
+  if (!subscription) return ignored(`No subscription for ${gatewaySubscription.id}.`);
+  if (subscription.status !== 'active') return ignored(`Subscription ${subscription._id} is ${subscription.status}.`);
+
+  subscription.lastPaymentStatus = 'failed';
+  await startGracePeriod(subscription, { reason: 'renewal_payment_failed', source: 'webhook' });
+
+  return processed(`Subscription ${subscription._id} past due until ${subscription.graceEndsAt.toISOString()}.`);
+};
+
+// subscription.cancelled - cancelled on the gateway (by us, the dashboard or the customer's bank)
+const handleSubscriptionCancelled = async (body) => {
+  const gatewaySubscription = entityOf(body, 'subscription');
+  if (!gatewaySubscription) return ignored('No subscription entity.');
+
+  const subscription = await Subscription.findOne({ razorpaySubscriptionId: gatewaySubscription.id });
+  if (!subscription) return ignored(`No subscription for ${gatewaySubscription.id}.`);
+  if (['cancelled', 'halted', 'completed'].includes(subscription.status)) {
+    return ignored(`Subscription ${subscription._id} already ${subscription.status}.`);
+  }
+
+  setSubscriptionStatus(subscription, 'cancelled', { reason: 'cancelled_on_gateway', source: 'webhook' });
+  subscription.cancelledAt = fromUnix(gatewaySubscription.ended_at) || new Date();
+  subscription.cancelAtPeriodEnd = false;
+  await subscription.save();
+  await syncUserSubscription(subscription);
+
+  return processed(`Subscription ${subscription._id} cancelled.`);
+};
+
+// A fully refunded payment stops paying for what it bought: the unspent credits of a credit pack
+// are taken back, and the subscription it paid for ends now (unless a later payment renewed it).
+// Safe to repeat, so a failed delivery can be retried.
+const undoRefundedPurchase = async (record) => {
+  if (record.metadata?.type === 'credit_pack') {
+    const revoked = await revokeCreditPurchase(record);
+    return revoked ? `; ${revoked} ${record.metadata.feature} credits taken back` : '';
+  }
+  if (!record.subscriptionId) return '';
+
+  const subscription = await Subscription.findById(record.subscriptionId);
+  if (!subscription || !['active', 'past_due'].includes(subscription.status)) return '';
+  const renewedSince = await PaymentHistory.exists({
+    subscriptionId: subscription._id,
+    _id: { $ne: record._id },
+    status: 'captured',
+    paymentDate: { $gt: record.paymentDate }
+  });
+  if (renewedSince) return '';
+
+  setSubscriptionStatus(subscription, 'cancelled', { reason: 'payment_refunded', source: 'webhook' });
+  subscription.cancelledAt = new Date();
+  subscription.cancelAtPeriodEnd = false;
+  await subscription.save();
+  await syncUserSubscription(subscription);
+
+  // Stop the gateway from charging for a plan that has ended
+  if (subscription.razorpaySubscriptionId) {
+    const gateway = getGateway();
+    if (gateway && gateway.isConfigured()) {
+      await gateway.cancelSubscription(subscription.razorpaySubscriptionId, { atCycleEnd: false })
+        .catch(error => console.error(`Non-critical: Failed to cancel gateway subscription ${subscription.razorpaySubscriptionId}:`, error.message));
+    }
+  }
+  return `; subscription ${subscription._id} cancelled`;
+};
+
+// refund.processed - money returned for a captured payment
+const handleRefundProcessed = async (body) => {
+  const refund = entityOf(body, 'refund');
+  if (!refund) return ignored('No refund entity.');
+
+  const record = await PaymentHistory.findOne({ razorpayPaymentId: refund.payment_id });
+  if (!record) return ignored(`No payment record for ${refund.payment_id}.`);
+
+  const refundedIds = record.metadata?.refundIds || [];
+  if (refundedIds.includes(refund.id)) return ignored(`Refund ${refund.id} already applied.`);
+
+  const refundAmount = (record.refundAmount || 0) + fromSubunits(refund.amount);
+  const fullyRefunded = refundAmount >= record.amount;
+
+  // Undone before the refund is recorded, so a failure here leaves the delivery to be retried
+  const undone = fullyRefunded ? await undoRefundedPurchase(record) : '';
+
+  // Conditional on the refund total read above, so two refunds of one payment can't overwrite each other
+  const applied = await PaymentHistory.updateOne(
+    { _id: record._id, refundAmount: record.refundAmount ?? null, 'metadata.refundIds': { $ne: refund.id } },
+    {
+      $set: {
+        refundAmount,
+        refundDate: fromUnix(refund.created_at) || new Date(),
+        refundReason: refund.notes?.reason || record.refundReason,
+        // Partial refunds keep the payment captured
+        status: fullyRefunded ? 'refunded' : record.status
+      },
+      $push: { 'metadata.refundIds': refund.id }
+    }
+  );
+  if (!applied.modifiedCount) throw new Error(`Payment ${refund.payment_id} changed while applying refund ${refund.id}.`);
+
+  return processed(`Refund ${refund.id} of ${fromSubunits(refund.amount)} applied to ${refund.payment_id}${undone}.`);
+};
+
+module.exports = {
+  'payment.captured': handlePaymentCaptured,
+  'payment.failed': handlePaymentFailed,
+  'subscription.charged': handleSubscriptionCharged,
+  'subscription.halted': handleSubscriptionHalted,
+  'subscription.cancelled': handleSubscriptionCancelled,
+  'refund.processed': handleRefundProcessed
+};
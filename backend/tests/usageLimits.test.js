@@ -0,0 +1,108 @@
+// backend/tests/usageLimits.test.js
+process.env.AI_PROVIDER = 'mock';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../app');
+const User = require('../models/User');
+const UsageEvent = require('../models/UsageEvent');
+const PricePlan = require('../models/PricePlan');
+const { invalidatePlanCache } = require('../utils/planUtil');
+const limitConfig = require('../config/limitConfig');
+
+// Free tier monthly ideation limit (no PricePlan documents exist, so limitConfig applies)
+const LIMIT = limitConfig.free.monthly.contentIdeations;
+const PARALLEL_REQUESTS = 8;
+
+let mongo;
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri());
+});
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) await mongoose.connection.db.dropDatabase();
+  invalidatePlanCache();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongo) await mongo.stop();
+  console.log.mockRestore();
+});
+
+// Free user who has already used `used` ideations this month
+const createUser = async (used) => {
+  const now = new Date();
+  const user = await User.create({
+    name: 'Test Creator',
+    email: `creator${Date.now()}@example.com`,
+    password: 'password123',
+    isVerified: true,
+    usage: { ideationsThisMonth: used, lastUsageReset: now, lastSearchReset: now }
+  });
+  return { user, token: jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '15m' }) };
+};
+
+const fireIdeationRequests = (token, count) => Promise.all(
+  Array.from({ length: count }, () => request(app)
+    .post('/api/content/ideation')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ topic: 'Street food in Bengaluru', numberOfIdeas: 3 }))
+);
+
+const countStatuses = (responses, status) => responses.filter(res => res.status === status).length;
+
+describe('POST /api/content/ideation under concurrent requests', () => {
+  test('only the remaining monthly quota succeeds', async () => {
+    const used = LIMIT - 2;
+    const { user, token } = await createUser(used);
+
+    const responses = await fireIdeationRequests(token, PARALLEL_REQUESTS);
+
+    expect(countStatuses(responses, 200)).toBe(LIMIT - used);
+    expect(countStatuses(responses, 429)).toBe(PARALLEL_REQUESTS - (LIMIT - used));
+
+    const updated = await User.findById(user._id).select('usage');
+    expect(updated.usage.ideationsThisMonth).toBe(LIMIT);
+
+    // The counter never passed the limit at any point (usage events are written in the background)
+    const consumed = await UsageEvent.find({ userId: user._id, action: 'consume' });
+    consumed.forEach(event => expect(event.valueAfter).toBeLessThanOrEqual(LIMIT));
+  });
+
+  test('a user already at the limit gets 429 for every request', async () => {
+    const { user, token } = await createUser(LIMIT);
+
+    const responses = await fireIdeationRequests(token, PARALLEL_REQUESTS);
+
+    expect(countStatuses(responses, 429)).toBe(PARALLEL_REQUESTS);
+    const updated = await User.findById(user._id).select('usage');
+    expect(updated.usage.ideationsThisMonth).toBe(LIMIT);
+  });
+});
+
+describe('a plan limit of 0', () => {
+  test('blocks the feature instead of making it unlimited', async () => {
+    await PricePlan.create({
+      name: 'Free',
+      tier: 'free',
+      description: 'Free plan without ideation',
+      billingCycle: 'free',
+      limits: { monthly: { contentIdeations: 0 } }
+    });
+    const { user, token } = await createUser(0);
+
+    const responses = await fireIdeationRequests(token, 3);
+
+    expect(countStatuses(responses, 429)).toBe(3);
+    expect(responses[0].body.limit).toBe(0);
+    const updated = await User.findById(user._id).select('usage');
+    expect(updated.usage.ideationsThisMonth).toBe(0);
+  });
+});
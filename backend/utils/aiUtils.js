@@ -4,9 +4,10 @@
  * Execute an OpenAI API call with retries
  * @param {Function} apiCallFn - Function that makes the actual API call
  * @param {Number} maxRetries - Maximum number of retry attempts
+ * @param {Object} options - Optional hooks: { onRetry(attempt, error) } called before each retry
  * @returns {Promise} - Result of the API call
  */
-async function withRetry(apiCallFn, maxRetries = 3) {
+async function withRetry(apiCallFn, maxRetries = 3, options = {}) {
     let lastError;
     
     for (let attempt = 0; attempt < maxRetries; attempt++) {
@@ -21,6 +22,15 @@ async function withRetry(apiCallFn, maxRetries = 3) {
           throw error;
         }
         
+        // Stop once the final attempt has failed
+        if (attempt === maxRetries - 1) {
+          break;
+        }
+        
+        if (options.onRetry) {
+          options.onRetry(attempt + 1, error);
+        }
+        
         // Calculate delay with exponential backoff (100ms, 200ms, 400ms, etc.)
         const delay = exponentialDelay(attempt);
         console.warn(`OpenAI API call failed, retrying in ${delay}ms (Attempt ${attempt + 1}/${maxRetries})`, 
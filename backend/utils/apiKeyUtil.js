@@ -0,0 +1,168 @@
+// backend/utils/apiKeyUtil.js
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const authConfig = require('../config/authConfig');
+const { hashToken } = require('./tokenUtil');
+
+/**
+ * Personal API keys (ApiKey model), sent as `X-API-Key: cg_...` or `Authorization: Bearer cg_...`.
+ * Requests made with a key act as the key's owner, so usage counts against the owner's limits.
+ * Keys are locked out of everything except routes marked with allowApiKey(scope) - in particular
+ * they can't manage keys, sessions, the password or billing.
+ */
+
+const KEY_PREFIX_LENGTH = 8; // Characters after the prefix kept in plain text for display
+
+/**
+ * The API key sent with a request, if any
+ * @param {Object} req - Express request
+ * @returns {String|null}
+ */
+const getApiKeyFromRequest = (req) => {
+  const header = req.headers['x-api-key'];
+  if (header) return String(header).trim();
+
+  const auth = req.headers.authorization;
+  if (auth && auth.startsWith('Bearer ')) {
+    const token = auth.slice(7).trim();
+    if (token.startsWith(authConfig.apiKeys.prefix)) return token;
+  }
+  return null;
+};
+
+/**
+ * Check requested scopes against authConfig.apiKeys.scopes
+ * @param {*} scopes - From the request body
+ * @returns {Object} - { scopes } (deduplicated) or { error }
+ */
+const validateScopes = (scopes) => {
+  const known = Object.keys(authConfig.apiKeys.scopes);
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { error: `Please choose at least one scope: ${known.join(', ')}.` };
+  }
+  const unknown = scopes.filter(scope => !known.includes(scope));
+  if (unknown.length) {
+    return { error: `Unknown scope(s): ${unknown.join(', ')}. Available scopes: ${known.join(', ')}.` };
+  }
+  return { scopes: [...new Set(scopes)] };
+};
+
+/**
+ * Create a key for a user
+ * @param {String} userId
+ * @param {Object} details - { name, scopes }
+ * @returns {Promise<Object>} - { apiKey, key } (key is the plain key, shown once) or { error, status }
+ */
+const createApiKey = async (userId, { name, scopes }) => {
+  if (!name || !String(name).trim()) return { error: 'Please give the API key a name.', status: 400 };
+  const checked = validateScopes(scopes);
+  if (checked.error) return { error: checked.error, status: 400 };
+
+  const activeKeys = await ApiKey.countDocuments({ userId, revokedAt: { $exists: false } });
+  if (activeKeys >= authConfig.apiKeys.maxPerUser) {
+    return { error: `You can have at most ${authConfig.apiKeys.maxPerUser} API keys. Revoke one you no longer use first.`, status: 400 };
+  }
+
+  const key = `${authConfig.apiKeys.prefix}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await ApiKey.create({
+    userId,
+    name,
+    scopes: checked.scopes,
+    keyHash: hashToken(key),
+    keyPrefix: key.slice(0, authConfig.apiKeys.prefix.length + KEY_PREFIX_LENGTH)
+  });
+
+  console.log(`API key ${apiKey._id} created for user ${userId} (${checked.scopes.join(', ')})`);
+  return { apiKey, key };
+};
+
+/**
+ * Look up an active key and note that it was used
+ * @param {String} key - Plain key from the request
+ * @param {String} [ip]
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} - The ApiKey, or null if unknown or revoked
+ */
+const authenticateApiKey = async (key, ip, now = new Date()) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key), revokedAt: { $exists: false } });
+  if (!apiKey) return null;
+
+  // Only write lastUsedAt now and then, not on every call a busy script makes
+  const staleBefore = new Date(now.getTime() - authConfig.apiKeys.lastUsedUpdateIntervalMs);
+  if (!apiKey.lastUsedAt || apiKey.lastUsedAt < staleBefore) {
+    ApiKey.updateOne(
+      { _id: apiKey._id, $or: [{ lastUsedAt: { $exists: false } }, { lastUsedAt: { $lt: staleBefore } }] },
+      { $set: { lastUsedAt: now, lastUsedIp: ip } }
+    ).catch(error => console.error(`Non-critical: Failed to update lastUsedAt for API key ${apiKey._id}:`, error.message));
+  }
+
+  return apiKey;
+};
+
+/**
+ * A user's active keys, newest first
+ * @param {String} userId
+ * @returns {Promise<Array>}
+ */
+const listApiKeys = (userId) => ApiKey.find({ userId, revokedAt: { $exists: false } }).sort({ createdAt: -1 });
+
+/**
+ * Rename a key or change its scopes
+ * @param {String} userId
+ * @param {String} keyId
+ * @param {Object} changes - { name, scopes } (either may be left out)
+ * @returns {Promise<Object>} - { apiKey } or { error, status }
+ */
+const updateApiKey = async (userId, keyId, { name, scopes }) => {
+  const apiKey = await ApiKey.findOne({ _id: keyId, userId, revokedAt: { $exists: false } });
+  if (!apiKey) return { error: 'API key not found.', status: 404 };
+
+  if (name !== undefined) {
+    if (!String(name).trim()) return { error: 'Please give the API key a name.', status: 400 };
+    apiKey.name = name;
+  }
+  if (scopes !== undefined) {
+    const checked = validateScopes(scopes);
+    if (checked.error) return { error: checked.error, status: 400 };
+    apiKey.scopes = checked.scopes;
+  }
+  await apiKey.save();
+  return { apiKey };
+};
+
+/**
+ * Revoke one of a user's keys
+ * @param {String} userId
+ * @param {String} keyId
+ * @returns {Promise<Boolean>} - false if there was no such active key
+ */
+const revokeApiKey = async (userId, keyId) => {
+  const result = await ApiKey.updateOne(
+    { _id: keyId, userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every key a user has (password reset)
+ * @param {String} userId
+ * @returns {Promise<Number>} - How many were revoked
+ */
+const revokeAllApiKeys = async (userId) => {
+  const result = await ApiKey.updateMany(
+    { userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  getApiKeyFromRequest,
+  createApiKey,
+  authenticateApiKey,
+  listApiKeys,
+  updateApiKey,
+  revokeApiKey,
+  revokeAllApiKeys
+};
@@ -0,0 +1,203 @@
+// backend/utils/couponUtil.js
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const paymentConfig = require('../config/paymentConfig');
+
+/**
+ * Coupon validation and redemption.
+ * A code is validated (and priced) at checkout, and a use is reserved when the discounted
+ * order is created: Coupon.redemptionCount is incremented only while below maxRedemptions, and
+ * the per-user limit is held by a unique (coupon, user, slot) CouponRedemption. The reservation
+ * becomes a redemption once the payment activates the subscription; checkouts that fail or are
+ * never paid release it, so abandoned checkouts don't burn caps.
+ */
+
+// Expired reservations released per billing scheduler run
+const RELEASE_BATCH_SIZE = 200;
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Rupees taken off `amount`, never more than the amount itself
+const getDiscountAmount = (coupon, amount) => {
+  const discount = coupon.percentOff
+    ? Math.round(amount * coupon.percentOff) / 100
+    : coupon.amountOff;
+  return Math.min(amount, Math.round(discount * 100) / 100);
+};
+
+/**
+ * Check a code for a user and plan and price the discount
+ * @param {Object} params
+ * @param {String} params.code - Code as entered
+ * @param {String} params.userId
+ * @param {Object} params.plan - PricePlan document being bought
+ * @param {Number} params.amount - Price before the discount (rupees)
+ * @param {Date} [params.now]
+ * @returns {Promise<Object>} - { coupon, discountAmount, finalAmount } or { error }
+ */
+const applyCoupon = async ({ code, userId, plan, amount, now = new Date() }) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+
+  if (!coupon || !coupon.isActive) return { error: 'This coupon code is not valid.' };
+  if (coupon.validFrom && coupon.validFrom > now) return { error: 'This coupon is not active yet.' };
+  if (coupon.validUntil && coupon.validUntil <= now) return { error: 'This coupon has expired.' };
+  if (coupon.maxRedemptions && coupon.redemptionCount >= coupon.maxRedemptions) {
+    return { error: 'This coupon has reached its usage limit.' };
+  }
+  if (coupon.applicablePlans.length && !coupon.applicablePlans.some(planId => planId.equals(plan._id))) {
+    return { error: 'This coupon cannot be used with the selected plan.' };
+  }
+  if (plan.razorpayPlanId && !coupon.razorpayOfferId) {
+    return { error: 'This coupon cannot be used with auto-renewing plans.' };
+  }
+
+  // The user's own unpaid reservations don't count - a new checkout takes them over
+  const usedByUser = await CouponRedemption.countDocuments({ couponId: coupon._id, userId, status: { $ne: 'reserved' } });
+  if (usedByUser >= coupon.perUserLimit) return { error: 'You have already used this coupon.' };
+
+  const discountAmount = getDiscountAmount(coupon, amount);
+  return {
+    coupon,
+    discountAmount,
+    finalAmount: Math.round((amount - discountAmount) * 100) / 100
+  };
+};
+
+/**
+ * Release a reservation, giving its use back to the coupon. Safe to call more than once
+ * (and against a reservation being redeemed at the same moment) - only one caller releases it.
+ * @param {Object} filter - Matches the reservation, e.g. { subscriptionId } or { _id }
+ * @returns {Promise<Boolean>} - Whether a reservation was released
+ */
+const releaseCouponReservation = async (filter) => {
+  const reservation = await CouponRedemption.findOneAndDelete({ ...filter, status: 'reserved' });
+  if (!reservation) return false;
+
+  await Coupon.updateOne({ _id: reservation.couponId, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } });
+  return true;
+};
+
+/**
+ * Hold a use of a coupon for a checkout. Both caps are checked atomically, so concurrent
+ * checkouts can't go past them.
+ * @param {Object} params
+ * @param {Object} params.coupon - Coupon document (from applyCoupon)
+ * @param {String} params.userId
+ * @param {String} params.subscriptionId - Subscription the checkout is for
+ * @param {Number} params.amountOff - Rupees discounted
+ * @param {Date} [params.now]
+ * @returns {Promise<Object>} - { reservation } or { error }
+ */
+const reserveCoupon = async ({ coupon, userId, subscriptionId, amountOff, now = new Date() }) => {
+  // A new checkout replaces the user's earlier unpaid ones with this code
+  const earlier = await CouponRedemption.find({ couponId: coupon._id, userId, status: 'reserved' }).select('_id');
+  for (const { _id } of earlier) {
+    await releaseCouponReservation({ _id });
+  }
+
+  const counted = await Coupon.findOneAndUpdate(
+    { _id: coupon._id, $or: [{ maxRedemptions: null }, { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }] },
+    { $inc: { redemptionCount: 1 } }
+  );
+  if (!counted) return { error: 'This coupon has reached its usage limit.' };
+
+  const expiresAt = new Date(now.getTime() + paymentConfig.couponReservationHours * 60 * 60 * 1000);
+  for (let slot = 1; slot <= coupon.perUserLimit; slot += 1) {
+    try {
+      const reservation = await CouponRedemption.create({
+        couponId: coupon._id,
+        code: coupon.code,
+        userId,
+        subscriptionId,
+        amountOff,
+        status: 'reserved',
+        slot,
+        expiresAt
+      });
+      return { reservation };
+    } catch (error) {
+      if (error.code !== 11000) {
+        await Coupon.updateOne({ _id: coupon._id }, { $inc: { redemptionCount: -1 } });
+        throw error;
+      }
+    }
+  }
+
+  // Every slot is taken: the user has used up their limit
+  await Coupon.updateOne({ _id: coupon._id }, { $inc: { redemptionCount: -1 } });
+  return { error: 'You have already used this coupon.' };
+};
+
+/**
+ * Release reservations whose checkout was never paid (billing scheduler)
+ * @param {Date} now
+ * @returns {Promise<Number>} - How many were released
+ */
+const releaseExpiredCouponReservations = async (now = new Date()) => {
+  const expired = await CouponRedemption.find({ status: 'reserved', expiresAt: { $lte: now } }).select('_id').limit(RELEASE_BATCH_SIZE);
+
+  let released = 0;
+  for (const { _id } of expired) {
+    if (await releaseCouponReservation({ _id })) released += 1;
+  }
+  return released;
+};
+
+/**
+ * Count a coupon use once the discounted subscription is paid: its reservation becomes a
+ * redemption. Never throws - the customer has already paid, so a reservation released in the
+ * meantime is counted anyway and a cap passed that way is logged, not enforced.
+ * @param {Object} subscription - Subscription document with discount.code set (caller saves)
+ * @returns {Promise<Boolean>} - Whether a redemption was recorded
+ */
+const redeemCoupon = async (subscription) => {
+  const discount = subscription.discount;
+  if (!discount?.code || discount.redeemedAt) return false;
+
+  try {
+    const reservation = await CouponRedemption.findOneAndUpdate(
+      { subscriptionId: subscription._id, code: discount.code, status: 'reserved' },
+      { $set: { status: 'redeemed', amountOff: subscription.metadata?.discountAmount || 0 }, $unset: { expiresAt: 1 } }
+    );
+    if (reservation) {
+      discount.redeemedAt = new Date();
+      return true;
+    }
+
+    const coupon = await Coupon.findOneAndUpdate(
+      { code: discount.code },
+      { $inc: { redemptionCount: 1 } },
+      { new: true }
+    );
+    if (!coupon) {
+      console.warn(`Coupon ${discount.code} no longer exists; redemption for subscription ${subscription._id} not counted.`);
+      return false;
+    }
+    if (coupon.maxRedemptions && coupon.redemptionCount > coupon.maxRedemptions) {
+      console.warn(`Coupon ${coupon.code} redeemed past its cap (${coupon.redemptionCount}/${coupon.maxRedemptions}) by subscription ${subscription._id}.`);
+    }
+
+    await CouponRedemption.create({
+      couponId: coupon._id,
+      code: coupon.code,
+      userId: subscription.userId,
+      subscriptionId: subscription._id,
+      amountOff: subscription.metadata?.discountAmount || 0
+    });
+    discount.redeemedAt = new Date();
+    return true;
+  } catch (error) {
+    console.error(`Non-critical: Failed to record redemption of ${discount.code} for subscription ${subscription._id}:`, error.message);
+    return false;
+  }
+};
+
+module.exports = {
+  normalizeCode,
+  getDiscountAmount,
+  applyCoupon,
+  reserveCoupon,
+  releaseCouponReservation,
+  releaseExpiredCouponReservations,
+  redeemCoupon
+};
@@ -0,0 +1,189 @@
+// backend/utils/creditUtil.js
+const User = require('../models/User');
+const PaymentHistory = require('../models/PaymentHistory');
+const CreditTransaction = require('../models/CreditTransaction');
+const paymentConfig = require('../config/paymentConfig');
+const { notifyUser } = require('./notificationUtil');
+
+/**
+ * Purchased top-up credits (User.credits).
+ * A credit pays for one use of a feature once the tier allowance for it is exhausted
+ * (see usageUtil.enforceUsageLimit). Every balance change is written to CreditTransaction.
+ */
+
+const isCreditFeature = (feature) => Boolean(paymentConfig.creditFeatures[feature]);
+
+const getCreditBalance = (user, feature) => user?.credits?.[feature] || 0;
+
+/**
+ * Append an entry to the credit ledger. Never throws - the balance has already changed.
+ * @param {Object} entry - CreditTransaction fields
+ */
+const recordCreditTransaction = async (entry) => {
+  try {
+    await CreditTransaction.create(entry);
+  } catch (error) {
+    console.error(`Non-critical: Failed to record credit ${entry.type} (${entry.feature}) for ${entry.userId}:`, error.message);
+  }
+};
+
+/**
+ * Add credits to a user's balance
+ * @param {String} userId
+ * @param {String} feature - Key in paymentConfig.creditFeatures
+ * @param {Number} quantity - Positive whole number
+ * @param {Object} details - { source: 'purchase' | 'admin', packId, paymentId, grantedBy, note }
+ * @returns {Promise<Object|null>} - Updated user, or null if the user doesn't exist
+ */
+const grantCredits = async (userId, feature, quantity, details = {}) => {
+  if (!isCreditFeature(feature)) throw new Error(`Credits are not available for ${feature}.`);
+  if (!Number.isInteger(quantity) || quantity < 1) throw new Error('Credit quantity must be a positive whole number.');
+
+  const updated = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { [`credits.${feature}`]: quantity } },
+    { new: true, select: 'credits' }
+  );
+  if (!updated) return null;
+
+  console.log(`Granted ${quantity} ${feature} credits to user ${userId} (${details.source})`);
+  await recordCreditTransaction({
+    userId, feature, type: 'grant', delta: quantity,
+    balanceAfter: getCreditBalance(updated, feature),
+    ...details
+  });
+  return updated;
+};
+
+/**
+ * Use one credit, if the user has any
+ * @param {String} userId
+ * @param {String} feature
+ * @param {String} limitType - Allowance that had run out ('daily' | 'monthly')
+ * @returns {Promise<Object|null>} - Updated user, or null if the balance was empty
+ */
+const spendCredit = async (userId, feature, limitType) => {
+  if (!isCreditFeature(feature)) return null;
+  const field = `credits.${feature}`;
+
+  const updated = await User.findOneAndUpdate(
+    { _id: userId, [field]: { $gt: 0 } },
+    { $inc: { [field]: -1 } },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  console.log(`Spent a ${feature} credit for user ${userId} (${limitType} allowance used up)`);
+  await recordCreditTransaction({
+    userId, feature, type: 'spend', delta: -1, source: 'usage', limitType,
+    balanceAfter: getCreditBalance(updated, feature)
+  });
+  return updated;
+};
+
+/**
+ * Give back a credit spent on a request that failed
+ * @param {String} userId
+ * @param {String} feature
+ * @returns {Promise<Object|null>}
+ */
+const refundCredit = async (userId, feature) => {
+  const updated = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { [`credits.${feature}`]: 1 } },
+    { new: true, select: 'credits' }
+  );
+  if (!updated) return null;
+
+  console.log(`Refunded a ${feature} credit to user ${userId}`);
+  await recordCreditTransaction({
+    userId, feature, type: 'refund', delta: 1, source: 'usage',
+    balanceAfter: getCreditBalance(updated, feature)
+  });
+  return updated;
+};
+
+/**
+ * Grant the credits bought with a captured credit pack payment, exactly once
+ * (the Checkout verification and the payment.captured webhook may both get here)
+ * @param {Object} payment - PaymentHistory document with metadata.type 'credit_pack'
+ * @returns {Promise<Boolean>} - Whether credits were granted by this call
+ */
+const fulfillCreditPurchase = async (payment) => {
+  const { packId, feature, credits } = payment.metadata || {};
+
+  const claimed = await PaymentHistory.findOneAndUpdate(
+    { _id: payment._id, status: 'captured', 'metadata.creditsGrantedAt': { $exists: false } },
+    { $set: { 'metadata.creditsGrantedAt': new Date() } }
+  );
+  if (!claimed) return false;
+
+  try {
+    await grantCredits(payment.userId, feature, credits, { source: 'purchase', packId, paymentId: payment._id });
+  } catch (error) {
+    // Un-claim so the webhook retry can grant them
+    await PaymentHistory.updateOne({ _id: payment._id }, { $unset: { 'metadata.creditsGrantedAt': 1 } }).catch(() => {});
+    throw error;
+  }
+
+  await notifyUser(payment.userId, {
+    type: 'credits_added',
+    title: 'Credits added',
+    message: `${credits} extra ${paymentConfig.creditFeatures[feature].label} have been added to your account.`,
+    data: { feature, credits, paymentId: payment._id }
+  });
+  return true;
+};
+
+/**
+ * Take back what is left of the credits a refunded credit pack payment granted, exactly once.
+ * Credits already spent stay spent; the balance never goes below zero.
+ * @param {Object} payment - PaymentHistory document with metadata.type 'credit_pack'
+ * @returns {Promise<Number>} - How many credits were taken back by this call
+ */
+const revokeCreditPurchase = async (payment) => {
+  const { packId, feature, credits } = payment.metadata || {};
+  if (!isCreditFeature(feature) || !credits) return 0;
+
+  const claimed = await PaymentHistory.findOneAndUpdate(
+    { _id: payment._id, 'metadata.creditsGrantedAt': { $exists: true }, 'metadata.creditsRevokedAt': { $exists: false } },
+    { $set: { 'metadata.creditsRevokedAt': new Date() } }
+  );
+  if (!claimed) return 0;
+
+  const field = `credits.${feature}`;
+  let before;
+  try {
+    before = await User.findOneAndUpdate(
+      { _id: payment.userId },
+      [{ $set: { [field]: { $max: [0, { $subtract: [{ $ifNull: [`$${field}`, 0] }, credits] }] } } }],
+      { new: false, select: 'credits' }
+    );
+  } catch (error) {
+    // Un-claim so the webhook retry can take them back
+    await PaymentHistory.updateOne({ _id: payment._id }, { $unset: { 'metadata.creditsRevokedAt': 1 } }).catch(() => {});
+    throw error;
+  }
+  if (!before) return 0;
+
+  const balanceBefore = getCreditBalance(before, feature);
+  const revoked = Math.min(credits, balanceBefore);
+  console.log(`Took back ${revoked} of ${credits} ${feature} credits from user ${payment.userId} (payment ${payment._id} refunded)`);
+  if (revoked > 0) {
+    await recordCreditTransaction({
+      userId: payment.userId, feature, type: 'revoke', delta: -revoked, source: 'payment_refund',
+      balanceAfter: balanceBefore - revoked, packId, paymentId: payment._id
+    });
+  }
+  return revoked;
+};
+
+module.exports = {
+  isCreditFeature,
+  getCreditBalance,
+  grantCredits,
+  spendCredit,
+  refundCredit,
+  fulfillCreditPurchase,
+  revokeCreditPurchase
+};
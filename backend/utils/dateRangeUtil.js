@@ -0,0 +1,31 @@
+// backend/utils/dateRangeUtil.js
+
+/**
+ * Build a createdAt match stage from ?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @param {Object} query - Express req.query
+ * @param {Number} defaultDays - Range length when 'from' is missing
+ * @returns {Object|null} - { createdAt: { $gte, $lte } }, or null if a date is invalid
+ */
+const buildDateMatch = (query, defaultDays = 30) => {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - defaultDays * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return null;
+    }
+    // Make 'to' inclusive of the whole day when only a date was given
+    if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+        to.setUTCHours(23, 59, 59, 999);
+    }
+    return { createdAt: { $gte: from, $lte: to } };
+};
+
+const invalidRangeResponse = (res) => res.status(400).json({
+    success: false,
+    message: 'Invalid date range. Use ISO dates, e.g. ?from=2025-04-01&to=2025-04-30'
+});
+
+module.exports = {
+    buildDateMatch,
+    invalidRangeResponse
+};
@@ -0,0 +1,48 @@
+// backend/utils/generationUtil.js
+const generationConfig = require('../config/generationConfig');
+
+/**
+ * Utility functions for tier-aware AI generation settings
+ */
+
+// Script durations from shortest to longest
+const SCRIPT_DURATIONS = ['short', 'medium', 'long'];
+
+/**
+ * Get the generation profile for a subscription tier
+ * @param {String} tier - User's subscriptionTier
+ * @returns {Object} - Profile from generationConfig (falls back to free)
+ */
+const getGenerationProfile = (tier) => {
+  return generationConfig[tier] || generationConfig.free;
+};
+
+/**
+ * Check whether a script duration is within the profile's ceiling
+ * @param {Object} profile - Generation profile
+ * @param {String} targetDuration - Requested duration ('short', 'medium', 'long')
+ * @returns {Boolean}
+ */
+const isScriptDurationAllowed = (profile, targetDuration) => {
+  const requested = SCRIPT_DURATIONS.indexOf(targetDuration);
+  // Free-form durations (e.g. "90 seconds") are left to the token cap
+  if (requested === -1) return true;
+  return requested <= SCRIPT_DURATIONS.indexOf(profile.maxScriptDuration);
+};
+
+/**
+ * Model settings to pass through to aiService.generateJSON
+ * @param {Object} profile - Generation profile
+ * @returns {Object} - { model, maxTokens }
+ */
+const getModelOptions = (profile) => ({
+  model: profile.model,
+  maxTokens: profile.maxTokens
+});
+
+module.exports = {
+  SCRIPT_DURATIONS,
+  getGenerationProfile,
+  isScriptDurationAllowed,
+  getModelOptions
+};
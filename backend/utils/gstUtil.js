@@ -0,0 +1,62 @@
+// backend/utils/gstUtil.js
+const gstConfig = require('../config/gstConfig');
+
+/**
+ * GSTIN validation and CGST/SGST/IGST calculation
+ */
+
+// 2-digit state code, 10-character PAN, entity number, 'Z', checksum character
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const isValidStateCode = (code) => Boolean(gstConfig.states[code]);
+
+const isValidGstin = (gstin) => {
+  if (!gstin) return true; // GSTIN is optional
+  return GSTIN_PATTERN.test(gstin) && isValidStateCode(gstin.slice(0, 2));
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * State a buyer is taxed in: the billing address state, else the state their GSTIN is registered in,
+ * else the seller's own state (consumers without an address are treated as local supplies)
+ * @param {Object} [billingProfile] - User.billingProfile
+ * @returns {String} - GST state code
+ */
+const getPlaceOfSupply = (billingProfile = {}) => {
+  if (isValidStateCode(billingProfile.stateCode)) return billingProfile.stateCode;
+  if (billingProfile.gstin && isValidGstin(billingProfile.gstin)) return billingProfile.gstin.slice(0, 2);
+  return gstConfig.seller.stateCode;
+};
+
+/**
+ * Split a charge into taxable value and GST. Supplies within the seller's state carry
+ * CGST + SGST at half the rate each; supplies to other states carry IGST at the full rate.
+ * @param {Number} amount - Amount charged (rupees; GST-inclusive when gstConfig.pricesIncludeGst)
+ * @param {String} placeOfSupply - Buyer's GST state code
+ * @returns {Object} - { rate, intraState, taxableAmount, cgst, sgst, igst, totalTax, total }
+ */
+const calculateGst = (amount, placeOfSupply) => {
+  const rate = gstConfig.rate;
+  const intraState = placeOfSupply === gstConfig.seller.stateCode;
+
+  const taxableAmount = gstConfig.pricesIncludeGst
+    ? roundMoney((amount * 100) / (100 + rate))
+    : roundMoney(amount);
+  const total = gstConfig.pricesIncludeGst ? roundMoney(amount) : roundMoney(amount * (100 + rate) / 100);
+  const totalTax = roundMoney(total - taxableAmount);
+
+  // CGST takes the rounded half; SGST the remainder, so the parts always add up to the total
+  const cgst = intraState ? roundMoney(totalTax / 2) : 0;
+  const sgst = intraState ? roundMoney(totalTax - cgst) : 0;
+  const igst = intraState ? 0 : totalTax;
+
+  return { rate, intraState, taxableAmount, cgst, sgst, igst, totalTax, total };
+};
+
+module.exports = {
+  isValidGstin,
+  isValidStateCode,
+  getPlaceOfSupply,
+  calculateGst
+};
@@ -0,0 +1,348 @@
+// backend/utils/invoiceUtil.js
+const PaymentHistory = require('../models/PaymentHistory');
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+const gstConfig = require('../config/gstConfig');
+const { getZonedParts } = require('./timezoneUtil');
+const { getPlaceOfSupply, calculateGst } = require('./gstUtil');
+const { renderPdf } = require('./pdfUtil');
+
+/**
+ * GST invoices for captured payments.
+ * Numbers run sequentially within an Indian financial year (April-March, IST), e.g. CG/2026-27/000042.
+ * A number taken for a payment is kept pending on its Counter until written, so a failed write
+ * doesn't leave a gap in the sequence (see takeInvoiceNumber).
+ * Everything printed is frozen into PaymentHistory.invoiceDetails when the number is issued,
+ * so later profile or GST setting changes never alter an invoice already sent.
+ */
+
+const INVOICE_TIMEZONE = 'Asia/Kolkata';
+
+// A claim older than this without a number belongs to a crashed attempt and may be retried
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+/**
+ * Financial year label for a date, e.g. '2026-27' for anything from 1 Apr 2026 to 31 Mar 2027 (IST)
+ * @param {Date} date
+ * @returns {String}
+ */
+const getFinancialYear = (date) => {
+  const { year, month } = getZonedParts(date, INVOICE_TIMEZONE);
+  const startYear = month >= 4 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const formatInvoiceNumber = (financialYear, seq) =>
+  `${gstConfig.invoicePrefix}/${financialYear}/${String(seq).padStart(6, '0')}`;
+
+/**
+ * Number for a payment's invoice. The number is taken and noted as pending for the payment in one
+ * atomic update, and a retry after a failed or interrupted write reuses it, so no number is lost.
+ * @param {String} financialYear
+ * @param {String} paymentId - PaymentHistory _id
+ * @param {Date} now
+ * @returns {Promise<Object>} - { invoiceNumber, counterId, seq, takenAt }
+ */
+const takeInvoiceNumber = async (financialYear, paymentId, now) => {
+  const earlier = await Counter.findOne({ 'pending.refId': paymentId }, { 'pending.$': 1 }).lean();
+  if (earlier) {
+    const { seq, takenAt } = earlier.pending[0];
+    return { invoiceNumber: formatInvoiceNumber(earlier._id.split(':')[1], seq), counterId: earlier._id, seq, takenAt };
+  }
+
+  const counterId = `invoice:${financialYear}`;
+  const counter = await Counter.findOneAndUpdate(
+    { _id: counterId },
+    [
+      { $set: { seq: { $add: [{ $ifNull: ['$seq', 0] }, 1] } } },
+      { $set: { pending: { $concatArrays: [{ $ifNull: ['$pending', []] }, [{ seq: '$seq', refId: paymentId, takenAt: now }]] } } }
+    ],
+    { upsert: true, new: true }
+  );
+  return { invoiceNumber: formatInvoiceNumber(financialYear, counter.seq), counterId, seq: counter.seq, takenAt: now };
+};
+
+const getInvoiceUrl = (paymentId) => `/api/payments/history/${paymentId}/invoice`;
+
+const stateOf = (code) => ({ code, name: gstConfig.states[code] || '' });
+
+const buildInvoiceDetails = (payment, user, invoiceDate) => {
+  const profile = user?.billingProfile || {};
+  const placeOfSupply = getPlaceOfSupply(profile);
+  const tax = calculateGst(payment.amount, placeOfSupply);
+
+  return {
+    invoiceDate,
+    paymentDate: payment.paymentDate,
+    paymentReference: payment.razorpayPaymentId,
+    currency: payment.currency || 'INR',
+    seller: {
+      name: gstConfig.seller.name,
+      gstin: gstConfig.seller.gstin,
+      address: gstConfig.seller.address,
+      email: gstConfig.seller.email,
+      state: stateOf(gstConfig.seller.stateCode)
+    },
+    buyer: {
+      name: profile.legalName || user?.name || '',
+      email: user?.email || '',
+      gstin: profile.gstin || '',
+      addressLines: [
+        profile.addressLine1,
+        profile.addressLine2,
+        [profile.city, profile.postalCode].filter(Boolean).join(' ')
+      ].filter(Boolean),
+      state: profile.stateCode ? stateOf(profile.stateCode) : null
+    },
+    placeOfSupply: stateOf(placeOfSupply),
+    items: [{
+      description: payment.description || 'CreatorGenius subscription',
+      sac: gstConfig.sacCode,
+      quantity: 1,
+      taxableAmount: tax.taxableAmount
+    }],
+    tax
+  };
+};
+
+/**
+ * Give a captured payment its invoice number and details (no-op if it already has one).
+ * The payment is claimed first so concurrent callers (verification and webhook) issue one number.
+ * @param {String} paymentId - PaymentHistory _id
+ * @param {Object} [options] - { now }
+ * @returns {Promise<Object|null>} - The PaymentHistory document (invoiceNumber unset if not invoiceable or still being issued)
+ */
+const issueInvoice = async (paymentId, { now = new Date() } = {}) => {
+  const claimed = await PaymentHistory.findOneAndUpdate(
+    {
+      _id: paymentId,
+      status: { $in: ['captured', 'refunded'] },
+      amount: { $gt: 0 },
+      invoiceNumber: { $exists: false },
+      $or: [
+        { invoiceIssuedAt: { $exists: false } },
+        { invoiceIssuedAt: { $lt: new Date(now.getTime() - STALE_CLAIM_MS) } }
+      ]
+    },
+    { $set: { invoiceIssuedAt: now } },
+    { new: true }
+  );
+  if (!claimed) return PaymentHistory.findById(paymentId);
+
+  const user = await User.findById(claimed.userId).select('name email billingProfile');
+  const { invoiceNumber, counterId, seq, takenAt } = await takeInvoiceNumber(getFinancialYear(now), claimed._id, now);
+  // A reused number keeps the date it was taken on, so it stays within its financial year
+  const invoiceDate = takenAt || now;
+
+  const issued = await PaymentHistory.findOneAndUpdate(
+    { _id: claimed._id, invoiceNumber: { $exists: false } },
+    {
+      $set: {
+        invoiceNumber,
+        invoiceUrl: getInvoiceUrl(claimed._id),
+        invoiceIssuedAt: invoiceDate,
+        invoiceDetails: buildInvoiceDetails(claimed, user, invoiceDate)
+      }
+    },
+    { new: true }
+  );
+  if (!issued) {
+    // Another attempt numbered the payment first; the number stays pending on the counter
+    console.error(`Invoice number ${invoiceNumber} was taken for payment ${claimed._id} but not used; left pending on ${counterId} for reconciliation.`);
+    return PaymentHistory.findById(paymentId);
+  }
+
+  await Counter.updateOne({ _id: counterId }, { $pull: { pending: { refId: claimed._id, seq } } })
+    .catch(error => console.error(`Non-critical: Failed to clear pending invoice number ${invoiceNumber}:`, error.message));
+  return issued;
+};
+
+/**
+ * issueInvoice for payment paths that must not fail because of invoicing. Never throws -
+ * a missed invoice is issued when the user first downloads it.
+ * @param {String} paymentId - PaymentHistory _id
+ */
+const issueInvoiceSafely = async (paymentId) => {
+  try {
+    await issueInvoice(paymentId);
+  } catch (error) {
+    console.error(`Non-critical: Failed to issue invoice for payment ${paymentId}:`, error.message);
+  }
+};
+
+// --- Rendering ---
+
+const formatMoney = (amount, currency = 'INR') =>
+  `${currency} ${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit', month: 'short', year: 'numeric', timeZone: INVOICE_TIMEZONE
+});
+
+const formatState = (state) => (state ? `${state.name} (${state.code})` : '');
+
+// Tax rows shown under the line items
+const getTaxRows = ({ tax }) => (tax.intraState
+  ? [[`CGST @ ${tax.rate / 2}%`, tax.cgst], [`SGST @ ${tax.rate / 2}%`, tax.sgst]]
+  : [[`IGST @ ${tax.rate}%`, tax.igst]]);
+
+const getRefundNote = (payment, currency) => (payment.refundAmount
+  ? `A refund of ${formatMoney(payment.refundAmount, currency)} was issued on ${formatDate(payment.refundDate)}.`
+  : '');
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[ch]));
+
+/**
+ * Invoice as a standalone HTML page
+ * @param {Object} payment - PaymentHistory document with an invoice issued
+ * @returns {String}
+ */
+const renderInvoiceHtml = (payment) => {
+  const invoice = payment.invoiceDetails;
+  const { seller, buyer, tax, currency } = invoice;
+  const money = (amount) => escapeHtml(formatMoney(amount, currency));
+  const refundNote = getRefundNote(payment, currency);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Invoice ${escapeHtml(payment.invoiceNumber)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 760px; margin: 32px auto; font-size: 14px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  .parties { display: flex; justify-content: space-between; gap: 24px; margin: 24px 0; }
+  .muted { color: #666; }
+  table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+  th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+  td.amount, th.amount { text-align: right; }
+  tr.total td { font-weight: bold; border-top: 2px solid #222; }
+</style>
+</head>
+<body>
+  <h1>Tax Invoice</h1>
+  <div>Invoice No: <strong>${escapeHtml(payment.invoiceNumber)}</strong></div>
+  <div>Invoice Date: ${escapeHtml(formatDate(invoice.invoiceDate))}</div>
+  <div class="muted">Payment ${escapeHtml(invoice.paymentReference || '')} on ${escapeHtml(formatDate(invoice.paymentDate))}</div>
+
+  <div class="parties">
+    <div>
+      <strong>${escapeHtml(seller.name)}</strong><br>
+      ${seller.address ? `${escapeHtml(seller.address)}<br>` : ''}
+      State: ${escapeHtml(formatState(seller.state))}<br>
+      ${seller.gstin ? `GSTIN: ${escapeHtml(seller.gstin)}<br>` : ''}
+      ${seller.email ? escapeHtml(seller.email) : ''}
+    </div>
+    <div>
+      <span class="muted">Billed to</span><br>
+      <strong>${escapeHtml(buyer.name)}</strong><br>
+      ${buyer.addressLines.map(line => `${escapeHtml(line)}<br>`).join('')}
+      ${buyer.state ? `State: ${escapeHtml(formatState(buyer.state))}<br>` : ''}
+      ${buyer.gstin ? `GSTIN: ${escapeHtml(buyer.gstin)}<br>` : ''}
+      ${escapeHtml(buyer.email)}
+    </div>
+  </div>
+  <div>Place of supply: ${escapeHtml(formatState(invoice.placeOfSupply))}</div>
+
+  <table>
+    <thead>
+      <tr><th>Description</th><th>SAC</th><th>Qty</th><th class="amount">Taxable value</th></tr>
+    </thead>
+    <tbody>
+      ${invoice.items.map(item => `<tr><td>${escapeHtml(item.description)}</td><td>${escapeHtml(item.sac)}</td><td>${item.quantity}</td><td class="amount">${money(item.taxableAmount)}</td></tr>`).join('\n      ')}
+      ${getTaxRows(invoice).map(([label, amount]) => `<tr><td colspan="3">${escapeHtml(label)}</td><td class="amount">${money(amount)}</td></tr>`).join('\n      ')}
+      <tr class="total"><td colspan="3">Total</td><td class="amount">${money(tax.total)}</td></tr>
+    </tbody>
+  </table>
+  ${refundNote ? `<p class="muted">${escapeHtml(refundNote)}</p>` : ''}
+  <p class="muted">Tax is not payable on reverse charge. This is a computer-generated invoice.</p>
+</body>
+</html>
+`;
+};
+
+/**
+ * Invoice as a PDF document
+ * @param {Object} payment - PaymentHistory document with an invoice issued
+ * @returns {Buffer}
+ */
+const renderInvoicePdf = (payment) => {
+  const invoice = payment.invoiceDetails;
+  const { seller, buyer, tax, currency } = invoice;
+  const items = [];
+  const text = (value, x, y, options = {}) => items.push({ text: value, x, y, ...options });
+  const rule = (y, width) => items.push({ line: [48, y, 547, y], width });
+
+  text('Tax Invoice', 48, 64, { size: 20, bold: true });
+  text(`Invoice No: ${payment.invoiceNumber}`, 547, 56, { align: 'right', bold: true });
+  text(`Invoice Date: ${formatDate(invoice.invoiceDate)}`, 547, 70, { align: 'right' });
+  text(`Payment ${invoice.paymentReference || ''} on ${formatDate(invoice.paymentDate)}`, 547, 84, { align: 'right', size: 8 });
+
+  let y = 120;
+  const sellerLines = [
+    seller.address,
+    `State: ${formatState(seller.state)}`,
+    seller.gstin && `GSTIN: ${seller.gstin}`,
+    seller.email
+  ].filter(Boolean);
+  const buyerLines = [
+    ...buyer.addressLines,
+    buyer.state && `State: ${formatState(buyer.state)}`,
+    buyer.gstin && `GSTIN: ${buyer.gstin}`,
+    buyer.email
+  ].filter(Boolean);
+
+  text(seller.name, 48, y, { bold: true, size: 11 });
+  text('Billed to', 320, y - 14, { size: 8 });
+  text(buyer.name, 320, y, { bold: true, size: 11 });
+  sellerLines.forEach((line, index) => text(line, 48, y + 14 * (index + 1)));
+  buyerLines.forEach((line, index) => text(line, 320, y + 14 * (index + 1)));
+
+  y += 14 * (Math.max(sellerLines.length, buyerLines.length) + 2);
+  text(`Place of supply: ${formatState(invoice.placeOfSupply)}`, 48, y);
+
+  y += 28;
+  text('Description', 48, y, { bold: true });
+  text('SAC', 330, y, { bold: true });
+  text('Qty', 400, y, { bold: true });
+  text('Taxable value', 547, y, { bold: true, align: 'right' });
+  rule(y + 6);
+
+  invoice.items.forEach((item) => {
+    y += 22;
+    text(item.description, 48, y);
+    text(item.sac, 330, y);
+    text(String(item.quantity), 400, y);
+    text(formatMoney(item.taxableAmount, currency), 547, y, { align: 'right' });
+  });
+  getTaxRows(invoice).forEach(([label, amount]) => {
+    y += 20;
+    text(label, 48, y);
+    text(formatMoney(amount, currency), 547, y, { align: 'right' });
+  });
+
+  rule(y + 8, 1);
+  y += 24;
+  text('Total', 48, y, { bold: true, size: 11 });
+  text(formatMoney(tax.total, currency), 547, y, { bold: true, size: 11, align: 'right' });
+
+  const refundNote = getRefundNote(payment, currency);
+  if (refundNote) {
+    y += 30;
+    text(refundNote, 48, y, { size: 9 });
+  }
+  text('Tax is not payable on reverse charge. This is a computer-generated invoice.', 48, 800, { size: 8 });
+
+  return renderPdf(items, { title: `Invoice ${payment.invoiceNumber}` });
+};
+
+module.exports = {
+  getFinancialYear,
+  getInvoiceUrl,
+  issueInvoice,
+  issueInvoiceSafely,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
@@ -0,0 +1,205 @@
+// backend/utils/loginThrottleUtil.js
+const LoginThrottle = require('../models/LoginThrottle');
+const SecurityEvent = require('../models/SecurityEvent');
+const authConfig = require('../config/authConfig');
+
+/**
+ * Brute-force protection for password logins.
+ * Attempts are counted per email address and per client IP. Past a few free attempts each new
+ * attempt has to wait (progressively longer), and enough failures lock the key for a while.
+ * An attempt is admitted and counted in one conditional update before the password is checked,
+ * so a burst of parallel requests can't all slip through, and blocked attempts cost no bcrypt work.
+ * Counted attempts stand as failures unless the login succeeds.
+ */
+
+const keysFor = ({ email, ip }) => {
+  const keys = [];
+  if (email) keys.push({ kind: 'email', key: `email:${String(email).toLowerCase()}` });
+  if (ip) keys.push({ kind: 'ip', key: `ip:${ip}` });
+  return keys;
+};
+
+// Wait required after `failures` failed attempts (0 while still within the free attempts),
+// as an aggregation expression so it can be worked out inside the counting update
+const requiredDelayExpression = (kind, failures) => {
+  const { baseDelayMs, maxDelayMs } = authConfig.loginThrottle;
+  const extra = { $subtract: [failures, authConfig.loginThrottle[kind].freeAttempts] };
+  return {
+    $cond: [{ $lt: [extra, 0] }, 0, { $min: [maxDelayMs, { $multiply: [baseDelayMs, { $pow: [2, extra] }] }] }]
+  };
+};
+
+/**
+ * Append to the security audit log. Never throws - the lockout itself has already happened.
+ * @param {Object} entry - SecurityEvent fields
+ */
+const recordSecurityEvent = async (entry) => {
+  try {
+    await SecurityEvent.create(entry);
+  } catch (error) {
+    console.error(`Non-critical: Failed to record security event ${entry.type}:`, error.message);
+  }
+};
+
+// Count an attempt against one key if the key allows one right now.
+// Returns the updated throttle, or null if the key is locked, waiting out its delay or at its limit.
+const admitAttempt = async ({ kind, key }, now) => {
+  const windowStart = new Date(now.getTime() - authConfig.loginThrottle.failureWindowMs);
+  await LoginThrottle.updateOne(
+    { key, windowStartedAt: { $lt: windowStart } },
+    { $set: { failures: 0, windowStartedAt: now }, $unset: { nextAttemptAt: 1 } }
+  );
+  try {
+    await LoginThrottle.updateOne(
+      { key },
+      { $setOnInsert: { kind, failures: 0, windowStartedAt: now } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Two first attempts raced to insert the key; it exists either way
+    if (error.code !== 11000) throw error;
+  }
+
+  return LoginThrottle.findOneAndUpdate(
+    {
+      key,
+      // Attempts already in flight count too, so a burst stops at the limit before any lock is written
+      failures: { $lt: authConfig.loginThrottle[kind].lockoutAfter },
+      $and: [
+        { $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lte: now } }] },
+        { $or: [{ nextAttemptAt: { $exists: false } }, { nextAttemptAt: { $lte: now } }] }
+      ]
+    },
+    [
+      { $set: { failures: { $add: ['$failures', 1] }, lastFailureAt: now, updatedAt: now } },
+      { $set: { nextAttemptAt: { $add: [now, requiredDelayExpression(kind, '$failures')] } } }
+    ],
+    { new: true }
+  );
+};
+
+// How long until every key will admit another attempt
+const blockedFor = async (keys, now) => {
+  const throttles = await LoginThrottle.find({ key: { $in: keys.map(k => k.key) } }).lean();
+  let waitUntil = now.getTime();
+  let locked = false;
+  for (const throttle of throttles) {
+    if (throttle.lockedUntil > now) {
+      locked = true;
+      waitUntil = Math.max(waitUntil, throttle.lockedUntil.getTime());
+    } else if (throttle.failures >= authConfig.loginThrottle[throttle.kind].lockoutAfter) {
+      // At the limit with the attempt that will set the lock still running
+      locked = true;
+      waitUntil = Math.max(waitUntil, now.getTime() + authConfig.loginThrottle.lockoutMs);
+    } else if (throttle.nextAttemptAt > now) {
+      waitUntil = Math.max(waitUntil, throttle.nextAttemptAt.getTime());
+    }
+  }
+  return { locked, retryAfterSeconds: Math.max(1, Math.ceil((waitUntil - now.getTime()) / 1000)) };
+};
+
+/**
+ * Admit and count a login attempt. Call before checking the password (or 2FA code), then
+ * report the outcome with recordLoginFailure, recordLoginSuccess or releaseLoginAttempt.
+ * The IP is checked first; an IP hammering a throttled email keeps the attempt on its count.
+ * @param {Object} attempt - { email, ip }
+ * @param {Date} [now]
+ * @returns {Promise<Object>} - { allowed: true } or { allowed: false, locked, retryAfterSeconds }
+ */
+const beginLoginAttempt = async (attempt, now = new Date()) => {
+  const keys = keysFor(attempt);
+  for (const keyInfo of [...keys].reverse()) {
+    const admitted = await admitAttempt(keyInfo, now);
+    if (!admitted) return { allowed: false, ...(await blockedFor(keys, now)) };
+  }
+  return { allowed: true };
+};
+
+/**
+ * Record that an admitted attempt failed, and lock any key that has reached its limit.
+ * A key still in the same failure window when its lock ends gets one more attempt; if that
+ * fails too, it locks again.
+ * @param {Object} attempt - { email, ip, userId } (userId when the email belongs to an account)
+ * @param {Date} [now]
+ */
+const recordLoginFailure = async ({ email, ip, userId }, now = new Date()) => {
+  for (const keyInfo of keysFor({ email, ip })) {
+    const { lockoutAfter } = authConfig.loginThrottle[keyInfo.kind];
+    const lockedUntil = new Date(now.getTime() + authConfig.loginThrottle.lockoutMs);
+    const locked = await LoginThrottle.findOneAndUpdate(
+      {
+        key: keyInfo.key,
+        failures: { $gte: lockoutAfter },
+        $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lte: now } }]
+      },
+      { $set: { lockedUntil, failures: lockoutAfter - 1 } }
+    );
+    if (!locked) continue;
+
+    console.warn(`Login locked for ${keyInfo.key} until ${lockedUntil.toISOString()} after ${locked.failures} failed attempts`);
+    await recordSecurityEvent({
+      type: 'login_lockout',
+      userId: keyInfo.kind === 'email' ? userId : undefined,
+      email,
+      ip,
+      details: { key: keyInfo.key, failures: locked.failures, lockedUntil }
+    });
+  }
+};
+
+/**
+ * Take back an admitted attempt that turned out not to be a failure (e.g. a correct password
+ * that still needs a 2FA code, which is counted as an attempt of its own)
+ * @param {Object} attempt - { email, ip }
+ */
+const releaseLoginAttempt = async (attempt) => {
+  for (const { kind, key } of keysFor(attempt)) {
+    await LoginThrottle.updateOne(
+      { key, failures: { $gt: 0 } },
+      [
+        { $set: { failures: { $subtract: ['$failures', 1] } } },
+        { $set: { nextAttemptAt: { $add: ['$lastFailureAt', requiredDelayExpression(kind, '$failures')] } } }
+      ]
+    );
+  }
+};
+
+/**
+ * Clear the count for an email after a successful login. The IP only gets this attempt back,
+ * so an attacker can't reset its count by logging into an account of their own.
+ * @param {Object} attempt - { email, ip }
+ */
+const recordLoginSuccess = async ({ email, ip }) => {
+  await LoginThrottle.deleteOne({ key: `email:${String(email).toLowerCase()}` });
+  if (ip) await releaseLoginAttempt({ ip });
+};
+
+/**
+ * Lift throttling for an email address (and optionally an IP)
+ * @param {Object} target - { email, ip, userId }
+ * @param {String} actorId - Admin performing the unlock
+ * @returns {Promise<Number>} - How many throttled keys were cleared
+ */
+const unlockLogin = async ({ email, ip, userId }, actorId) => {
+  const keys = keysFor({ email, ip }).map(k => k.key);
+  const result = await LoginThrottle.deleteMany({ key: { $in: keys } });
+
+  console.log(`Login unlocked for ${keys.join(', ')} by ${actorId} (${result.deletedCount} cleared)`);
+  await recordSecurityEvent({
+    type: 'login_unlock',
+    userId,
+    email,
+    ip,
+    actorId,
+    details: { keys, cleared: result.deletedCount }
+  });
+  return result.deletedCount;
+};
+
+module.exports = {
+  beginLoginAttempt,
+  recordLoginFailure,
+  releaseLoginAttempt,
+  recordLoginSuccess,
+  unlockLogin
+};
@@ -0,0 +1,23 @@
+// backend/utils/notificationUtil.js
+const Notification = require('../models/Notification');
+
+/**
+ * Send a user a notification. Never throws - a failed reminder must not break billing.
+ * @param {String} userId
+ * @param {Object} notification - { type, title, message, data }
+ * @returns {Promise<Object|null>} - The stored Notification, or null on failure
+ */
+const notifyUser = async (userId, { type, title, message, data }) => {
+  try {
+    const notification = await Notification.create({ userId, type, title, message, data });
+    console.log(`Notification '${type}' sent to user ${userId}`);
+    return notification;
+  } catch (error) {
+    console.error(`Non-critical: Failed to notify user ${userId} (${type}):`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  notifyUser
+};
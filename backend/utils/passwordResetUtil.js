@@ -0,0 +1,93 @@
+// backend/utils/passwordResetUtil.js
+const User = require('../models/User');
+const authConfig = require('../config/authConfig');
+const mailConfig = require('../config/mailConfig');
+const { sendMail } = require('../services/mail');
+const { passwordResetEmail } = require('../services/mail/templates');
+const { hashToken, createToken } = require('./tokenUtil');
+const { revokeAllSessions } = require('./sessionUtil');
+const { revokeAllApiKeys } = require('./apiKeyUtil');
+
+/**
+ * Forgotten-password resets. The emailed token is stored hashed in User.passwordResetToken,
+ * works once, and expires after authConfig.passwordResetTokenTtlMs.
+ */
+
+/**
+ * Email a password reset link to the account with this address, if there is one.
+ * Callers should answer the same way whatever happens, so the response doesn't reveal
+ * which addresses have accounts.
+ * @param {String} email
+ * @param {Object} [options] - { now }
+ * @returns {Promise<Boolean>} - Whether an email was sent
+ */
+const sendPasswordResetEmail = async (email, { now = new Date() } = {}) => {
+  const ttl = authConfig.passwordResetTokenTtlMs;
+  const { token, hash } = createToken();
+
+  // The previous link's expiry tells us when it was sent
+  const lastSentBefore = new Date(now.getTime() + ttl - authConfig.passwordResetCooldownMs);
+  const user = await User.findOneAndUpdate(
+    {
+      email: String(email).toLowerCase(),
+      $or: [{ passwordResetExpires: { $exists: false } }, { passwordResetExpires: { $lte: lastSentBefore } }]
+    },
+    { $set: { passwordResetToken: hash, passwordResetExpires: new Date(now.getTime() + ttl) } },
+    { new: true }
+  );
+  if (!user) return false;
+
+  try {
+    await sendMail({
+      to: user.email,
+      ...passwordResetEmail({
+        name: user.name,
+        url: `${mailConfig.appUrl}/reset-password/${token}`,
+        expiresInMinutes: Math.round(ttl / (60 * 1000))
+      })
+    });
+  } catch (error) {
+    // Lift the cooldown so the user can ask again straight away
+    await User.updateOne(
+      { _id: user._id, passwordResetToken: hash },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+    ).catch(() => {});
+    throw error;
+  }
+
+  console.log(`Password reset email sent to user ${user._id}`);
+  return true;
+};
+
+/**
+ * Set a new password with a reset token and sign the user out everywhere
+ * @param {String} token - Token from the emailed link
+ * @param {String} password - New password
+ * @returns {Promise<Object|null>} - The updated user, or null if the token is unknown or expired
+ */
+const resetPassword = async (token, password) => {
+  const now = new Date();
+
+  // Use up the token first so two requests can't both redeem it
+  const user = await User.findOneAndUpdate(
+    { passwordResetToken: hashToken(token), passwordResetExpires: { $gt: now } },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+    { new: true }
+  );
+  if (!user) return null;
+
+  user.password = password; // Hashed by the pre-save hook
+  user.sessionsRevokedAt = now;
+  await user.save();
+  const revoked = await revokeAllSessions(user._id, 'password_reset');
+  // Whoever had the account may have made keys for themselves
+  const revokedKeys = await revokeAllApiKeys(user._id);
+
+  console.log(`Password reset for user ${user._id}; ${revoked} sessions and ${revokedKeys} API keys revoked`);
+  return user;
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  resetPassword
+};
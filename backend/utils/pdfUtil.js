@@ -0,0 +1,75 @@
+// backend/utils/pdfUtil.js
+
+/**
+ * Minimal single-page PDF writer for text documents (invoices).
+ * Uses the built-in Helvetica fonts, so no font files or PDF library are needed;
+ * text is limited to the WinAnsi (Latin-1) character set.
+ */
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// Characters outside Latin-1 that commonly appear in our text
+const REPLACEMENTS = { '₹': 'Rs.', '–': '-', '—': '-', '‘': "'", '’': "'", '“': '"', '”': '"', '•': '*' };
+
+const toPdfString = (text) => String(text ?? '')
+  .replace(/[₹–—‘’“”•]/g, ch => REPLACEMENTS[ch])
+  .replace(/[^\x20-\xFF]/g, '?')
+  .replace(/[\\()]/g, ch => `\\${ch}`);
+
+// Approximate Helvetica width, good enough to right-align numbers
+const textWidth = (text, size) => String(text ?? '').length * size * 0.5;
+
+/**
+ * Render a page from drawing operations
+ * @param {Array<Object>} items - Each one of:
+ *   { text, x, y, size = 10, bold = false, align = 'left' | 'right' } - y is measured from the top of the page
+ *   { line: [x1, y1, x2, y2], width = 0.5 }
+ * @param {Object} [info] - { title }
+ * @returns {Buffer}
+ */
+const renderPdf = (items, info = {}) => {
+  const ops = [];
+  items.forEach((item) => {
+    if (item.line) {
+      const [x1, y1, x2, y2] = item.line;
+      ops.push(`${item.width || 0.5} w ${x1} ${PAGE_HEIGHT - y1} m ${x2} ${PAGE_HEIGHT - y2} l S`);
+      return;
+    }
+    const size = item.size || 10;
+    const x = item.align === 'right' ? item.x - textWidth(item.text, size) : item.x;
+    ops.push(`BT /${item.bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${PAGE_HEIGHT - item.y} Td (${toPdfString(item.text)}) Tj ET`);
+  });
+  const content = ops.join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>`,
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Title (${toPdfString(info.title)}) /Producer (CreatorGenius) >>`
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  renderPdf
+};
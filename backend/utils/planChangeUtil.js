@@ -0,0 +1,176 @@
+// backend/utils/planChangeUtil.js
+const Subscription = require('../models/Subscription');
+const payments = require('../services/payments');
+const { getPlanPrice, getPeriodEnd, normalizePaymentMethod, syncUserSubscription } = require('./subscriptionUtil');
+const { notifyUser } = require('./notificationUtil');
+
+/**
+ * Moving a paid subscription between plans.
+ * Upgrades (a higher tier, or the same tier billed yearly instead of monthly) take effect
+ * as soon as they're paid: the unused part of the current period is credited against a
+ * fresh period of the new plan. Downgrades take effect when the current period ends.
+ */
+
+const TIER_RANK = { free: 0, creator_pro: 1, agency_growth: 2 };
+const CYCLE_RANK = { monthly: 1, yearly: 2 };
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Whether moving to a plan is an upgrade or a downgrade (the tier decides; the cycle breaks ties)
+ * @param {Object} subscription - Current Subscription document
+ * @param {Object} plan - Target PricePlan document
+ * @returns {String} - 'upgrade' | 'downgrade' | 'none' (same tier and cycle)
+ */
+const getChangeDirection = (subscription, plan) => {
+  const tierDiff = TIER_RANK[plan.tier] - TIER_RANK[subscription.plan];
+  const cycleDiff = CYCLE_RANK[plan.billingCycle] - CYCLE_RANK[subscription.billingCycle];
+  const diff = tierDiff || cycleDiff;
+  if (!diff) return 'none';
+  return diff > 0 ? 'upgrade' : 'downgrade';
+};
+
+/**
+ * Price a plan change
+ * @param {Object} subscription - Current (active) Subscription document
+ * @param {Object} plan - Target PricePlan document
+ * @param {Object} options
+ * @param {Number} options.paidAmount - What the current period cost (rupees)
+ * @param {Date} [options.now]
+ * @returns {Object} - { direction, listPrice, credit, amountDue, carryover, unusedDays, effectiveAt, periodEnd }
+ */
+const quotePlanChange = (subscription, plan, { paidAmount, now = new Date() }) => {
+  const direction = getChangeDirection(subscription, plan);
+  const listPrice = getPlanPrice(plan, now);
+
+  if (direction !== 'upgrade') {
+    return {
+      direction,
+      listPrice,
+      credit: 0,
+      amountDue: 0,
+      carryover: 0,
+      unusedDays: 0,
+      effectiveAt: subscription.currentPeriodEnd
+    };
+  }
+
+  const periodMs = subscription.currentPeriodEnd - subscription.currentPeriodStart;
+  const unusedMs = Math.min(Math.max(subscription.currentPeriodEnd - now, 0), periodMs);
+  const credit = periodMs > 0 ? roundMoney((paidAmount || 0) * unusedMs / periodMs) : 0;
+
+  let amountDue = roundMoney(Math.max(listPrice - credit, 0));
+  // Razorpay's minimum charge is ₹1
+  if (amountDue > 0 && amountDue < 1) amountDue = 1;
+
+  // Credit worth more than the new plan buys extra time on it rather than being lost
+  const carryover = roundMoney(Math.max(credit - listPrice, 0));
+  let periodEnd = getPeriodEnd(now, plan.billingCycle);
+  if (carryover > 0 && listPrice > 0) {
+    periodEnd = new Date(periodEnd.getTime() + Math.round((periodEnd - now) * carryover / listPrice));
+  }
+
+  return {
+    direction,
+    listPrice,
+    credit,
+    amountDue,
+    carryover,
+    unusedDays: Math.floor(unusedMs / (24 * 60 * 60 * 1000)),
+    effectiveAt: now,
+    periodEnd
+  };
+};
+
+/**
+ * Apply a subscription's pendingChange. Conditional on the change still being pending,
+ * so the Checkout callback, the webhook and the scheduler can't apply it twice.
+ * @param {Object} subscription - Subscription document with pendingChange set
+ * @param {Object} options - { paidAt, paymentMethod, source }
+ * @returns {Promise<Object|null>} - The updated subscription, or null if it was already applied
+ */
+const applyPlanChange = async (subscription, { paidAt = new Date(), paymentMethod, source }) => {
+  const change = subscription.pendingChange;
+  if (!change) return null;
+  const isUpgrade = change.direction === 'upgrade';
+  const from = {
+    plan: subscription.plan,
+    billingCycle: subscription.billingCycle,
+    razorpaySubscriptionId: subscription.razorpaySubscriptionId
+  };
+
+  const set = {
+    plan: change.plan,
+    billingCycle: change.billingCycle,
+    priceId: change.planId.toString(),
+    'metadata.planId': change.planId,
+    'metadata.planName': change.planName,
+    // What the new period is worth, for prorating the next change
+    'metadata.amount': roundMoney(change.listPrice + (isUpgrade ? change.carryover : 0)),
+    'metadata.listPrice': change.listPrice,
+    'metadata.discountAmount': 0
+  };
+  const unset = { pendingChange: 1, discount: 1 };
+
+  if (isUpgrade) {
+    Object.assign(set, {
+      currentPeriodStart: paidAt,
+      currentPeriodEnd: change.periodEnd,
+      lastPaymentDate: paidAt,
+      lastPaymentStatus: 'success'
+    });
+    if (paymentMethod) set.paymentMethod = normalizePaymentMethod(paymentMethod);
+    if (change.razorpayOrderId) set.razorpayOrderId = change.razorpayOrderId;
+    // The replacement gateway subscription (if any) takes over renewals
+    if (change.razorpaySubscriptionId) set.razorpaySubscriptionId = change.razorpaySubscriptionId;
+    else unset.razorpaySubscriptionId = 1;
+  }
+
+  const updated = await Subscription.findOneAndUpdate(
+    { _id: subscription._id, 'pendingChange.requestedAt': change.requestedAt },
+    {
+      $set: set,
+      $unset: unset,
+      $push: {
+        planHistory: {
+          fromPlan: from.plan,
+          fromBillingCycle: from.billingCycle,
+          toPlan: change.plan,
+          toBillingCycle: change.billingCycle,
+          direction: change.direction,
+          credit: change.credit,
+          amountPaid: isUpgrade ? change.amountDue : 0,
+          source,
+          at: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  console.log(`Subscription ${updated._id}: ${from.plan}/${from.billingCycle} -> ${change.plan}/${change.billingCycle} (${change.direction}, ${source})`);
+
+  // The old gateway subscription would keep charging for the old plan
+  if (isUpgrade && from.razorpaySubscriptionId && from.razorpaySubscriptionId !== updated.razorpaySubscriptionId) {
+    await payments.getGateway().cancelSubscription(from.razorpaySubscriptionId, { atCycleEnd: false })
+      .catch(error => console.error(`Non-critical: Failed to cancel replaced gateway subscription ${from.razorpaySubscriptionId}:`, error.message));
+  }
+
+  await syncUserSubscription(updated);
+  await notifyUser(updated.userId, {
+    type: 'subscription_plan_changed',
+    title: `You're now on ${change.planName || change.plan}`,
+    message: isUpgrade
+      ? `Your plan has been upgraded to ${change.planName || change.plan}. The new period runs until ${updated.currentPeriodEnd.toDateString()}.`
+      : `Your plan has changed to ${change.planName || change.plan} as scheduled.`,
+    data: { subscriptionId: updated._id, plan: change.plan, billingCycle: change.billingCycle }
+  });
+  return updated;
+};
+
+module.exports = {
+  getChangeDirection,
+  quotePlanChange,
+  applyPlanChange
+};
@@ -0,0 +1,96 @@
+// backend/utils/planUtil.js
+const PricePlan = require('../models/PricePlan');
+const defaultLimits = require('../config/limitConfig');
+
+/**
+ * Plan limit lookups. PricePlan documents are the source of truth for usage limits;
+ * config/limitConfig.js only provides the defaults that scripts/setupPlans.js seeds,
+ * and a fallback if a tier has no active plan (e.g. a fresh database) or its plan leaves
+ * a limit out. A plan lifts a limit only by setting it to -1 explicitly.
+ */
+
+// Limits are read on every limited request, so keep them briefly in memory
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map(); // tier -> { limits, plan, expiresAt }
+
+const warnedTiers = new Set();
+
+const LIMIT_TYPES = ['daily', 'monthly', 'permanent'];
+
+// A plan's limits, with the tier's limitConfig defaults for any key it doesn't set
+const withDefaults = (tierDefaults = {}, planLimits = {}) => Object.fromEntries(
+  LIMIT_TYPES.map(limitType => [limitType, { ...(tierDefaults[limitType] || {}), ...(planLimits[limitType] || {}) }])
+);
+
+/**
+ * The plan whose limits apply to a tier: the active plan with the lowest sortOrder
+ * @param {String} tier - 'free' | 'creator_pro' | 'agency_growth'
+ * @returns {Promise<Object|null>} - Lean PricePlan document
+ */
+const getActivePlanForTier = (tier) => {
+  return PricePlan.findOne({ tier, isActive: true }).sort({ sortOrder: 1 }).lean();
+};
+
+/**
+ * Usage limits for a tier
+ * @param {String} tier - Subscription tier (defaults to 'free')
+ * @returns {Promise<Object>} - { daily, monthly, permanent } keyed by limitConfig feature key
+ */
+const getTierLimits = async (tier = 'free') => {
+  const key = tier || 'free';
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.limits;
+
+  const plan = await getActivePlanForTier(key);
+  let limits;
+
+  if (plan && plan.limits) {
+    limits = withDefaults(defaultLimits[key], plan.limits);
+    warnedTiers.delete(key);
+  } else {
+    if (!warnedTiers.has(key)) {
+      console.warn(`WARN: No active PricePlan with limits for tier '${key}'. Falling back to config/limitConfig.js defaults - run scripts/setupPlans.js.`);
+      warnedTiers.add(key);
+    }
+    limits = withDefaults(defaultLimits[key]);
+  }
+
+  cache.set(key, { limits, expiresAt: Date.now() + CACHE_TTL_MS });
+  return limits;
+};
+
+/**
+ * Whether a limit value means no limit: -1 (or any negative) or not set. 0 blocks the feature.
+ * @param {Number|undefined} limit
+ * @returns {Boolean}
+ */
+const isUnlimited = (limit) => limit === undefined || limit === null || limit < 0;
+
+/**
+ * A single limit value (-1 = unlimited, 0 = not available, undefined = not limited)
+ * @param {String} tier
+ * @param {String} limitType - 'daily' | 'monthly' | 'permanent'
+ * @param {String} featureKey
+ * @returns {Promise<Number|undefined>}
+ */
+const getLimit = async (tier, limitType, featureKey) => {
+  const limits = await getTierLimits(tier);
+  return limits[limitType]?.[featureKey];
+};
+
+/**
+ * Drop cached limits (call after a plan is created, edited, activated or deactivated)
+ * @param {String} [tier] - Only clear this tier
+ */
+const invalidatePlanCache = (tier) => {
+  if (tier) cache.delete(tier);
+  else cache.clear();
+};
+
+module.exports = {
+  getActivePlanForTier,
+  getTierLimits,
+  getLimit,
+  isUnlimited,
+  invalidatePlanCache
+};
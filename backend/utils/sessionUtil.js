@@ -0,0 +1,198 @@
+// backend/utils/sessionUtil.js
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const authConfig = require('../config/authConfig');
+const { hashToken, createToken } = require('./tokenUtil');
+const { notifyUser } = require('./notificationUtil');
+const { recordLoginSuccess } = require('./loginThrottleUtil');
+
+/**
+ * Login sessions.
+ * A login creates a Session and returns a short-lived access token (JWT carrying the session id
+ * as `sid`) plus a refresh token "<sessionId>.<secret>". Each refresh swaps the secret for a new
+ * one; a rotated-out secret presented again means someone else has a copy, so the session is revoked.
+ */
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { id: userId, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: authConfig.accessTokenTtl }
+);
+
+// Split "<sessionId>.<secret>"; null if it isn't shaped like a refresh token
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret, extra] = String(refreshToken || '').split('.');
+  if (extra !== undefined || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+// Tokens returned to the client after a login or refresh
+const buildTokens = (userId, sessionId, secret) => {
+  const token = signAccessToken(userId, sessionId);
+  return {
+    token,
+    tokenExpiresAt: new Date(jwt.decode(token).exp * 1000),
+    refreshToken: `${sessionId}.${secret}`,
+    sessionId
+  };
+};
+
+const clientDetails = (req) => ({
+  userAgent: req.get?.('user-agent'),
+  ip: req.ip
+});
+
+/**
+ * Start a session for a user who has just authenticated
+ * @param {String} userId
+ * @param {Object} req - Express request (device details are recorded)
+ * @returns {Promise<Object>} - { token, tokenExpiresAt, refreshToken, sessionId }
+ */
+const createSession = async (userId, req) => {
+  const { token: secret, hash } = createToken();
+  const session = await Session.create({
+    userId,
+    tokenHash: hash,
+    expiresAt: new Date(Date.now() + authConfig.refreshTokenTtlMs),
+    ...clientDetails(req)
+  });
+  return buildTokens(userId, session._id, secret);
+};
+
+/**
+ * Finish a successful login (password, plus the second factor if the account has one):
+ * clear failed-attempt throttling, record lastLoginAt and start a session
+ * @param {Object} user - User document (needs _id and email)
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - Tokens as from createSession
+ */
+const completeLogin = async (user, req) => {
+  await recordLoginSuccess({ email: user.email, ip: req.ip });
+  await User.updateOne({ _id: user._id }, { $set: { lastLoginAt: new Date() } });
+  return createSession(user._id, req);
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {String} refreshToken
+ * @param {Object} req - Express request (device details are updated)
+ * @returns {Promise<Object>} - Tokens as from createSession, or { error, reuseDetected }
+ */
+const refreshSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'Invalid refresh token.' };
+
+  const now = new Date();
+  const presentedHash = hashToken(parsed.secret);
+  const { token: secret, hash } = createToken();
+
+  const session = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, tokenHash: presentedHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hash,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + authConfig.refreshTokenTtlMs),
+        ...clientDetails(req)
+      },
+      $push: { usedTokenHashes: { $each: [presentedHash], $slice: -authConfig.usedRefreshTokensKept } }
+    },
+    { new: true }
+  );
+  if (session) return buildTokens(session.userId, session._id, secret);
+
+  // An old token from this session: whoever holds the current one may not be the user
+  const reused = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, usedTokenHashes: presentedHash, revokedAt: { $exists: false } },
+    { $set: { revokedAt: now, revokedReason: 'reuse_detected' } }
+  );
+  if (reused) {
+    console.warn(`Refresh token reuse detected for session ${reused._id} (user ${reused.userId}, from ${req.ip}); session revoked`);
+    await notifyUser(reused.userId, {
+      type: 'security_session_revoked',
+      title: 'We signed out one of your devices',
+      message: 'An old sign-in token for one of your devices was used again, so that device has been signed out. If this wasn\'t you, change your password.',
+      data: { sessionId: reused._id }
+    });
+    return { error: 'This session has been revoked. Please log in again.', reuseDetected: true };
+  }
+
+  return { error: 'Invalid or expired refresh token.' };
+};
+
+/**
+ * End one session
+ * @param {Object} filter - { _id, userId } or { _id, tokenHash }
+ * @param {String} reason - Session.revokedReason
+ * @returns {Promise<Boolean>} - Whether a live session was revoked
+ */
+const revokeSession = async (filter, reason) => {
+  const result = await Session.updateOne(
+    { ...filter, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * End the session a refresh token belongs to (logging out)
+ * @param {String} refreshToken
+ * @returns {Promise<Boolean>}
+ */
+const revokeSessionByRefreshToken = (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return Promise.resolve(false);
+  return revokeSession({ _id: parsed.sessionId, tokenHash: hashToken(parsed.secret) }, 'logout');
+};
+
+/**
+ * End every session a user has
+ * @param {String} userId
+ * @param {String} reason - Session.revokedReason
+ * @returns {Promise<Number>} - Sessions revoked
+ */
+const revokeAllSessions = async (userId, reason) => {
+  const result = await Session.updateMany(
+    { userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Whether the session an access token was issued for is still live
+ * @param {String} sessionId
+ * @returns {Promise<Boolean>}
+ */
+const isSessionActive = async (sessionId) => Boolean(await Session.exists({
+  _id: sessionId,
+  revokedAt: { $exists: false },
+  expiresAt: { $gt: new Date() }
+}));
+
+/**
+ * A user's live sessions, most recently used first
+ * @param {String} userId
+ * @returns {Promise<Array>}
+ */
+const listSessions = (userId) => Session.find({
+  userId,
+  revokedAt: { $exists: false },
+  expiresAt: { $gt: new Date() }
+})
+  .sort({ lastUsedAt: -1 })
+  .select('userAgent ip createdAt lastUsedAt expiresAt')
+  .lean();
+
+module.exports = {
+  createSession,
+  completeLogin,
+  refreshSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+  isSessionActive,
+  listSessions
+};
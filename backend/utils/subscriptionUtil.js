@@ -0,0 +1,173 @@
+// backend/utils/subscriptionUtil.js
+const User = require('../models/User');
+const paymentConfig = require('../config/paymentConfig');
+const { addMonths } = require('./timezoneUtil');
+const { redeemCoupon } = require('./couponUtil');
+const { recordTrialConversion } = require('./trialUtil');
+
+/**
+ * Helpers for moving Subscription documents (and the user's tier) through their lifecycle
+ */
+
+// Payment methods the Subscription model records as-is; anything else is 'other'
+const KNOWN_PAYMENT_METHODS = ['card', 'netbanking', 'upi', 'wallet', 'emi'];
+
+/**
+ * Price a plan is currently sold at, in rupees (discounted while the offer is valid)
+ * @param {Object} plan - PricePlan document
+ * @param {Date} now
+ * @returns {Number}
+ */
+const getPlanPrice = (plan, now = new Date()) => {
+  const discount = plan.discountedPrice;
+  if (discount && discount.amount !== undefined && discount.amount !== null &&
+      (!discount.validUntil || discount.validUntil > now)) {
+    return discount.amount;
+  }
+  return plan.price?.amount || 0;
+};
+
+/**
+ * End of a billing period that starts at `start`
+ * @param {Date} start
+ * @param {String} billingCycle - 'monthly' | 'yearly'
+ * @returns {Date}
+ */
+const getPeriodEnd = (start, billingCycle) => addMonths(start, billingCycle === 'yearly' ? 12 : 1);
+
+const normalizePaymentMethod = (method) => (KNOWN_PAYMENT_METHODS.includes(method) ? method : 'other');
+
+/**
+ * Change a subscription's status and record the transition in its statusHistory (caller saves)
+ * @param {Object} subscription - Subscription document
+ * @param {String} status - New status
+ * @param {Object} options - { reason, source: 'user' | 'checkout' | 'webhook' | 'scheduler' | 'admin' }
+ * @returns {Boolean} - Whether the status changed
+ */
+const setSubscriptionStatus = (subscription, status, { reason, source }) => {
+  const from = subscription.isNew ? undefined : subscription.status;
+  if (from === status) return false;
+
+  subscription.status = status;
+  subscription.statusHistory.push({ from, to: status, reason, source, at: new Date() });
+  console.log(`Subscription ${subscription._id}: ${from || 'new'} -> ${status} (${reason}, ${source})`);
+  return true;
+};
+
+/**
+ * Copy a subscription's tier and status onto its user
+ * @param {Object} subscription - Subscription document
+ */
+const syncUserSubscription = async (subscription) => {
+  const isActive = ['active', 'past_due', 'trialing'].includes(subscription.status);
+  const update = isActive
+    ? {
+        subscriptionTier: subscription.plan,
+        subscriptionStatus: subscription.status,
+        subscriptionEndDate: subscription.currentPeriodEnd
+      }
+    : {
+        subscriptionTier: 'free',
+        subscriptionStatus: subscription.status === 'cancelled' ? 'cancelled' : 'inactive',
+        subscriptionEndDate: subscription.cancelledAt || subscription.currentPeriodEnd
+      };
+
+  await User.updateOne({ _id: subscription.userId }, { $set: update });
+  console.log(`User ${subscription.userId} subscription synced: ${update.subscriptionTier} (${update.subscriptionStatus})`);
+};
+
+/**
+ * Mark a subscription as paid for a new period and upgrade the user
+ * @param {Object} subscription - Subscription document
+ * @param {Object} options - { paidAt, paymentMethod, periodStart, periodEnd, reason, source }
+ *   periodStart/periodEnd - Period reported by the gateway (recurring subscriptions); computed when omitted
+ *   reason/source - Recorded in statusHistory if the status changes
+ * @returns {Promise<Object>} - The saved subscription
+ */
+const activateSubscription = async (subscription, {
+  paidAt = new Date(), paymentMethod, periodStart, periodEnd, reason = 'payment_received', source
+} = {}) => {
+  // A renewal paid before the current period ends extends it rather than overlapping it
+  const start = periodStart || (subscription.status === 'active' && subscription.currentPeriodEnd > paidAt
+    ? subscription.currentPeriodEnd
+    : paidAt);
+
+  if (subscription.status === 'pending') subscription.startDate = paidAt;
+  setSubscriptionStatus(subscription, 'active', { reason, source });
+  subscription.graceEndsAt = undefined;
+  subscription.currentPeriodStart = start;
+  subscription.currentPeriodEnd = periodEnd || getPeriodEnd(start, subscription.billingCycle);
+  subscription.lastPaymentDate = paidAt;
+  subscription.lastPaymentStatus = 'success';
+  if (paymentMethod) subscription.paymentMethod = normalizePaymentMethod(paymentMethod);
+
+  // The discounted payment went through, so the coupon use now counts
+  await redeemCoupon(subscription);
+
+  await subscription.save();
+  await syncUserSubscription(subscription);
+  await recordTrialConversion(subscription, paidAt);
+  return subscription;
+};
+
+/**
+ * Move an active subscription to past_due; the user keeps their tier until graceEndsAt
+ * @param {Object} subscription - Subscription document
+ * @param {Object} options - { reason, source, now }
+ * @returns {Promise<Object>} - The saved subscription
+ */
+const startGracePeriod = async (subscription, { reason, source, now = new Date() }) => {
+  setSubscriptionStatus(subscription, 'past_due', { reason, source });
+  subscription.graceEndsAt = new Date(now.getTime() + paymentConfig.gracePeriodDays * 24 * 60 * 60 * 1000);
+
+  await subscription.save();
+  await syncUserSubscription(subscription);
+  return subscription;
+};
+
+/**
+ * Public view of a subscription for API responses
+ * @param {Object} subscription - Subscription document
+ * @returns {Object}
+ */
+const serializeSubscription = (subscription) => ({
+  id: subscription._id,
+  plan: subscription.plan,
+  planName: subscription.metadata?.planName,
+  status: subscription.status,
+  billingCycle: subscription.billingCycle,
+  startDate: subscription.startDate,
+  currentPeriodStart: subscription.currentPeriodStart,
+  currentPeriodEnd: subscription.currentPeriodEnd,
+  cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+  cancelledAt: subscription.cancelledAt,
+  graceEndsAt: subscription.graceEndsAt,
+  paymentMethod: subscription.paymentMethod,
+  lastPaymentDate: subscription.lastPaymentDate,
+  lastPaymentStatus: subscription.lastPaymentStatus,
+  recurring: Boolean(subscription.razorpaySubscriptionId),
+  isFree: subscription.plan === 'free',
+  isTrial: Boolean(subscription.metadata?.trial),
+  // Downgrade waiting for the period to end (unpaid upgrades aren't shown)
+  scheduledChange: subscription.pendingChange?.direction === 'downgrade'
+    ? {
+        plan: subscription.pendingChange.plan,
+        planName: subscription.pendingChange.planName,
+        billingCycle: subscription.pendingChange.billingCycle,
+        effectiveAt: subscription.pendingChange.effectiveAt
+      }
+    : null,
+  statusHistory: subscription.statusHistory,
+  planHistory: subscription.planHistory
+});
+
+module.exports = {
+  getPlanPrice,
+  getPeriodEnd,
+  normalizePaymentMethod,
+  setSubscriptionStatus,
+  syncUserSubscription,
+  activateSubscription,
+  startGracePeriod,
+  serializeSubscription
+};
@@ -0,0 +1,146 @@
+// backend/utils/timezoneUtil.js
+
+/**
+ * Calendar helpers for IANA timezones (e.g. 'Asia/Kolkata') using only Intl,
+ * so day/month boundaries follow the user's clock rather than the server's (UTC).
+ */
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const formatterCache = {};
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache[timeZone]) {
+    formatterCache[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    });
+  }
+  return formatterCache[timeZone];
+};
+
+/**
+ * Check that a string is a timezone Intl understands
+ * @param {String} timeZone - IANA name, e.g. 'Asia/Kolkata'
+ * @returns {Boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} date
+ * @param {String} timeZone
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return parts;
+};
+
+// Offset (ms) of a timezone from UTC at the given instant
+const getOffsetMs = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * The instant at which a wall-clock midnight occurs in a timezone
+ * @param {Number} year
+ * @param {Number} month - 1-12 (overflow rolls into the next year)
+ * @param {Number} day - Day of month (overflow rolls into the next month)
+ * @param {String} timeZone
+ * @returns {Date}
+ */
+const zonedMidnight = (year, month, day, timeZone) => {
+  const guess = new Date(Date.UTC(year, month - 1, day));
+  // Two passes settle the offset across DST transitions
+  let result = new Date(guess.getTime() - getOffsetMs(guess, timeZone));
+  result = new Date(guess.getTime() - getOffsetMs(result, timeZone));
+  return result;
+};
+
+/**
+ * Start of the current day and the next midnight in a timezone
+ * @param {Date} now
+ * @param {String} timeZone
+ * @returns {Object} - { start, end }
+ */
+const getDayWindow = (now, timeZone) => {
+  const { year, month, day } = getZonedParts(now, timeZone);
+  return {
+    start: zonedMidnight(year, month, day, timeZone),
+    end: zonedMidnight(year, month, day + 1, timeZone)
+  };
+};
+
+/**
+ * First day of the current calendar month and of the next one in a timezone
+ * @param {Date} now
+ * @param {String} timeZone
+ * @returns {Object} - { start, end }
+ */
+const getCalendarMonthWindow = (now, timeZone) => {
+  const { year, month } = getZonedParts(now, timeZone);
+  return {
+    start: zonedMidnight(year, month, 1, timeZone),
+    end: zonedMidnight(year, month + 1, 1, timeZone)
+  };
+};
+
+/**
+ * Add calendar months to an instant, clamping to the end of shorter months
+ * (31 Jan + 1 month = 28/29 Feb, same time of day)
+ * @param {Date} date
+ * @param {Number} months
+ * @returns {Date}
+ */
+const addMonths = (date, months) => {
+  const result = new Date(date.getTime());
+  const targetMonth = result.getUTCMonth() + months;
+  const targetYear = result.getUTCFullYear() + Math.floor(targetMonth / 12);
+  const normalizedMonth = ((targetMonth % 12) + 12) % 12;
+  const lastDay = new Date(Date.UTC(targetYear, normalizedMonth + 1, 0)).getUTCDate();
+  result.setUTCFullYear(targetYear, normalizedMonth, Math.min(date.getUTCDate(), lastDay));
+  return result;
+};
+
+/**
+ * The monthly window containing `now` for months counted from an anchor date
+ * (e.g. a billing cycle that started on the 17th runs 17th -> 17th)
+ * @param {Date} anchor
+ * @param {Date} now
+ * @returns {Object} - { start, end }
+ */
+const getAnchoredMonthWindow = (anchor, now) => {
+  let months = (now.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + (now.getUTCMonth() - anchor.getUTCMonth());
+  if (addMonths(anchor, months) > now) months -= 1;
+  if (months < 0) months = 0;
+  return {
+    start: addMonths(anchor, months),
+    end: addMonths(anchor, months + 1)
+  };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getDayWindow,
+  getCalendarMonthWindow,
+  getAnchoredMonthWindow,
+  addMonths
+};
@@ -0,0 +1,22 @@
+// backend/utils/tokenUtil.js
+const crypto = require('crypto');
+
+/**
+ * Single-use tokens sent to users (email verification links and the like).
+ * Only the SHA-256 hash is stored, so a leaked database can't be used to redeem them.
+ */
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * @returns {Object} - { token, hash } - send the token, store the hash
+ */
+const createToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: hashToken(token) };
+};
+
+module.exports = {
+  hashToken,
+  createToken
+};
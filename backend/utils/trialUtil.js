@@ -0,0 +1,124 @@
+// backend/utils/trialUtil.js
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const paymentConfig = require('../config/paymentConfig');
+
+/**
+ * Free trials of a paid tier (paymentConfig.trial).
+ * A trial is a 'trialing' Subscription for the trial tier plus User.trial, which records
+ * how it ended ('converted' when the user paid for a plan, 'expired' otherwise) for the admin metrics.
+ * The billing scheduler ends trials that run out.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const trialPlanName = (tier) => `${tier.split('_').map(word => word[0].toUpperCase() + word.slice(1)).join(' ')} trial`;
+
+/**
+ * Start a user's trial. Only free users who have never had one are eligible.
+ * @param {String} userId
+ * @param {Object} options - { source: 'registration' | 'request' | 'admin', now }
+ * @returns {Promise<Object>} - { subscription } or { error }
+ */
+const startTrial = async (userId, { source, now = new Date() }) => {
+  const { enabled, tier, days } = paymentConfig.trial;
+  if (!enabled) return { error: 'Free trials are not available right now.' };
+
+  const endsAt = new Date(now.getTime() + days * DAY_MS);
+
+  // Claim the user's one trial
+  const user = await User.findOneAndUpdate(
+    { _id: userId, subscriptionTier: 'free', 'trial.startedAt': { $exists: false } },
+    { $set: { trial: { startedAt: now, endsAt, source } } },
+    { new: true }
+  );
+  if (!user) {
+    const exists = await User.exists({ _id: userId, 'trial.startedAt': { $exists: true } });
+    return { error: exists ? 'You have already used your free trial.' : 'Free trials are only available on the Free plan.' };
+  }
+
+  try {
+    const subscription = await Subscription.create({
+      userId,
+      plan: tier,
+      billingCycle: 'none',
+      status: 'trialing',
+      startDate: now,
+      currentPeriodStart: now,
+      currentPeriodEnd: endsAt,
+      metadata: { trial: true, planName: trialPlanName(tier) },
+      statusHistory: [{ to: 'trialing', reason: 'trial_started', source: source === 'admin' ? 'admin' : 'user', at: now }]
+    });
+    await User.updateOne(
+      { _id: userId },
+      { $set: { subscriptionTier: tier, subscriptionStatus: 'trialing', subscriptionEndDate: endsAt } }
+    );
+
+    console.log(`Trial of ${tier} started for user ${userId} (${source}) until ${endsAt.toISOString()}`);
+    return { subscription };
+  } catch (error) {
+    // Give the trial back rather than leave it used up with nothing to show for it
+    await User.updateOne({ _id: userId }, { $unset: { trial: 1 } }).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Count a paid activation as a trial conversion and close the trial. Never throws -
+ * it runs after the payment has been applied.
+ * @param {Object} subscription - The paid Subscription just activated
+ * @param {Date} [paidAt]
+ * @returns {Promise<Boolean>} - Whether a conversion was recorded
+ */
+const recordTrialConversion = async (subscription, paidAt = new Date()) => {
+  if (subscription.metadata?.trial) return false;
+
+  try {
+    await Subscription.updateOne(
+      { userId: subscription.userId, status: 'trialing' },
+      {
+        $set: { status: 'completed' },
+        $push: { statusHistory: { from: 'trialing', to: 'completed', reason: 'trial_converted', source: 'checkout', at: paidAt } }
+      }
+    );
+
+    const windowStart = new Date(paidAt.getTime() - paymentConfig.trial.conversionWindowDays * DAY_MS);
+    const result = await User.updateOne(
+      {
+        _id: subscription.userId,
+        'trial.startedAt': { $exists: true },
+        'trial.endsAt': { $gte: windowStart },
+        'trial.outcome': { $ne: 'converted' }
+      },
+      {
+        $set: {
+          'trial.outcome': 'converted',
+          'trial.convertedAt': paidAt,
+          'trial.convertedPlan': subscription.plan
+        },
+        $min: { 'trial.endedAt': paidAt }
+      }
+    );
+    if (result.modifiedCount) console.log(`Trial converted: user ${subscription.userId} bought ${subscription.plan}`);
+    return result.modifiedCount > 0;
+  } catch (error) {
+    console.error(`Non-critical: Failed to record trial conversion for user ${subscription.userId}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Record that a user's trial ran out without a purchase
+ * @param {String} userId
+ * @param {Date} [now]
+ */
+const recordTrialExpiry = (userId, now = new Date()) => User.updateOne(
+  { _id: userId, 'trial.startedAt': { $exists: true }, 'trial.outcome': { $exists: false } },
+  { $set: { 'trial.outcome': 'expired', 'trial.endedAt': now } }
+);
+
+module.exports = {
+  startTrial,
+  recordTrialConversion,
+  recordTrialExpiry
+};
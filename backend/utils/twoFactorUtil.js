@@ -0,0 +1,212 @@
+// backend/utils/twoFactorUtil.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const authConfig = require('../config/authConfig');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('./totpUtil');
+const { hashToken } = require('./tokenUtil');
+
+/**
+ * TOTP two-factor authentication (User.twoFactor).
+ * With 2FA on, a correct password earns a short-lived challenge token rather than a session;
+ * the session is only started once POST /api/auth/2fa/verify accepts a code. Admins must enrol:
+ * their password earns an enrolment challenge that only works for the 2FA setup endpoints.
+ */
+
+const CHALLENGE_PURPOSES = {
+  verify: '2fa_verify', // Password accepted, code still needed
+  enroll: '2fa_enroll'  // Password accepted, 2FA must be set up first (admins)
+};
+
+const BACKUP_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'; // No 0/o, 1/l/i
+
+const isTwoFactorRequired = (user) => user.role === 'admin';
+
+/**
+ * @param {String} userId
+ * @param {String} type - 'verify' | 'enroll'
+ * @returns {String}
+ */
+const signChallengeToken = (userId, type) => jwt.sign(
+  { id: userId, purpose: CHALLENGE_PURPOSES[type] },
+  process.env.JWT_SECRET,
+  { expiresIn: authConfig.twoFactor.challengeTtl }
+);
+
+/**
+ * @param {String} token
+ * @param {String} type - 'verify' | 'enroll'
+ * @returns {Object|null} - Decoded payload ({ id, purpose, iat }), or null if invalid, expired or for another purpose
+ */
+const verifyChallengeToken = (token, type) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSES[type] ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Backup codes are compared without case, spaces or dashes
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+// Fresh set of backup codes: the plain codes (shown once) and what gets stored
+const generateBackupCodes = () => {
+  const codes = [];
+  for (let i = 0; i < authConfig.twoFactor.backupCodeCount; i++) {
+    const chars = Array.from(crypto.randomBytes(10), byte => BACKUP_CODE_ALPHABET[byte % BACKUP_CODE_ALPHABET.length]).join('');
+    codes.push(`${chars.slice(0, 5)}-${chars.slice(5)}`);
+  }
+  return { codes, stored: codes.map(code => ({ hash: hashToken(normalizeBackupCode(code)) })) };
+};
+
+/**
+ * Begin setting up 2FA: create a secret for the user's authenticator app.
+ * Nothing changes for the user until confirmEnrollment accepts a code from it.
+ * @param {String} userId
+ * @returns {Promise<Object>} - { secret, otpauthUri } or { error }
+ */
+const startEnrollment = async (userId) => {
+  const user = await User.findById(userId).select('email twoFactor.enabled');
+  if (!user) return { error: 'User not found.' };
+  if (user.twoFactor?.enabled) return { error: 'Two-factor authentication is already enabled.' };
+
+  const secret = generateSecret();
+  await User.updateOne({ _id: userId }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: authConfig.twoFactor.issuer })
+  };
+};
+
+/**
+ * Turn 2FA on once the user proves their app produces the right codes
+ * @param {String} userId
+ * @param {String} code - Current code from the app
+ * @returns {Promise<Object>} - { backupCodes } (plain, shown to the user once) or { error }
+ */
+const confirmEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.pendingSecret twoFactor.enabled');
+  if (!user) return { error: 'User not found.' };
+  if (user.twoFactor?.enabled) return { error: 'Two-factor authentication is already enabled.' };
+  const secret = user.twoFactor?.pendingSecret;
+  if (!secret) return { error: 'Start two-factor setup first.' };
+
+  const step = verifyCode(secret, code, { window: authConfig.twoFactor.allowedDriftSteps });
+  if (step === null) return { error: 'That code is not valid. Check the time on your device and try again.' };
+
+  const { codes, stored } = generateBackupCodes();
+  const result = await User.updateOne(
+    { _id: userId, 'twoFactor.enabled': { $ne: true }, 'twoFactor.pendingSecret': secret },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.secret': secret,
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.backupCodes': stored
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    }
+  );
+  if (!result.modifiedCount) return { error: 'Two-factor setup changed while confirming. Please start again.' };
+
+  console.log(`Two-factor authentication enabled for user ${userId}`);
+  return { backupCodes: codes };
+};
+
+/**
+ * Check a second-factor code: a current authenticator code (each one works once)
+ * or an unused backup code (used up by this call)
+ * @param {String} userId
+ * @param {String} code
+ * @param {Date} [now]
+ * @returns {Promise<Object>} - { ok: true, method: 'totp' | 'backup_code' } or { ok: false, error }
+ */
+const verifySecondFactor = async (userId, code, now = new Date()) => {
+  const user = await User.findById(userId).select('+twoFactor.secret twoFactor.enabled');
+  if (!user?.twoFactor?.enabled) return { ok: false, error: 'Two-factor authentication is not enabled.' };
+
+  const step = verifyCode(user.twoFactor.secret, code, { window: authConfig.twoFactor.allowedDriftSteps, now });
+  if (step !== null) {
+    const result = await User.updateOne(
+      { _id: userId, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': { $exists: false } }] },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount
+      ? { ok: true, method: 'totp' }
+      : { ok: false, error: 'That code has already been used. Wait for the next one.' };
+  }
+
+  const result = await User.updateOne(
+    { _id: userId, 'twoFactor.backupCodes': { $elemMatch: { hash: hashToken(normalizeBackupCode(code)), usedAt: { $exists: false } } } },
+    { $set: { 'twoFactor.backupCodes.$.usedAt': now } }
+  );
+  if (result.modifiedCount) {
+    console.log(`Backup code used by user ${userId}`);
+    return { ok: true, method: 'backup_code' };
+  }
+  return { ok: false, error: 'Invalid code.' };
+};
+
+/**
+ * Replace the user's backup codes (all earlier ones stop working)
+ * @param {String} userId
+ * @returns {Promise<Array>} - The new plain codes
+ */
+const regenerateBackupCodes = async (userId) => {
+  const { codes, stored } = generateBackupCodes();
+  await User.updateOne({ _id: userId, 'twoFactor.enabled': true }, { $set: { 'twoFactor.backupCodes': stored } });
+  console.log(`Backup codes regenerated for user ${userId}`);
+  return codes;
+};
+
+/**
+ * Turn 2FA off and forget the secret and backup codes
+ * @param {String} userId
+ */
+const disableTwoFactor = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.enabledAt': 1,
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.backupCodes': 1
+      }
+    }
+  );
+  console.log(`Two-factor authentication disabled for user ${userId}`);
+};
+
+/**
+ * 2FA state for the settings screen
+ * @param {String} userId
+ * @returns {Promise<Object|null>} - { enabled, enabledAt, required, backupCodesRemaining }
+ */
+const getTwoFactorStatus = async (userId) => {
+  const user = await User.findById(userId).select('role twoFactor.enabled twoFactor.enabledAt +twoFactor.backupCodes');
+  if (!user) return null;
+  return {
+    enabled: Boolean(user.twoFactor?.enabled),
+    enabledAt: user.twoFactor?.enabledAt,
+    required: isTwoFactorRequired(user),
+    backupCodesRemaining: (user.twoFactor?.backupCodes || []).filter(code => !code.usedAt).length
+  };
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  signChallengeToken,
+  verifyChallengeToken,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  getTwoFactorStatus
+};
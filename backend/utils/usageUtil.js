@@ -1,46 +1,78 @@
 // backend/utils/usageUtil.js
 const User = require('../models/User');
-const limitConfig = require('../config/limitConfig');
+const UsageEvent = require('../models/UsageEvent');
+const Subscription = require('../models/Subscription');
+const { getLimit, isUnlimited } = require('./planUtil');
+const { isCreditFeature, spendCredit, refundCredit } = require('./creditUtil');
+const {
+  DEFAULT_TIMEZONE,
+  getDayWindow,
+  getCalendarMonthWindow,
+  getAnchoredMonthWindow
+} = require('./timezoneUtil');
 
 /**
  * Utility functions for managing user usage limits
  */
 
-// Check if date is before today (for daily reset)
-const isBeforeToday = (date) => {
-  if (!date) return true;
-  const today = new Date();
-  today.setHours(0, 0, 0, 0); // Start of today
-  return new Date(date) < today;
+// Subscriptions whose billing period drives the monthly usage window
+const getBillingSubscription = (user, now) => {
+  if (!user.subscriptionTier || user.subscriptionTier === 'free') return null;
+  return Subscription.findOne({
+    userId: user._id,
+    plan: user.subscriptionTier,
+    currentPeriodStart: { $lte: now }
+  })
+    .sort({ currentPeriodStart: -1 })
+    .select('billingCycle currentPeriodStart currentPeriodEnd')
+    .lean();
 };
 
-// Check if date was before current month (for monthly reset)
-const isBeforeCurrentMonth = (date) => {
-  if (!date) return true;
-  const today = new Date();
-  const firstDayOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
-  return new Date(date) < firstDayOfMonth;
+/**
+ * Work out the current daily and monthly usage windows for a user.
+ * Daily windows run midnight to midnight in the user's timezone (preferences.timezone).
+ * Monthly windows follow the subscription's billing period; free users get calendar months
+ * in their timezone.
+ * @param {Object} user - User document (needs _id, subscriptionTier, preferences)
+ * @param {Date} now - Defaults to the current time
+ * @returns {Promise<Object>} - { timezone, daily: { start, end }, monthly: { start, end }, monthlyBasis }
+ */
+const getUsageWindows = async (user, now = new Date()) => {
+  const timezone = user.preferences?.timezone || DEFAULT_TIMEZONE;
+  const daily = getDayWindow(now, timezone);
+
+  const subscription = await getBillingSubscription(user, now);
+  if (!subscription) {
+    return { timezone, daily, monthly: getCalendarMonthWindow(now, timezone), monthlyBasis: 'calendar_month' };
+  }
+
+  const { billingCycle, currentPeriodStart, currentPeriodEnd } = subscription;
+  const monthly = billingCycle === 'monthly' && currentPeriodEnd && now < currentPeriodEnd
+    ? { start: currentPeriodStart, end: currentPeriodEnd }
+    // Yearly plans still get monthly allowances, counted from the period start.
+    // Also covers a monthly period the gateway hasn't renewed yet.
+    : getAnchoredMonthWindow(currentPeriodStart, now);
+
+  return { timezone, daily, monthly, monthlyBasis: 'billing_cycle' };
 };
 
-// Check if subscription renewal date has passed (for subscription-based reset)
-const isAfterRenewalDate = (lastReset, renewalDay) => {
-  if (!lastReset) return true;
-  
-  const today = new Date();
-  const lastResetDate = new Date(lastReset);
-  
-  // If it's been over a month since last reset
-  if (today.getMonth() !== lastResetDate.getMonth() || 
-      today.getFullYear() !== lastResetDate.getFullYear()) {
-    
-    // If today is >= the renewal day, or we're in a different month
-    if (today.getDate() >= renewalDay || 
-        today.getMonth() !== lastResetDate.getMonth()) {
-      return true;
-    }
+// Mappings between limitConfig feature keys and User.usage field names
+const FIELD_MAPPINGS = {
+  daily: {
+    'searchQueries': 'dailySearchCount',
+    'seoAnalyses': 'dailySeoAnalyses',
+    'trendIdeations': 'dailyTrendIdeations',
+    'insightsSaved': 'dailyInsightsSaved',
+    'scriptGeneration': 'dailyScriptsGenerated'
+  },
+  monthly: {
+    'contentIdeations': 'ideationsThisMonth',
+    'refinements': 'refinementsThisMonth',
+    'scriptGeneration': 'scriptsGeneratedThisMonth',
+    'scriptTransformations': 'scriptTransformationsThisMonth',
+    'seoReports': 'seoReportsThisMonth',
+    'insights': 'insightsSavedThisMonth'
   }
-  
-  return false;
 };
 
 /**
@@ -48,26 +80,23 @@ const isAfterRenewalDate = (lastReset, renewalDay) => {
  * This is critical because the field names in the database don't follow a consistent pattern
  */
 const getFieldNameForFeature = (limitType, featureKey) => {
-  // Define mappings between config keys and actual database field names
-  const fieldMappings = {
-    daily: {
-      'searchQueries': 'dailySearchCount',
-      'seoAnalyses': 'dailySeoAnalyses',
-      'trendIdeations': 'dailyTrendIdeations',
-      'insightsSaved': 'dailyInsightsSaved'
-    },
-    monthly: {
-      'contentIdeations': 'ideationsThisMonth',
-      'refinements': 'refinementsThisMonth',
-      'scriptGeneration': 'scriptsGeneratedThisMonth',
-      'scriptTransformations': 'scriptTransformationsThisMonth',
-      'seoReports': 'seoReportsThisMonth',
-      'insights': 'insightsSavedThisMonth'
-    }
-  };
-
   // Return the mapped field name or a default if not found
-  return fieldMappings[limitType]?.[featureKey] || `${featureKey}ThisMonth`;
+  return FIELD_MAPPINGS[limitType]?.[featureKey] || `${featureKey}ThisMonth`;
+};
+
+/**
+ * Append an entry to the UsageEvent log. Never throws - history must not break limits.
+ * @param {Object} entry - { userId, feature, limitType, action, delta, valueAfter, limit, tier }
+ */
+const recordUsageEvent = async (entry) => {
+  try {
+    await UsageEvent.create({
+      ...entry,
+      field: entry.field || getFieldNameForFeature(entry.limitType, entry.feature)
+    });
+  } catch (error) {
+    console.error(`Non-critical: Failed to record usage event (${entry.action} ${entry.feature}) for ${entry.userId}:`, error.message);
+  }
 };
 
 /**
@@ -75,19 +104,18 @@ const getFieldNameForFeature = (limitType, featureKey) => {
  * @param {Object} user - User document with usage data
  * @param {String} limitType - 'daily' or 'monthly'
  * @param {String} featureKey - The specific feature to check
- * @returns {Object} - { hasReachedLimit, currentUsage, limit }
+ * @returns {Promise<Object>} - { hasReachedLimit, currentUsage, limit }
  */
-const checkUsageLimit = (user, limitType, featureKey) => {
+const checkUsageLimit = async (user, limitType, featureKey) => {
   if (!user || !user.usage) {
     return { hasReachedLimit: false, currentUsage: 0, limit: 0, error: 'User data not available' };
   }
   
-  const tier = user.subscriptionTier || 'free';
-  const tierLimits = limitConfig[tier][limitType] || {};
-  const limit = tierLimits[featureKey];
+  // Limits come from the tier's active PricePlan
+  const limit = await getLimit(user.subscriptionTier || 'free', limitType, featureKey);
   
-  // If limit is -1 or undefined, consider it unlimited
-  if (!limit || limit < 0) {
+  // -1 or not set means unlimited; 0 means the feature isn't available on this tier
+  if (isUnlimited(limit)) {
     return { hasReachedLimit: false, currentUsage: 0, limit: 'unlimited' };
   }
   
@@ -125,11 +153,18 @@ const incrementUsageCounter = async (userId, limitType, featureKey) => {
     console.log(`Incrementing counter: ${dbFieldName} for user ${userId}`);
     
     // Update user document
-    return await User.findByIdAndUpdate(
+    const updated = await User.findByIdAndUpdate(
       userId,
       updateObj,
       { new: true, select: 'usage' }
     );
+    
+    recordUsageEvent({
+      userId, feature: featureKey, limitType, action: 'increment', delta: 1,
+      valueAfter: updated?.usage?.[dbFieldName]
+    });
+    
+    return updated;
   } catch (error) {
     console.error(`Error incrementing usage counter for ${userId}:`, error);
     throw error;
@@ -137,7 +172,95 @@ const incrementUsageCounter = async (userId, limitType, featureKey) => {
 };
 
 /**
- * Check and reset daily and monthly counters if needed
+ * Atomically check a limit and count one use of a feature.
+ * The increment only happens if the counter is still below the limit, so concurrent
+ * requests can never push usage past it.
+ * @param {String} userId - User ID
+ * @param {String} tier - User's subscription tier
+ * @param {String} limitType - 'daily' or 'monthly'
+ * @param {String} featureKey - The specific feature to count
+ * @returns {Promise<Object|null>} - Updated user, or null if the limit was already reached
+ */
+const consumeUsage = async (userId, tier, limitType, featureKey) => {
+  const limit = await getLimit(tier || 'free', limitType, featureKey);
+  const field = `usage.${getFieldNameForFeature(limitType, featureKey)}`;
+  
+  const filter = { _id: userId };
+  // Same rule as checkUsageLimit: a missing or negative limit means unlimited, 0 blocks every use
+  const unlimited = isUnlimited(limit);
+  if (!unlimited) {
+    filter.$or = [{ [field]: { $lt: limit } }];
+    if (limit > 0) filter.$or.push({ [field]: { $exists: false } });
+  }
+  
+  console.log(`Consuming ${limitType} usage: ${field} for user ${userId} (limit: ${unlimited ? 'unlimited' : limit})`);
+  
+  const updated = await User.findOneAndUpdate(filter, { $inc: { [field]: 1 } }, { new: true });
+  
+  if (updated) {
+    recordUsageEvent({
+      userId, feature: featureKey, limitType, action: 'consume', delta: 1,
+      valueAfter: updated.usage?.[getFieldNameForFeature(limitType, featureKey)],
+      limit: unlimited ? -1 : limit,
+      tier: tier || 'free'
+    });
+  }
+  
+  return updated;
+};
+
+/**
+ * Count one use of a feature against the tier allowance, or pay for it with a
+ * purchased credit once the allowance has run out (see utils/creditUtil.js)
+ * @param {String} userId - User ID
+ * @param {String} tier - User's subscription tier
+ * @param {String} limitType - 'daily' or 'monthly'
+ * @param {String} featureKey - The specific feature to count
+ * @returns {Promise<Object|null>} - { user, source: 'allowance' | 'credit' }, or null if neither was available
+ */
+const consumeUsageOrCredit = async (userId, tier, limitType, featureKey) => {
+  const counted = await consumeUsage(userId, tier, limitType, featureKey);
+  if (counted) return { user: counted, source: 'allowance' };
+
+  const paid = await spendCredit(userId, featureKey, limitType);
+  return paid ? { user: paid, source: 'credit' } : null;
+};
+
+// Counter fields zeroed at the start of each window
+const resetFieldsFor = (limitType) => Object.values(FIELD_MAPPINGS[limitType]);
+
+// Zero one window's counters, unless another request already did it for this window
+const resetWindow = async (user, limitType, windowStart, timestampField) => {
+  const path = `usage.${timestampField}`;
+  const updates = { [path]: new Date() };
+  resetFieldsFor(limitType).forEach((field) => { updates[`usage.${field}`] = 0; });
+
+  // The timestamp condition makes the reset happen exactly once per window, so it can't
+  // wipe credits consumed by a concurrent request just after another request reset it
+  const result = await User.updateOne(
+    { _id: user._id, $or: [{ [path]: { $lt: windowStart } }, { [path]: { $exists: false } }] },
+    { $set: updates }
+  );
+  if (!result.modifiedCount) return false;
+
+  console.log(`Reset ${limitType} usage counters for user ${user._id} (window from ${windowStart.toISOString()})`);
+
+  // Keep a record of what each counter stood at before it was wiped
+  for (const [feature, field] of Object.entries(FIELD_MAPPINGS[limitType])) {
+    const previous = user.usage?.[field] || 0;
+    if (previous > 0) {
+      recordUsageEvent({
+        userId: user._id, feature, limitType, field, action: 'reset', delta: -previous, valueAfter: 0,
+        tier: user.subscriptionTier
+      });
+    }
+  }
+  return true;
+};
+
+/**
+ * Check and reset daily and monthly counters if a new window has started
+ * (see getUsageWindows for how windows are defined)
  * @param {String} userId - User ID
  * @returns {Promise} - Updated user with fresh usage counters
  */
@@ -149,47 +272,24 @@ const checkAndResetCounters = async (userId) => {
       throw new Error('User not found');
     }
     
-    let needsDailyReset = false;
-    let needsMonthlyReset = false;
-    let updates = {};
+    const windows = await getUsageWindows(user);
     
     // Get reset timestamps or use defaults
     const { lastSearchReset, lastUsageReset } = user.usage || {};
     
-    // Check if daily reset is needed
-    if (isBeforeToday(lastSearchReset)) {
-      needsDailyReset = true;
-      updates['usage.lastSearchReset'] = new Date();
-      // Reset all daily counters
-      updates['usage.dailySearchCount'] = 0;
-      updates['usage.dailySeoAnalyses'] = 0;
-      updates['usage.dailyTrendIdeations'] = 0;
-      updates['usage.dailyInsightsSaved'] = 0;
-    }
+    let didReset = false;
     
-    // For monthly reset, either use subscription renewal date or first of month
-    const renewalDay = 1; // Default to first of month
+    // Daily counters reset at midnight in the user's timezone
+    if (!lastSearchReset || lastSearchReset < windows.daily.start) {
+      didReset = (await resetWindow(user, 'daily', windows.daily.start, 'lastSearchReset')) || didReset;
+    }
     
-    // Check if monthly reset is needed
-    if (isAfterRenewalDate(lastUsageReset, renewalDay)) {
-      needsMonthlyReset = true;
-      updates['usage.lastUsageReset'] = new Date();
-      // Reset all monthly counters
-      updates['usage.ideationsThisMonth'] = 0;
-      updates['usage.refinementsThisMonth'] = 0;
-      updates['usage.scriptsGeneratedThisMonth'] = 0;
-      updates['usage.scriptTransformationsThisMonth'] = 0;
-      updates['usage.seoReportsThisMonth'] = 0;
-      updates['usage.insightsSavedThisMonth'] = 0;
+    // Monthly counters reset when the billing period (or calendar month) rolls over
+    if (!lastUsageReset || lastUsageReset < windows.monthly.start) {
+      didReset = (await resetWindow(user, 'monthly', windows.monthly.start, 'lastUsageReset')) || didReset;
     }
     
-    // If any resets needed, update the user document
-    if (needsDailyReset || needsMonthlyReset) {
-      console.log('Resetting usage counters for user:', userId);
-      console.log('Updates:', updates);
-      
-      await User.findByIdAndUpdate(userId, updates);
-      
+    if (didReset) {
       // Re-fetch user to get updated usage data
       return await User.findById(userId).select('+usage');
     }
@@ -201,8 +301,132 @@ const checkAndResetCounters = async (userId) => {
   }
 };
 
+// Send the 429 response for a reached daily/monthly limit
+const sendLimitReached = (res, limitType, featureKey, limitCheck, windows) => {
+  return res.status(429).json({
+    success: false,
+    message: limitCheck.limit === 0
+      ? 'This feature is not available on your plan.'
+      : `You've reached your ${limitType} limit for this feature (${limitCheck.currentUsage}/${limitCheck.limit}).`,
+    limit: limitCheck.limit,
+    current: limitCheck.currentUsage,
+    resetTime: windows[limitType].end, // When this limit's counter next resets (ISO timestamp)
+    timezone: windows.timezone,
+    upgradeTier: true, // Flag for frontend to show upgrade prompt
+    buyCredits: isCreditFeature(featureKey) // Flag for frontend to offer a credit pack
+  });
+};
+
+/**
+ * Give back one use of a feature (the counter never goes below zero)
+ * @param {String} userId - User ID
+ * @param {String} limitType - 'daily' or 'monthly'
+ * @param {String} featureKey - The specific feature to decrement
+ * @returns {Promise} - Result of the database operation
+ */
+const decrementUsageCounter = async (userId, limitType, featureKey) => {
+  const dbFieldName = getFieldNameForFeature(limitType, featureKey);
+  const field = `usage.${dbFieldName}`;
+  console.log(`Releasing usage: ${field} for user ${userId}`);
+  
+  const updated = await User.findOneAndUpdate(
+    { _id: userId, [field]: { $gt: 0 } },
+    { $inc: { [field]: -1 } },
+    { new: true, select: 'usage' }
+  );
+  
+  if (updated) {
+    recordUsageEvent({
+      userId, feature: featureKey, limitType, action: 'release', delta: -1,
+      valueAfter: updated.usage?.[dbFieldName]
+    });
+  }
+  
+  return updated;
+};
+
+/**
+ * Release a list of usage reservations (e.g. from a background job that failed)
+ * @param {String} userId - User ID
+ * @param {Array} reservations - [{ limitType, featureKey, source }]; source 'credit' refunds a purchased credit
+ * @returns {Promise} - Resolves once every counter has been decremented; never throws
+ */
+const releaseReservedUsage = async (userId, reservations = []) => {
+  for (const { limitType, featureKey, source } of reservations) {
+    try {
+      if (source === 'credit') {
+        await refundCredit(userId, featureKey);
+      } else {
+        await decrementUsageCounter(userId, limitType, featureKey);
+      }
+    } catch (error) {
+      console.error(`Failed to release ${limitType} ${featureKey} usage for ${userId}:`, error);
+    }
+  }
+};
+
+// Pending reservations on this request
+const pendingReservations = (req) => (req.usageReservations || []).filter(r => r.state === 'reserved');
+
 /**
- * Check and enforce usage limits for a feature
+ * Keep the credits reserved for this request (call once the work has succeeded).
+ * Reservations still pending when a 2xx response finishes are committed automatically.
+ * @param {Object} req - Express request object
+ */
+const commitUsage = (req) => {
+  pendingReservations(req).forEach((reservation) => { reservation.state = 'committed'; });
+};
+
+/**
+ * Give back the credits reserved for this request.
+ * Happens automatically for error responses and dropped connections; call it directly
+ * when failure is reported inside a 200 response (e.g. an SSE 'error' event).
+ * @param {Object} req - Express request object
+ * @returns {Promise}
+ */
+const releaseUsage = async (req) => {
+  const pending = pendingReservations(req);
+  pending.forEach((reservation) => { reservation.state = 'released'; });
+  await releaseReservedUsage(req.user?._id, pending);
+};
+
+/**
+ * Hand this request's reservations over to a background job. The job service
+ * releases them if the job fails (see services/jobs).
+ * @param {Object} req - Express request object
+ * @returns {Array} - [{ limitType, featureKey, source }] to store on the job payload
+ */
+const transferUsage = (req) => {
+  return pendingReservations(req).map((reservation) => {
+    reservation.state = 'transferred';
+    return { limitType: reservation.limitType, featureKey: reservation.featureKey, source: reservation.source };
+  });
+};
+
+// Track a reserved credit on the request and settle it when the response ends
+const reserveUsage = (req, res, limitType, featureKey, source = 'allowance') => {
+  req.usageReservations = [...(req.usageReservations || []), { limitType, featureKey, source, state: 'reserved' }];
+  
+  if (res.usageHooksAttached) return;
+  res.usageHooksAttached = true;
+  
+  res.on('finish', () => {
+    if (res.statusCode >= 400) {
+      releaseUsage(req);
+    } else {
+      commitUsage(req);
+    }
+  });
+  // Client went away before the response completed
+  res.on('close', () => {
+    if (!res.writableFinished) releaseUsage(req);
+  });
+};
+
+/**
+ * Check a limit and reserve one credit for the feature. Once the tier allowance is used up,
+ * a purchased credit pays for the request instead (and covers the feature's other limits).
+ * The credit is released automatically if the request ends with an error response.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {String} limitType - 'daily' or 'monthly'
@@ -220,33 +444,39 @@ const enforceUsageLimit = async (req, res, limitType, featureKey) => {
     
     const userId = req.user._id;
     
+    // A purchased credit already paid for this use (scripts check a daily and a monthly limit)
+    if (pendingReservations(req).some(r => r.featureKey === featureKey && r.source === 'credit')) {
+      return req.user;
+    }
+    
     // Reset counters if needed and get fresh user data
     const user = await checkAndResetCounters(userId);
     
-   
-    
-    // Check if user has reached the limit
-    const limitCheck = checkUsageLimit(user, limitType, featureKey);
-    console.log('Limit check result:', limitCheck);
+    // Check and count in one conditional update so parallel requests can't all slip through
+    const consumed = await consumeUsageOrCredit(userId, user.subscriptionTier, limitType, featureKey);
     
-    if (limitCheck.hasReachedLimit) {
-      // User has reached the limit
-      const resetInfo = limitType === 'daily' ? 'tomorrow' : 'next month';
-      
-      return res.status(429).json({
-        success: false,
-        message: `You've reached your ${limitType} limit for this feature (${limitCheck.currentUsage}/${limitCheck.limit}).`,
-        limit: limitCheck.limit,
-        current: limitCheck.currentUsage,
-        resetTime: resetInfo,
-        upgradeTier: true // Flag for frontend to show upgrade prompt
+    if (!consumed) {
+      const latest = await User.findById(userId).select('usage subscriptionTier');
+      const limitCheck = await checkUsageLimit(latest || user, limitType, featureKey);
+      recordUsageEvent({
+        userId, feature: featureKey, limitType, action: 'blocked',
+        valueAfter: limitCheck.currentUsage,
+        limit: limitCheck.limit === 'unlimited' ? -1 : limitCheck.limit,
+        tier: user.subscriptionTier
       });
+      return sendLimitReached(res, limitType, featureKey, limitCheck, await getUsageWindows(user));
     }
     
-    // Increment the counter for this usage
-    await incrementUsageCounter(userId, limitType, featureKey);
+    if (consumed.source === 'credit') {
+      // The credit pays for this use outright, so hand back allowance an earlier check counted for it
+      const counted = pendingReservations(req).filter(r => r.featureKey === featureKey);
+      counted.forEach((reservation) => { reservation.state = 'released'; });
+      await releaseReservedUsage(userId, counted);
+    }
     
-    return user;
+    reserveUsage(req, res, limitType, featureKey, consumed.source);
+    
+    return consumed.user;
   } catch (error) {
     console.error('Error enforcing usage limit:', error);
     return res.status(500).json({
@@ -260,8 +490,16 @@ const enforceUsageLimit = async (req, res, limitType, featureKey) => {
 module.exports = {
   checkUsageLimit,
   getFieldNameForFeature,
+  recordUsageEvent,
   incrementUsageCounter,
+  consumeUsage,
+  consumeUsageOrCredit,
   checkAndResetCounters,
   enforceUsageLimit,
-  isBeforeToday // Export for testing
+  getUsageWindows,
+  decrementUsageCounter,
+  releaseReservedUsage,
+  commitUsage,
+  releaseUsage,
+  transferUsage
 };
\ No newline at end of file
@@ -0,0 +1,89 @@
+// backend/utils/verificationUtil.js
+const User = require('../models/User');
+const authConfig = require('../config/authConfig');
+const mailConfig = require('../config/mailConfig');
+const { sendMail } = require('../services/mail');
+const { verificationEmail } = require('../services/mail/templates');
+const { hashToken, createToken } = require('./tokenUtil');
+
+/**
+ * Email address verification (User.isVerified).
+ * The link's token is stored hashed in User.verificationToken until it is used or expires.
+ */
+
+/**
+ * Email the user a fresh verification link (replacing any earlier one).
+ * At most one email per authConfig.verificationResendCooldownMs.
+ * @param {String} userId
+ * @param {Object} [options] - { now }
+ * @returns {Promise<Object>} - { sent: true } or { error, status, retryAfterSeconds }
+ */
+const sendVerificationEmail = async (userId, { now = new Date() } = {}) => {
+  const ttl = authConfig.verificationTokenTtlMs;
+  const { token, hash } = createToken();
+
+  // The previous link's expiry tells us when it was sent
+  const lastSentBefore = new Date(now.getTime() + ttl - authConfig.verificationResendCooldownMs);
+  const user = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      isVerified: false,
+      $or: [{ verificationExpires: { $exists: false } }, { verificationExpires: { $lte: lastSentBefore } }]
+    },
+    { $set: { verificationToken: hash, verificationExpires: new Date(now.getTime() + ttl) } },
+    { new: true }
+  );
+
+  if (!user) {
+    const current = await User.findById(userId).select('isVerified verificationExpires');
+    if (!current) return { error: 'User not found.', status: 404 };
+    if (current.isVerified) return { error: 'Your email address is already verified.', status: 400 };
+    const retryAt = current.verificationExpires.getTime() - ttl + authConfig.verificationResendCooldownMs;
+    return {
+      error: 'A verification email was sent recently. Please wait before asking for another.',
+      status: 429,
+      retryAfterSeconds: Math.max(1, Math.ceil((retryAt - now.getTime()) / 1000))
+    };
+  }
+
+  try {
+    await sendMail({
+      to: user.email,
+      ...verificationEmail({
+        name: user.name,
+        url: `${mailConfig.publicUrl}/api/auth/verify/${token}`,
+        expiresInHours: Math.round(ttl / (60 * 60 * 1000))
+      })
+    });
+  } catch (error) {
+    // Lift the cooldown so the user can ask again straight away
+    await User.updateOne(
+      { _id: userId, verificationToken: hash },
+      { $unset: { verificationToken: 1, verificationExpires: 1 } }
+    ).catch(() => {});
+    throw error;
+  }
+
+  console.log(`Verification email sent to user ${userId}`);
+  return { sent: true };
+};
+
+/**
+ * Mark the account that owns a verification token as verified
+ * @param {String} token - Token from the emailed link
+ * @returns {Promise<Object|null>} - The verified user, or null if the token is unknown or expired
+ */
+const verifyEmailToken = async (token) => {
+  const user = await User.findOneAndUpdate(
+    { verificationToken: hashToken(token), verificationExpires: { $gt: new Date() } },
+    { $set: { isVerified: true }, $unset: { verificationToken: 1, verificationExpires: 1 } },
+    { new: true }
+  );
+  if (user) console.log(`Email verified for user ${user._id}`);
+  return user;
+};
+
+module.exports = {
+  sendVerificationEmail,
+  verifyEmailToken
+};